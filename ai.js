@@ -1,207 +1,96 @@
 
 
 import { blockCoords, BLOCK_I, rotIleft, rotIright, rotJLTSZleft, rotJLTSZright } from './data.js';
-import { collidesWithGrid } from './game.js';
+import { createBoard, collides, isOccupied, getDropY, placePiece, clearLines, countHoles, getMaxHeight, countErodedCells, getLandingHeight } from './bitboard.js';
+import { classifyTSpin, getAttackForLines, getPendingGarbage, peekPiece, SPAWN_POSITION } from './game.js';
+import { resolveStrategy } from './strategies.js';
 
 const COLS = 10;
-const GRID_HEIGHT = 24;
-const BLANK_ROW = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
-const DANGER_HEIGHT_THRESHOLD = 18; // If the highest column is above this, AI will prioritize survival.
-const DROUGHT_THRESHOLD = 12; // Pieces placed without a aitris before penalty applies
-
-// --- Heuristic Weights ---
-export const BASE_SURVIVAL_WEIGHTS = {
-    aggregateHeight: 0.51,
-    completedLines: -0.76,
-    holes: 1.0,
-    bumpiness: 0.18,
-    lookaheadScore: 0.8,
-    centerClog: 0.8,
-    holeReduction: -2.5,
-};
 
-export const BASE_WELL_WEIGHTS = {
-    aggregateHeight: 0.4,
-    holes: 4.0,
-    bumpiness: 0.25,
-    wellClogs: 8.0,
-    lineClearBonus: -5.0, // Exponential bonus: bonus * (lines^2)
-    droughtPenalty: 0.08,
-    lookaheadScore: 0.8,
+// --- Lookahead Search ---
+// The current piece is searched exhaustively; each upcoming preview piece adds a
+// level of beam search. A line of play scores its current move plus every
+// lookahead move scaled by the discount for its depth (the last discount repeats).
+export const MAX_SEARCH_DEPTH = 5;
+export const DEFAULT_SEARCH_OPTIONS = {
+    depth: 1,      // Preview pieces to look ahead through (0 to MAX_SEARCH_DEPTH)
+    beamWidth: 4,  // Lines of play kept between lookahead levels
+    discounts: [0.8, 0.6, 0.45, 0.35, 0.25],
 };
 
-
-// --- Helper Functions for Evaluation ---
-
-function getColumnHeights(grid) {
-    const heights = Array(COLS).fill(0);
-    for (let c = 0; c < COLS; c++) {
-        for (let r = 0; r < GRID_HEIGHT; r++) {
-            if (grid[r][c]) {
-                heights[c] = GRID_HEIGHT - r;
-                break;
-            }
-        }
+// Parses a comma separated discount list such as "0.8,0.6,0.4". Returns null, after
+// logging why, unless every entry is a non-negative number.
+export function parseDiscounts(text) {
+    const discounts = String(text).split(',').map(part => part.trim()).filter(Boolean).map(Number);
+    if (discounts.length === 0 || !discounts.every(discount => Number.isFinite(discount) && discount >= 0)) {
+        console.error(`Invalid lookahead discounts "${text}": expected comma separated non-negative numbers.`);
+        return null;
     }
-    return heights;
-}
-
-function getAggregateHeight(heights) {
-    return heights.reduce((sum, h) => sum + h, 0);
+    return discounts;
 }
 
-function getHoles(grid) {
-    let holes = 0;
-    for (let c = 0; c < COLS; c++) {
-        let blockFound = false;
-        for (let r = 0; r < GRID_HEIGHT; r++) {
-            if (grid[r][c]) {
-                blockFound = true;
-            } else if (blockFound) {
-                holes++;
-            }
-        }
+// Weight sets saved before per-depth discounts weighted their one-piece lookahead with
+// a `lookaheadScore` weight. It still sets the discount of the first lookahead level.
+function getSearchOptions(search, weights) {
+    search = { ...DEFAULT_SEARCH_OPTIONS, ...search };
+    if (weights && typeof weights.lookaheadScore === 'number') {
+        search.discounts = [weights.lookaheadScore, ...search.discounts.slice(1)];
     }
-    return holes;
+    return search;
 }
 
-
-function getBumpiness(heights) {
-    let bumpiness = 0;
-    for (let i = 0; i < heights.length - 1; i++) {
-        bumpiness += Math.abs(heights[i] - heights[i + 1]);
-    }
-    return bumpiness;
+// --- Evaluation ---
+
+// Scores a board after a placement with the strategy's evaluate function. Lower is better.
+// Strategies see { heights, holes, clearedLines, holesBeforeClear, iPieceDrought,
+// incomingGarbage, tSpinLines, landingHeight, erodedCells, bitboard }: column heights
+// and holes after any line clears, holes before them, garbage lines still pending,
+// lines cleared by a T-spin, where the piece landed, its cells removed by the clear,
+// and the board itself for features that are only worked out when weighted.
+function evaluateBoard(heights, holes, clearedLines, strategy, weights, iPieceDrought, holesBeforeClear, incomingGarbage = 0, tSpinLines = 0, placement = null, breakdown = null) {
+    return strategy.evaluate({
+        heights, holes, clearedLines, holesBeforeClear, iPieceDrought, incomingGarbage, tSpinLines,
+        landingHeight: placement ? placement.landingHeight : 0,
+        erodedCells: placement ? placement.erodedCells : 0,
+        bitboard: placement ? placement.board : null,
+    }, weights, breakdown);
 }
 
-function simulateLineClearing(grid) {
-    let clearedCount = 0;
-    const newGrid = [];
-
-    for (let r = GRID_HEIGHT - 1; r >= 0; r--) {
-        if (grid[r].every(cell => cell !== 0)) {
-            clearedCount++;
-        } else {
-            newGrid.unshift(grid[r]);
-        }
-    }
-    while (newGrid.length < GRID_HEIGHT) {
-        newGrid.unshift(BLANK_ROW.slice());
-    }
-    return { grid: newGrid, clearedCount };
-}
-
-function evaluateBoard(grid, clearedLines, strategy, weights, iPieceDrought, holesBeforeClear) {
-    const heights = getColumnHeights(grid);
-
-    if (strategy === 'rightWell' || strategy === 'leftWell') {
-        const wellColumn = (strategy === 'rightWell') ? 9 : 0;
-        const neighborColumn = (strategy === 'rightWell') ? 8 : 1;
-
-        const holes = getHoles(grid);
-        const holePenalty = weights.holes * holes;
-
-        let stackBumpiness = 0;
-        for (let i = 0; i < COLS - 1; i++) {
-             if ( (strategy === 'rightWell' && i === wellColumn - 1) || (strategy === 'leftWell' && i === wellColumn) ) {
-                continue;
-             }
-             stackBumpiness += Math.abs(heights[i] - heights[i + 1]);
-        }
-        const bumpinessPenalty = weights.bumpiness * stackBumpiness;
-        
-        const aggregateHeight = getAggregateHeight(heights);
-        const heightPenalty = weights.aggregateHeight * aggregateHeight;
-        
-        const wellClogs = heights[wellColumn];
-        const clogPenalty = weights.wellClogs * wellClogs;
-        
-        const lineClearBonus = weights.lineClearBonus * (clearedLines * clearedLines);
-
-        let droughtPenalty = 0;
-        if (iPieceDrought > DROUGHT_THRESHOLD) {
-            const wellDepth = heights[neighborColumn] - heights[wellColumn];
-            if (wellDepth > 3) {
-                const excessDrought = iPieceDrought - DROUGHT_THRESHOLD;
-                droughtPenalty = excessDrought * wellDepth * weights.droughtPenalty;
-            }
-        }
-
-        return holePenalty + bumpinessPenalty + heightPenalty + clogPenalty + lineClearBonus + droughtPenalty;
-    }
-    
-    // --- 'survival' strategy logic ---
-    const holes = getHoles(grid);
-    const aggregateHeight = getAggregateHeight(heights);
-    const bumpiness = getBumpiness(heights);
-
-    let score = (
-        (weights.aggregateHeight || 0) * aggregateHeight +
-        (weights.completedLines || 0) * clearedLines +
-        (weights.holes || 0) * holes +
-        (weights.bumpiness || 0) * bumpiness
-    );
-    
-    if (holesBeforeClear !== null && clearedLines > 0) {
-        const holesReduced = holesBeforeClear - holes;
-        if (holesReduced > 0) {
-            score += (weights.holeReduction || 0) * holesReduced;
-        }
-    }
-
-    const maxHeight = Math.max(...heights);
-    if (maxHeight > DANGER_HEIGHT_THRESHOLD) {
-        const centerCols = [3, 4, 5, 6];
-        let centerClogHeight = 0;
-        for (const c of centerCols) {
-            centerClogHeight += heights[c];
-        }
-        score += (weights.centerClog || 0) * centerClogHeight;
-    }
-
-    return score;
+// Places a piece, clears lines and scores the resulting board. `isTSpin` marks a
+// placement finished by a rotation that passes the 3-corner rule. A `breakdown` object
+// receives each feature's share of the score.
+function scorePlacement(board, type, rotation, x, y, strategy, weights, iPieceDrought, pendingGarbage, attackTable, isTSpin = false, breakdown = null) {
+    const placed = placePiece(board, type, rotation, x, y);
+    const holesBeforeClear = countHoles(placed);
+    const erodedCells = countErodedCells(placed, type, rotation, x, y);
+    const clearedCount = clearLines(placed);
+    const holes = clearedCount > 0 ? countHoles(placed) : holesBeforeClear;
+    const incomingGarbage = Math.max(0, pendingGarbage - getAttackForLines(attackTable, clearedCount));
+    const tSpinLines = isTSpin ? clearedCount : 0;
+    const landingHeight = getLandingHeight(type, rotation, y);
+    const score = evaluateBoard(placed.heights, holes, clearedCount, strategy, weights, iPieceDrought, holesBeforeClear, incomingGarbage, tSpinLines,
+        { board: placed, landingHeight, erodedCells }, breakdown);
+    return { board: placed, score, incomingGarbage };
 }
 
-function evaluateAllPossiblePlacements(grid, piece, strategy, weights, iPieceDrought) {
-    let bestScore = Infinity;
-
-    if (!piece || typeof piece.type === 'undefined') {
-        return 0; // No next piece, no future score to add
-    }
+// Scores every hard-drop placement of `piece` on `board`, returning the board after
+// each one for deeper lookahead.
+function getDropPlacements(board, piece, strategy, weights, iPieceDrought, pendingGarbage = 0, attackTable = null) {
+    const placements = [];
 
     for (let rotation = 0; rotation < blockCoords[piece.type].length; rotation++) {
-        const tempPiece = { ...piece, rotation };
+        // Each rotation only skips x positions that collide at the previous landing
+        // row (the piece's own row before the first landing). This matches the
+        // original grid search, so the same placements are considered.
+        let y = piece.y;
 
         for (let x = -2; x < COLS; x++) {
-            tempPiece.x = x;
-            if (collidesWithGrid(grid, tempPiece, 0, 0, 0)) continue;
-
-            let y = 0;
-            while (!collidesWithGrid(grid, { ...tempPiece, y: y + 1 }, 0, 0, 0)) {
-                y++;
-            }
-            tempPiece.y = y;
-
-            const tempGrid = JSON.parse(JSON.stringify(grid));
-            const shape = blockCoords[tempPiece.type][tempPiece.rotation];
-            for (const coord of shape) {
-                const col = tempPiece.x + coord[0];
-                const row = tempPiece.y + coord[1];
-                 if (row >= 0 && row < GRID_HEIGHT && col >= 0 && col < COLS) {
-                    tempGrid[row][col] = tempPiece.type + 1;
-                }
-            }
-
-            const holesBeforeClear = getHoles(tempGrid);
-            const { grid: finalGrid, clearedCount } = simulateLineClearing(tempGrid);
-            const score = evaluateBoard(finalGrid, clearedCount, strategy, weights, iPieceDrought, holesBeforeClear);
-            
-            if (score < bestScore) {
-                bestScore = score;
-            }
+            if (collides(board, piece.type, rotation, x, y)) continue;
+            y = getDropY(board, piece.type, rotation, x);
+            placements.push(scorePlacement(board, piece.type, rotation, x, y, strategy, weights, iPieceDrought, pendingGarbage, attackTable));
         }
     }
-    return bestScore;
+    return placements;
 }
 
 
@@ -211,7 +100,7 @@ function getPieceKey(piece) {
     return `${piece.x},${piece.y},${piece.rotation}`;
 }
 
-function simulateRotation(grid, piece, direction) {
+function simulateRotation(board, piece, direction) {
     if (piece.type === 3) return null; // Block O
 
     const srsData = piece.type === BLOCK_I 
@@ -223,31 +112,18 @@ function simulateRotation(grid, piece, direction) {
 
     for (const test of tests) {
         const [dx, dy] = test;
-        if (!collidesWithGrid(grid, piece, dx, dy, r)) {
+        if (!collides(board, piece.type, piece.rotation + r, piece.x + dx, piece.y + dy)) {
             return { ...piece, x: piece.x + dx, y: piece.y + dy, rotation: (piece.rotation + r) % 4 };
         }
     }
     return null; // No valid kick
 }
 
-export function findBestMove(state, strategy, weights) {
-    let bestScore = Infinity;
-    let bestPath = null;
-    let bestTarget = null;
-    const initialPiece = state.Block;
-    const nextPiece = state.Next;
-
-    let effectiveStrategy = strategy;
-    if (strategy === 'rightWell' || strategy === 'leftWell') {
-        const heights = getColumnHeights(state.grid);
-        if (Math.max(...heights) > DANGER_HEIGHT_THRESHOLD) {
-            effectiveStrategy = 'survival'; // Switch to survival mode
-        }
-    }
-
-    if (!initialPiece || typeof initialPiece.type === 'undefined') {
-        return { path: [], target: null };
-    }
+// Searches every reachable landing spot for `initialPiece`, then beam searches the
+// `lookaheadPieces` that follow it. With `ranked`, also returns every landing spot
+// that survived the beam with its best total score, best first.
+function searchPlacements(state, board, initialPiece, lookaheadPieces, strategy, weights, pendingGarbage, search, ranked = false) {
+    const roots = [];
 
     const queue = [{ piece: initialPiece, path: [] }];
     const visited = new Set([getPieceKey(initialPiece)]);
@@ -255,41 +131,20 @@ export function findBestMove(state, strategy, weights) {
     while (queue.length > 0) {
         const { piece, path } = queue.shift();
 
-        if (collidesWithGrid(state.grid, piece, 0, 1, 0)) {
-            const tempGrid = JSON.parse(JSON.stringify(state.grid));
-            const shape = blockCoords[piece.type][piece.rotation];
-            
-            for (const coord of shape) {
-                const col = piece.x + coord[0];
-                const row = piece.y + coord[1];
-                if (row >= 0 && row < GRID_HEIGHT && col >= 0 && col < COLS) {
-                    tempGrid[row][col] = piece.type + 1;
-                }
-            }
-            
-            const holesBeforeClear = getHoles(tempGrid);
-            const { grid: gridAfterCurrentMove, clearedCount } = simulateLineClearing(tempGrid);
-            
-            const currentMoveScore = evaluateBoard(gridAfterCurrentMove, clearedCount, effectiveStrategy, weights, state.iPieceDrought, holesBeforeClear);
-            
-            const nextPieceBestScore = evaluateAllPossiblePlacements(gridAfterCurrentMove, nextPiece, effectiveStrategy, weights, state.iPieceDrought);
-
-            const lookaheadWeight = weights.lookaheadScore || 0.8;
-            const totalScore = currentMoveScore + (nextPieceBestScore * lookaheadWeight);
-
-            if (totalScore < bestScore) {
-                bestScore = totalScore;
-                bestPath = [...path, 'hardD'];
-                bestTarget = piece;
-            }
+        if (collides(board, piece.type, piece.rotation, piece.x, piece.y + 1)) {
+            const lastAction = path[path.length - 1];
+            const isTSpin = (lastAction === 'rotateR' || lastAction === 'rotateL') &&
+                classifyTSpin((col, row) => isOccupied(board, col, row), piece, null) !== null;
+            const placement = scorePlacement(board, piece.type, piece.rotation, piece.x, piece.y, strategy, weights, state.iPieceDrought, pendingGarbage, state.attackTable, isTSpin);
+            roots.push({ path: [...path, 'hardD'], target: piece, isTSpin, ...placement });
         }
 
         const actions = [
-            { name: 'moveL', newPiece: { ...piece, x: piece.x - 1 }, isValid: !collidesWithGrid(state.grid, piece, -1, 0, 0) },
-            { name: 'moveR', newPiece: { ...piece, x: piece.x + 1 }, isValid: !collidesWithGrid(state.grid, piece, 1, 0, 0) },
-            { name: 'softD', newPiece: { ...piece, y: piece.y + 1 }, isValid: !collidesWithGrid(state.grid, piece, 0, 1, 0) },
-            { name: 'rotateR', newPiece: simulateRotation(state.grid, piece, 'R') },
-            { name: 'rotateL', newPiece: simulateRotation(state.grid, piece, 'L') }
+            { name: 'moveL', newPiece: { ...piece, x: piece.x - 1 }, isValid: !collides(board, piece.type, piece.rotation, piece.x - 1, piece.y) },
+            { name: 'moveR', newPiece: { ...piece, x: piece.x + 1 }, isValid: !collides(board, piece.type, piece.rotation, piece.x + 1, piece.y) },
+            { name: 'softD', newPiece: { ...piece, y: piece.y + 1 }, isValid: !collides(board, piece.type, piece.rotation, piece.x, piece.y + 1) },
+            { name: 'rotateR', newPiece: simulateRotation(board, piece, 'R') },
+            { name: 'rotateL', newPiece: simulateRotation(board, piece, 'L') }
         ];
 
         for (const action of actions) {
@@ -302,24 +157,219 @@ export function findBestMove(state, strategy, weights) {
             }
         }
     }
-    return { path: bestPath || ['hardD'], target: bestTarget }; // Failsafe
+
+    const frontier = beamSearch(state, roots, lookaheadPieces, strategy, weights, search);
+    let best = null;
+    for (const node of frontier) {
+        if (node.score < (best ? best.score : Infinity)) {
+            best = node;
+        }
+    }
+    const result = best ? { score: best.score, path: best.root.path, target: best.root.target } : { score: Infinity, path: null, target: null };
+    if (ranked) result.ranked = rankRoots(frontier);
+    return result;
+}
+
+// Best total per landing spot, lowest first.
+function rankRoots(frontier) {
+    const bestByRoot = new Map();
+    for (const node of frontier) {
+        const current = bestByRoot.get(node.root);
+        if (node.score < (current === undefined ? Infinity : current)) {
+            bestByRoot.set(node.root, node.score);
+        }
+    }
+    return [...bestByRoot].map(([root, score]) => ({ root, score })).sort((a, b) => a.score - b.score);
+}
+
+function getDiscount(search, depth) {
+    const discounts = search.discounts;
+    return discounts[Math.min(depth, discounts.length) - 1];
+}
+
+// Every root is expanded so a depth of 1 compares all landing spots on their best
+// follow-up; deeper levels only expand the `beamWidth` best lines so far. Returns
+// the lines of play left after the last level.
+function beamSearch(state, roots, lookaheadPieces, strategy, weights, search) {
+    const depth = Math.min(search.depth, lookaheadPieces.length);
+    let frontier = roots.map(root => ({ root, board: root.board, score: root.score, incomingGarbage: root.incomingGarbage }));
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+        const piece = lookaheadPieces[level - 1];
+        const discount = getDiscount(search, level);
+        const children = [];
+
+        for (const node of frontier) {
+            const placements = getDropPlacements(node.board, piece, strategy, weights, state.iPieceDrought, node.incomingGarbage, state.attackTable);
+            if (placements.length === 0) {
+                children.push({ ...node, score: Infinity }); // This line tops out
+                continue;
+            }
+            if (level === depth) {
+                // Last level: only the best follow-up matters, so skip keeping boards.
+                const bestFollowUp = Math.min(...placements.map(placement => placement.score));
+                children.push({ ...node, score: node.score + bestFollowUp * discount });
+                continue;
+            }
+            for (const placement of placements) {
+                children.push({
+                    root: node.root,
+                    board: placement.board,
+                    score: node.score + placement.score * discount,
+                    incomingGarbage: placement.incomingGarbage,
+                });
+            }
+        }
+
+        if (level < depth) {
+            children.sort((a, b) => a.score - b.score);
+            children.length = Math.min(children.length, Math.max(1, search.beamWidth));
+        }
+        frontier = children;
+    }
+
+    return frontier;
+}
+
+function getUpcomingPieces(state, firstOffset, count) {
+    return Array.from({ length: count }, (_, i) => ({ type: peekPiece(state, firstOffset + i) }));
+}
+
+/**
+ * Finds the best placement for the current piece, including swapping it for the hold piece.
+ * @param {object} state The game state.
+ * @param {string} strategy The id of a strategy in the registry (see strategies.js).
+ * @param {object} weights The heuristic weights.
+ * @param {object} search Overrides for DEFAULT_SEARCH_OPTIONS.
+ * @param {number} alternatives How many runner-up placements to explain besides the
+ *   chosen one; 0 skips the analysis.
+ * @returns {{path: string[], target: { type: number, x: number, y: number, rotation: number }|null, analysis?: ReturnType<typeof explainMoves>}} The actions to play
+ *   and the landing spot, plus an analysis (see explainMoves) when alternatives > 0.
+ */
+export function findBestMove(state, strategy, weights, search = DEFAULT_SEARCH_OPTIONS, alternatives = 0) {
+    search = getSearchOptions(search, weights);
+    const depth = Math.max(0, Math.min(MAX_SEARCH_DEPTH, search.depth));
+    const initialPiece = state.Block;
+    const nextPiece = state.Next;
+    const pendingGarbage = getPendingGarbage(state);
+    const board = createBoard(state.grid);
+
+    let effectiveStrategy = resolveStrategy(strategy);
+    const fallback = effectiveStrategy.fallback;
+    if (fallback && fallback.when({ maxHeight: getMaxHeight(board), pendingGarbage })) {
+        effectiveStrategy = resolveStrategy(fallback.strategy);
+    }
+
+    if (!initialPiece || typeof initialPiece.type === 'undefined') {
+        return { path: [], target: null };
+    }
+
+    const explain = alternatives > 0;
+    let best = searchPlacements(state, board, initialPiece, getUpcomingPieces(state, 0, depth), effectiveStrategy, weights, pendingGarbage, search, explain);
+    const ranked = explain ? best.ranked : [];
+
+    // Compare against holding: play the held piece (or Next if the hold slot is empty) instead.
+    if (state.canHold) {
+        const holdPiece = { ...(state.Hold || nextPiece), ...SPAWN_POSITION };
+        const holdLookahead = getUpcomingPieces(state, state.Hold ? 0 : 1, depth);
+        if (!collides(board, holdPiece.type, holdPiece.rotation, holdPiece.x, holdPiece.y)) {
+            const holdResult = searchPlacements(state, board, holdPiece, holdLookahead, effectiveStrategy, weights, pendingGarbage, search, explain);
+            if (holdResult.score < best.score) {
+                best = { ...holdResult, path: ['hold', ...holdResult.path] };
+            }
+            if (explain) {
+                ranked.push(...holdResult.ranked.map(entry => ({ ...entry, hold: true })));
+            }
+        }
+    }
+
+    const move = { path: best.path || ['hardD'], target: best.target }; // Failsafe
+    if (explain) {
+        move.analysis = explainMoves(state, board, ranked, best.target, effectiveStrategy, weights, pendingGarbage, alternatives);
+    }
+    return move;
+}
+
+/**
+ * Breaks the scores of the chosen placement and the best alternatives down by feature.
+ * @returns {{ strategy: string, moves: { target: { type: number, x: number, y: number, rotation: number },
+ *   hold: boolean, score: number, placementScore: number, lookahead: number,
+ *   breakdown: Object<string, number> }[] }} The moves, chosen one first. `breakdown`
+ *   maps each feature to its share of placementScore; `lookahead` is what the
+ *   following pieces added to it.
+ */
+function explainMoves(state, board, ranked, chosenTarget, strategy, weights, pendingGarbage, alternatives) {
+    ranked.sort((a, b) => a.score - b.score);
+    const chosenIndex = ranked.findIndex(entry => entry.root.target === chosenTarget);
+    if (chosenIndex > 0) {
+        ranked.unshift(...ranked.splice(chosenIndex, 1));
+    }
+    // Rotations that fill the same cells are the same landing spot to the viewer.
+    const seen = new Set();
+    const distinct = ranked.filter(({ root }) => {
+        const { type, rotation, x, y } = root.target;
+        const key = type + ':' + blockCoords[type][rotation].map(([cx, cy]) => `${x + cx},${y + cy}`).sort().join(' ');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    const moves = distinct.slice(0, alternatives + 1).map(({ root, score, hold }) => {
+        const { type, rotation, x, y } = root.target;
+        const breakdown = {};
+        scorePlacement(board, type, rotation, x, y, strategy, weights, state.iPieceDrought, pendingGarbage, state.attackTable, root.isTSpin, breakdown);
+        return {
+            target: root.target,
+            hold: !!hold,
+            score,
+            placementScore: root.score,
+            lookahead: score - root.score,
+            breakdown,
+        };
+    });
+    return { strategy: strategy.id, moves };
+}
+
+/**
+ * Copies the parts of a game state that findBestMove reads into a plain object that
+ * can be posted to a Web Worker. The piece sequence holds a generator function, which
+ * can't be cloned, so it is cut down to the pieces the search peeks at.
+ * @param {object} state The game state.
+ * @param {number} depth The search depth the snapshot will be planned with.
+ * @returns {object} A state findBestMove gives the same answer for.
+ */
+export function getPlanningState(state, depth = DEFAULT_SEARCH_OPTIONS.depth) {
+    return {
+        grid: state.grid,
+        Block: state.Block,
+        Next: state.Next,
+        Hold: state.Hold,
+        canHold: state.canHold,
+        iPieceDrought: state.iPieceDrought,
+        attackTable: state.attackTable,
+        garbageQueue: state.garbageQueue,
+        pieceSequence: { pieces: Array.from({ length: depth + 1 }, (_, i) => peekPiece(state, i)) },
+        pieceQueueIndex: 0,
+    };
 }
 
 /**
  * Creates a new weights object with slightly modified values.
  * @param {object} baseWeights The starting weights object.
  * @param {number} mutationFactor The maximum percentage change (e.g., 0.1 for +/-10%).
+ * @param {function(): number} random Source of randomness, e.g. a seeded generator from rng.js.
+ * @param {string} [strategy] Only mutate the features this strategy declares; others are copied.
  * @returns {object} A new object with mutated weights.
  */
-export function mutateWeights(baseWeights, mutationFactor = 0.1) {
+export function mutateWeights(baseWeights, mutationFactor = 0.1, random = Math.random, strategy = null) {
     const mutated = { ...baseWeights };
-    for (const key in mutated) {
+    const features = strategy ? resolveStrategy(strategy).features : Object.keys(mutated);
+    for (const key of features) {
         const baseValue = baseWeights[key];
-        if (baseValue === 0) continue;
+        if (typeof baseValue !== 'number' || baseValue === 0) continue;
 
         // Use a smaller mutation factor for rewards (negative numbers) to be more gentle
         const factor = baseValue < 0 ? mutationFactor / 1.5 : mutationFactor;
-        const change = (Math.random() - 0.5) * 2 * factor; // Random value between -factor and +factor
+        const change = (random() - 0.5) * 2 * factor; // Random value between -factor and +factor
         
         let newValue = baseValue * (1 + change);
 
@@ -0,0 +1,30 @@
+// Web Worker entry point for AI work posted through workerPool.js.
+//   { type: 'plan', state, strategy, weights, search, alternatives } -> { path, target, analysis }
+//   { type: 'simulate', strategy, weights, seed, options } -> a simulateGame result
+//   { type: 'battle', players, seed, options } -> a simulateBattle result
+// `state` is a snapshot from getPlanningState.
+
+import { findBestMove } from './ai.js';
+import { simulateGame, simulateBattle } from './simulate.js';
+
+function runJob(job) {
+    switch (job.type) {
+        case 'plan':
+            return findBestMove(job.state, job.strategy, job.weights, job.search, job.alternatives || 0);
+        case 'simulate':
+            return simulateGame(job.strategy, job.weights, job.seed, job.options);
+        case 'battle':
+            return simulateBattle(job.players, job.seed, job.options);
+        default:
+            throw new Error(`Unknown AI job type: ${job.type}`);
+    }
+}
+
+self.onmessage = (e) => {
+    const { requestId, job } = e.data;
+    try {
+        self.postMessage({ requestId, result: runJob(job) });
+    } catch (error) {
+        self.postMessage({ requestId, error: error.message });
+    }
+};
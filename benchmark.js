@@ -0,0 +1,143 @@
+// Command line entry point for headless AI benchmarks.
+//
+//   node benchmark.js --games 20 --seed 42 --strategies rightWell,survival
+//   node benchmark.js --weights my-weights.json --format csv --out results.csv
+//
+// A weights file is a JSON object of name -> weights object. Each weight set is
+// played with every strategy given in --strategies.
+
+import { parseArgs } from 'node:util';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { DEFAULT_SEARCH_OPTIONS, MAX_SEARCH_DEPTH, parseDiscounts } from './ai.js';
+import { getStrategyIds, getStrategy, getDefaultWeights } from './strategies.js';
+import { RANDOMIZERS, DEFAULT_RANDOMIZER } from './randomizer.js';
+import { SCORING_RULES, DEFAULT_SCORING } from './scoring.js';
+import { runBenchmark, benchmarkToCsv, DEFAULT_SIMULATION_OPTIONS } from './simulate.js';
+
+const USAGE = `Usage: node benchmark.js [options]
+
+  --games <n>           Seeded games per entry (default 10)
+  --seed <n>            Base seed; game seeds are derived from it (default 0)
+  --strategies <list>   Comma separated strategies (default ${getStrategyIds().join(',')})
+  --weights <file>      JSON file of named weight sets (default: each strategy's base weights)
+  --randomizer <name>   ${Object.keys(RANDOMIZERS).join(', ')} (default ${DEFAULT_RANDOMIZER})
+  --start-level <n>     Start level (default 0)
+  --scoring <name>      ${Object.keys(SCORING_RULES).join(', ')} (default ${DEFAULT_SCORING})
+  --max-pieces <n>      Stop a game after this many pieces (default ${DEFAULT_SIMULATION_OPTIONS.maxPieces})
+  --depth <n>           Lookahead depth, 0-${MAX_SEARCH_DEPTH} (default ${DEFAULT_SEARCH_OPTIONS.depth})
+  --beam-width <n>      Lines of play kept between lookahead levels (default ${DEFAULT_SEARCH_OPTIONS.beamWidth})
+  --discounts <list>    Comma separated discount per lookahead depth; the last repeats
+                        (default ${DEFAULT_SEARCH_OPTIONS.discounts.join(',')})
+  --format <type>       json or csv (default json)
+  --raw                 Include per-game results in JSON output
+  --out <file>          Write the report to a file instead of stdout
+  --help                Show this message`;
+
+function fail(message) {
+    console.error(`${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+function parseInteger(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        fail(`--${name} must be a non-negative integer.`);
+    }
+    return number;
+}
+
+function loadEntries(values, strategies) {
+    if (!values.weights) {
+        return strategies.map(strategy => ({ name: strategy, strategy, weights: getDefaultWeights(strategy) }));
+    }
+    let weightSets;
+    try {
+        weightSets = JSON.parse(readFileSync(values.weights, 'utf8'));
+    } catch (e) {
+        fail(`Could not read weights file: ${e.message}`);
+    }
+    const entries = [];
+    for (const [name, weights] of Object.entries(weightSets)) {
+        for (const strategy of strategies) {
+            entries.push({ name: strategies.length > 1 ? `${name}/${strategy}` : name, strategy, weights });
+        }
+    }
+    return entries;
+}
+
+function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            options: {
+                games: { type: 'string', default: '10' },
+                seed: { type: 'string', default: '0' },
+                strategies: { type: 'string', default: getStrategyIds().join(',') },
+                weights: { type: 'string' },
+                randomizer: { type: 'string', default: DEFAULT_RANDOMIZER },
+                'start-level': { type: 'string', default: '0' },
+                scoring: { type: 'string', default: DEFAULT_SCORING },
+                'max-pieces': { type: 'string', default: String(DEFAULT_SIMULATION_OPTIONS.maxPieces) },
+                depth: { type: 'string', default: String(DEFAULT_SEARCH_OPTIONS.depth) },
+                'beam-width': { type: 'string', default: String(DEFAULT_SEARCH_OPTIONS.beamWidth) },
+                discounts: { type: 'string', default: DEFAULT_SEARCH_OPTIONS.discounts.join(',') },
+                format: { type: 'string', default: 'json' },
+                raw: { type: 'boolean', default: false },
+                out: { type: 'string' },
+                help: { type: 'boolean', default: false },
+            },
+        });
+    } catch (e) {
+        fail(e.message);
+    }
+    const { values } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const strategies = values.strategies.split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = strategies.filter(strategy => !getStrategy(strategy));
+    if (unknown.length > 0) fail(`Unknown strategies: ${unknown.join(', ')}`);
+    if (!RANDOMIZERS[values.randomizer]) fail(`Unknown randomizer: ${values.randomizer}`);
+    if (!SCORING_RULES[values.scoring]) fail(`Unknown scoring rule set: ${values.scoring}`);
+    if (values.format !== 'json' && values.format !== 'csv') fail(`Unknown format: ${values.format}`);
+
+    const entries = loadEntries(values, strategies);
+    const games = parseInteger(values.games, 'games');
+    const depth = parseInteger(values.depth, 'depth');
+    if (depth > MAX_SEARCH_DEPTH) fail(`--depth must be at most ${MAX_SEARCH_DEPTH}.`);
+    const discounts = parseDiscounts(values.discounts);
+    if (!discounts) fail('--discounts must be comma separated non-negative numbers.');
+    const startTime = Date.now();
+
+    const summaries = runBenchmark(entries, {
+        games,
+        seed: parseInteger(values.seed, 'seed'),
+        randomizer: values.randomizer,
+        startLevel: parseInteger(values['start-level'], 'start-level'),
+        scoring: values.scoring,
+        maxPieces: parseInteger(values['max-pieces'], 'max-pieces'),
+        search: { ...DEFAULT_SEARCH_OPTIONS, depth, beamWidth: parseInteger(values['beam-width'], 'beam-width'), discounts },
+        onProgress: (entry, done, total, result) => {
+            console.error(`[${entry.name}] game ${done}/${total}: score ${result.score}, lines ${result.lines}, pieces ${result.pieces}${result.toppedOut ? ', topped out' : ''}`);
+        },
+    });
+    console.error(`Finished in ${((Date.now() - startTime) / 1000).toFixed(1)}s.`);
+
+    let report;
+    if (values.format === 'csv') {
+        report = benchmarkToCsv(summaries);
+    } else {
+        const output = values.raw ? summaries : summaries.map(({ results, ...summary }) => summary);
+        report = JSON.stringify(output, null, 2);
+    }
+
+    if (values.out) {
+        writeFileSync(values.out, report + '\n');
+    } else {
+        console.log(report);
+    }
+}
+
+main();
@@ -0,0 +1,250 @@
+// Compact grid representation for the AI search. Each row is a 10-bit mask (bit c
+// set when column c is filled), pieces are precomputed row masks per rotation, and
+// column heights are kept up to date as pieces are placed. Boards only record
+// which cells are filled, not their colors, which is all the evaluator needs.
+
+import { blockCoords } from './data.js';
+
+const COLS = 10;
+const GRID_HEIGHT = 24;
+const FULL_ROW = (1 << COLS) - 1;
+
+// PIECE_MASKS[type][rotation] = { rows: [{ dy, mask }], minX, maxX }. `mask` is the
+// row of the piece at x = 0; minX/maxX bound the x positions that stay on the board.
+const PIECE_MASKS = blockCoords.map(rotations => rotations.map(shape => {
+    const masks = new Map();
+    for (const [cx, cy] of shape) {
+        masks.set(cy, (masks.get(cy) || 0) | (1 << cx));
+    }
+    const xs = shape.map(([cx]) => cx);
+    return {
+        rows: [...masks.entries()].map(([dy, mask]) => ({ dy, mask })),
+        minX: -Math.min(...xs),
+        maxX: COLS - 1 - Math.max(...xs),
+    };
+}));
+
+function shiftMask(mask, x) {
+    return x >= 0 ? mask << x : mask >> -x;
+}
+
+function getColumnTop(rows, col) {
+    const bit = 1 << col;
+    for (let r = 0; r < GRID_HEIGHT; r++) {
+        if (rows[r] & bit) return GRID_HEIGHT - r;
+    }
+    return 0;
+}
+
+function computeHeights(board) {
+    for (let c = 0; c < COLS; c++) {
+        board.heights[c] = getColumnTop(board.rows, c);
+    }
+}
+
+export function createBoard(grid) {
+    const board = { rows: new Uint16Array(GRID_HEIGHT), heights: new Uint8Array(COLS) };
+    for (let r = 0; r < GRID_HEIGHT; r++) {
+        let mask = 0;
+        for (let c = 0; c < COLS; c++) {
+            if (grid[r][c]) mask |= 1 << c;
+        }
+        board.rows[r] = mask;
+    }
+    computeHeights(board);
+    return board;
+}
+
+function copyBoard(board) {
+    return { rows: board.rows.slice(), heights: board.heights.slice() };
+}
+
+/**
+ * Same rules as collidesWithGrid: cells off the sides or below the floor collide,
+ * cells above the top row don't.
+ * @returns {boolean} True if the piece overlaps the board or leaves it.
+ */
+export function collides(board, type, rotation, x, y) {
+    const piece = PIECE_MASKS[type][rotation % 4];
+    if (x < piece.minX || x > piece.maxX) return true;
+    for (const { dy, mask } of piece.rows) {
+        const row = y + dy;
+        if (row >= GRID_HEIGHT || (row >= 0 && (board.rows[row] & shiftMask(mask, x)))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Whether a cell is filled or off the sides or bottom of the board.
+export function isOccupied(board, col, row) {
+    if (col < 0 || col >= COLS || row >= GRID_HEIGHT) return true;
+    return row >= 0 && (board.rows[row] & (1 << col)) !== 0;
+}
+
+export function getMaxHeight(board) {
+    let max = 0;
+    for (let c = 0; c < COLS; c++) {
+        if (board.heights[c] > max) max = board.heights[c];
+    }
+    return max;
+}
+
+/**
+ * Drops a piece from row 0, stopping on the first row whose next row collides.
+ * Rows above the highest block can't collide, so the scan starts just above it.
+ */
+export function getDropY(board, type, rotation, x) {
+    let y = Math.max(0, GRID_HEIGHT - getMaxHeight(board) - 4);
+    while (!collides(board, type, rotation, x, y + 1)) {
+        y++;
+    }
+    return y;
+}
+
+/**
+ * Returns a copy of the board with the piece written in. Cells above the top row
+ * are dropped, as they are when a piece locks.
+ */
+export function placePiece(board, type, rotation, x, y) {
+    const placed = copyBoard(board);
+    for (const { dy, mask } of PIECE_MASKS[type][rotation % 4].rows) {
+        const row = y + dy;
+        if (row < 0 || row >= GRID_HEIGHT) continue;
+        const rowMask = shiftMask(mask, x) & FULL_ROW;
+        placed.rows[row] |= rowMask;
+        const height = GRID_HEIGHT - row;
+        for (let c = 0; c < COLS; c++) {
+            if ((rowMask & (1 << c)) && placed.heights[c] < height) {
+                placed.heights[c] = height;
+            }
+        }
+    }
+    return placed;
+}
+
+// Piece cells that land in full rows, times the number of full rows (Dellacherie's
+// eroded piece cells). Call before clearLines.
+export function countErodedCells(board, type, rotation, x, y) {
+    let rowsCleared = 0;
+    let cellsCleared = 0;
+    for (const { dy, mask } of PIECE_MASKS[type][rotation % 4].rows) {
+        const row = y + dy;
+        if (row >= 0 && row < GRID_HEIGHT && board.rows[row] === FULL_ROW) {
+            rowsCleared++;
+            cellsCleared += popcount(shiftMask(mask, x) & FULL_ROW);
+        }
+    }
+    return rowsCleared * cellsCleared;
+}
+
+// Height above the floor of the middle of a piece placed at row `y`.
+export function getLandingHeight(type, rotation, y) {
+    const rows = PIECE_MASKS[type][rotation % 4].rows;
+    let minDy = Infinity;
+    let maxDy = -Infinity;
+    for (const { dy } of rows) {
+        minDy = Math.min(minDy, dy);
+        maxDy = Math.max(maxDy, dy);
+    }
+    return GRID_HEIGHT - y - (minDy + maxDy) / 2;
+}
+
+// Removes full rows in place and returns how many were cleared.
+export function clearLines(board) {
+    const rows = board.rows;
+    let write = GRID_HEIGHT - 1;
+    for (let read = GRID_HEIGHT - 1; read >= 0; read--) {
+        if (rows[read] !== FULL_ROW) {
+            rows[write--] = rows[read];
+        }
+    }
+    const clearedCount = write + 1;
+    if (clearedCount === 0) return 0;
+    rows.fill(0, 0, clearedCount);
+    computeHeights(board);
+    return clearedCount;
+}
+
+function popcount(mask) {
+    let count = 0;
+    while (mask) {
+        mask &= mask - 1;
+        count++;
+    }
+    return count;
+}
+
+// Empty cells with a filled cell anywhere above them in the same column.
+export function countHoles(board) {
+    let holes = 0;
+    let covered = 0;
+    for (let r = GRID_HEIGHT - getMaxHeight(board); r < GRID_HEIGHT; r++) {
+        holes += popcount(covered & ~board.rows[r]);
+        covered |= board.rows[r];
+    }
+    return holes;
+}
+
+// Filled/empty changes along each row up to the top of the stack. The walls count as filled.
+export function countRowTransitions(board) {
+    let transitions = 0;
+    for (let r = GRID_HEIGHT - getMaxHeight(board); r < GRID_HEIGHT; r++) {
+        const walled = (board.rows[r] << 1) | 1 | (1 << (COLS + 1));
+        transitions += popcount((walled ^ (walled >> 1)) & ((1 << (COLS + 1)) - 1));
+    }
+    return transitions;
+}
+
+// Filled/empty changes down each column. Above the board counts as empty, the floor as filled.
+export function countColumnTransitions(board) {
+    let transitions = 0;
+    let above = 0;
+    for (let r = GRID_HEIGHT - getMaxHeight(board); r < GRID_HEIGHT; r++) {
+        transitions += popcount(board.rows[r] ^ above);
+        above = board.rows[r];
+    }
+    return transitions + popcount(~above & FULL_ROW);
+}
+
+/**
+ * Cumulative well depth per column: an empty cell with filled cells (or walls) on
+ * both sides adds its depth in that well, so a well n deep scores 1 + 2 + ... + n.
+ * @returns {number[]} One sum per column, so a strategy can leave its own well out.
+ */
+export function getWellSums(board) {
+    const sums = new Array(COLS).fill(0);
+    const depths = new Array(COLS).fill(0);
+    for (let r = GRID_HEIGHT - getMaxHeight(board); r < GRID_HEIGHT; r++) {
+        const row = board.rows[r];
+        const walled = (row << 1) | 1 | (1 << (COLS + 1));
+        const wells = ~row & (walled >> 2) & walled & FULL_ROW;
+        for (let c = 0; c < COLS; c++) {
+            if (wells & (1 << c)) {
+                depths[c]++;
+                sums[c] += depths[c];
+            } else {
+                depths[c] = 0;
+            }
+        }
+    }
+    return sums;
+}
+
+// Filled cells stacked above each hole, summed over every hole.
+export function getHoleDepth(board) {
+    const filledAbove = new Array(COLS).fill(0);
+    let depth = 0;
+    let covered = 0;
+    for (let r = GRID_HEIGHT - getMaxHeight(board); r < GRID_HEIGHT; r++) {
+        const row = board.rows[r];
+        const holes = covered & ~row & FULL_ROW;
+        for (let c = 0; c < COLS; c++) {
+            const bit = 1 << c;
+            if (holes & bit) depth += filledAbove[c];
+            if (row & bit) filledAbove[c]++;
+        }
+        covered |= row;
+    }
+    return depth;
+}
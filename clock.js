@@ -0,0 +1,64 @@
+// Fixed-timestep timing. The game advances in whole ticks of TICK_MS however often
+// the browser draws, so a game plays out the same at any frame rate. Time is read
+// from a clock ({ now() } in ms) that can be swapped for a manual one to drive the
+// simulation by hand.
+
+export const TICKS_PER_SECOND = 60;
+export const TICK_MS = 1000 / TICKS_PER_SECOND;
+const MAX_TICKS_PER_POLL = 10; // After a stall (e.g. a background tab) the rest is dropped
+
+export const systemClock = {
+    now: () => (typeof performance !== 'undefined' ? performance.now() : Date.now()),
+};
+
+// A clock that only moves when advanceClock is called.
+export function createManualClock(time = 0) {
+    const clock = { time, now: () => clock.time };
+    return clock;
+}
+
+export function advanceClock(clock, ms) {
+    clock.time += ms;
+}
+
+export function createTicker(clock = systemClock) {
+    return { clock, lastTime: null, accumulator: 0, tick: 0 };
+}
+
+// Simulation time of the last tick, in ms since the ticker was created.
+export function getTickTime(ticker) {
+    return ticker.tick * TICK_MS;
+}
+
+/**
+ * Reads the clock and returns how many whole ticks are due since the last poll.
+ * The remainder carries over to the next poll.
+ * @param {object} ticker The ticker from createTicker.
+ * @returns {number} Ticks to run, at most MAX_TICKS_PER_POLL.
+ */
+export function pollTicker(ticker) {
+    const now = ticker.clock.now();
+    if (ticker.lastTime === null) ticker.lastTime = now;
+    ticker.accumulator += now - ticker.lastTime;
+    ticker.lastTime = now;
+
+    const ticks = Math.floor(ticker.accumulator / TICK_MS);
+    ticker.accumulator -= ticks * TICK_MS;
+    if (ticks > MAX_TICKS_PER_POLL) {
+        ticker.accumulator = 0;
+        return MAX_TICKS_PER_POLL;
+    }
+    return ticks;
+}
+
+// Moves the ticker on by one tick and returns the new simulation time.
+export function advanceTicker(ticker) {
+    ticker.tick++;
+    return getTickTime(ticker);
+}
+
+// How far the clock is between the last tick and the next one, from 0 to 1, for
+// interpolating what is drawn.
+export function getTickAlpha(ticker) {
+    return Math.min(1, ticker.accumulator / TICK_MS);
+}
@@ -15,9 +15,15 @@ export const blockColors = [
     '#f0f000', // O - Yellow
     '#00f000', // S - Green
     '#a000f0', // T - Purple
-    '#f00000'  // Z - Red
+    '#f00000', // Z - Red
+    '#808080'  // Garbage - Grey
 ];
 
+export const GARBAGE_CELL = 8;
+
+// Garbage rows sent to the opponent, indexed by the number of lines cleared.
+export const DEFAULT_ATTACK_TABLE = [0, 0, 1, 2, 4];
+
 // speed values from T GB
 export const gravityAtLevel = [
     883, 816, 750, 683, 616, 550, 466, 366, 283, 183, 
@@ -0,0 +1,427 @@
+// Fumen strings, the community format for sharing Tetris positions (v115, as read
+// and written by fumen and the tetris-fumen library). A fumen is a list of pages, each
+// a 10x23 field, a piece and a comment. Pages after the first store only how their
+// field differs from the previous page with its piece locked and lines cleared, so a
+// game exported piece by piece stays short.
+//
+// Pages here are in aiTris terms: { grid, block, comment, lock, rise, mirror }, with a
+// 24-row grid like state.grid and the piece as a Block ({ type, x, y, rotation }) or
+// null. Fumen's field is 23 rows tall, so the grid's top hidden row is not exported.
+//
+// A queue is shared as a quiz comment, "#Q=[hold](current)next", e.g. "#Q=[](T)IOSZ".
+
+import { createReplayPlayer, advanceReplay } from './replay.js';
+import { onGameEvent } from './game.js';
+import { blockCoords, GARBAGE_CELL } from './data.js';
+
+const VERSION_PREFIX = 'v115@';
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const COMMENT_CHARS = ' !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~';
+const COMMENT_BASE = COMMENT_CHARS.length + 1;
+const MAX_COMMENT_LENGTH = 4095;
+const FIELD_WIDTH = 10;
+const FIELD_TOP = 23; // Rows of field; one more row below it holds garbage to rise
+const FIELD_CELLS = (FIELD_TOP + 1) * FIELD_WIDTH;
+const NO_CHANGE = 8; // Field diffs are stored offset by this
+const GRID_HEIGHT = 24;
+const QUIZ_PATTERN = /^#Q=\[([IJLOSTZ]?)\]\(([IJLOSTZ]?)\)([IJLOSTZ]*)/;
+const PIECE_LETTERS = 'IJLOSTZ'; // Indexed by piece type
+
+// Fumen numbers its pieces I, L, O, Z, T, J, S from 1, with 8 for garbage.
+const FUMEN_PIECES = [1, 6, 2, 3, 7, 5, 4]; // Indexed by aiTris piece type
+const FUMEN_GARBAGE = 8;
+// Cells around each piece's rotation centre in spawn orientation, y pointing up.
+const FUMEN_SHAPES = {
+    1: [[0, 0], [-1, 0], [1, 0], [2, 0]],
+    2: [[0, 0], [-1, 0], [1, 0], [1, 1]],
+    3: [[0, 0], [1, 0], [0, 1], [1, 1]],
+    4: [[0, 0], [1, 0], [0, 1], [-1, 1]],
+    5: [[0, 0], [-1, 0], [1, 0], [0, 1]],
+    6: [[0, 0], [-1, 0], [1, 0], [-1, 1]],
+    7: [[0, 0], [-1, 0], [0, 1], [1, 1]],
+};
+// Fumen rotations are 0 reverse, 1 right, 2 spawn, 3 left; aiTris counts clockwise from spawn.
+const FUMEN_ROTATIONS = [2, 1, 0, 3]; // Indexed by aiTris rotation
+const AITRIS_ROTATIONS = [2, 1, 0, 3]; // Indexed by fumen rotation
+
+// Fumen stores I, O, S and Z in some rotations one cell off their rotation centre.
+const POSITION_OFFSETS = {
+    '3:3': [1, -1], '3:0': [1, 0], '3:2': [0, -1], // O
+    '1:0': [1, 0], '1:3': [0, -1], // I
+    '7:2': [0, -1], '7:1': [-1, 0], // S
+    '4:2': [0, -1], '4:3': [1, 0], // Z
+};
+
+// --- Fields and pieces ---
+// Fumen fields are flat arrays of FIELD_CELLS fumen cell values, top row first, with
+// the garbage row last. Fumen pieces are { type, rotation, x, y } with type 0 for none
+// and (x, y) the rotation centre, y counting up from the bottom row.
+
+function createField() {
+    return new Array(FIELD_CELLS).fill(0);
+}
+
+function getFieldIndex(x, y) {
+    return (FIELD_TOP - 1 - y) * FIELD_WIDTH + x;
+}
+
+function getFumenCells(piece) {
+    return FUMEN_SHAPES[piece.type].map(([dx, dy]) => {
+        switch (piece.rotation) {
+            case 0: return [piece.x - dx, piece.y - dy];
+            case 1: return [piece.x + dy, piece.y - dx];
+            case 3: return [piece.x - dy, piece.y + dx];
+            default: return [piece.x + dx, piece.y + dy];
+        }
+    });
+}
+
+function isInField(cells) {
+    return cells.every(([x, y]) => x >= 0 && x < FIELD_WIDTH && y >= 0 && y < FIELD_TOP);
+}
+
+// The field the next page starts from: this page's piece locked, full rows cleared,
+// then garbage risen and the field mirrored if the page asks for it.
+function getNextField(field, piece, flags) {
+    const next = field.slice();
+    if (!flags.lock) return next;
+    if (piece.type) {
+        for (const [x, y] of getFumenCells(piece)) next[getFieldIndex(x, y)] = piece.type;
+    }
+    const rows = [];
+    for (let y = 0; y < FIELD_TOP; y++) {
+        const row = next.slice(getFieldIndex(0, y), getFieldIndex(0, y) + FIELD_WIDTH);
+        if (row.some(cell => cell === 0)) rows.push(row);
+    }
+    if (flags.rise) rows.unshift(next.slice(getFieldIndex(0, -1), getFieldIndex(0, -1) + FIELD_WIDTH));
+    const cleared = createField();
+    rows.slice(0, FIELD_TOP).forEach((row, y) => {
+        const cells = flags.mirror ? row.slice().reverse() : row;
+        cleared.splice(getFieldIndex(0, y), FIELD_WIDTH, ...cells);
+    });
+    if (!flags.rise) {
+        cleared.splice(getFieldIndex(0, -1), FIELD_WIDTH, ...next.slice(getFieldIndex(0, -1)));
+    }
+    return cleared;
+}
+
+function gridToField(grid) {
+    const field = createField();
+    for (let y = 0; y < FIELD_TOP; y++) {
+        grid[GRID_HEIGHT - 1 - y].forEach((cell, x) => {
+            field[getFieldIndex(x, y)] = !cell ? 0 : (cell === GARBAGE_CELL ? FUMEN_GARBAGE : FUMEN_PIECES[cell - 1] || FUMEN_GARBAGE);
+        });
+    }
+    return field;
+}
+
+function fieldToGrid(field) {
+    const grid = Array.from({ length: GRID_HEIGHT }, () => new Array(FIELD_WIDTH).fill(0));
+    for (let y = 0; y < FIELD_TOP; y++) {
+        for (let x = 0; x < FIELD_WIDTH; x++) {
+            const cell = field[getFieldIndex(x, y)];
+            grid[GRID_HEIGHT - 1 - y][x] = cell === 0 || cell === FUMEN_GARBAGE ? cell : FUMEN_PIECES.indexOf(cell) + 1;
+        }
+    }
+    return grid;
+}
+
+function cellsKey(cells) {
+    return cells.map(([x, y]) => `${x},${y}`).sort().join(' ');
+}
+
+// Finds the rotation and position in `shapes` that fill `cells`, trying `preferred` first.
+function matchCells(cells, shapes, preferred, place) {
+    const key = cellsKey(cells);
+    const rotations = [preferred, ...[0, 1, 2, 3].filter(rotation => rotation !== preferred)];
+    for (const rotation of rotations) {
+        const shape = shapes(rotation);
+        const dx = Math.min(...cells.map(([x]) => x)) - Math.min(...shape.map(([x]) => x));
+        const dy = Math.min(...cells.map(([, y]) => y)) - Math.min(...shape.map(([, y]) => y));
+        if (cellsKey(shape.map(([x, y]) => [x + dx, y + dy])) === key) return place(rotation, dx, dy);
+    }
+    return null;
+}
+
+function blockToPiece(block) {
+    if (!block || !blockCoords[block.type] || !blockCoords[block.type][block.rotation]) return { type: 0, rotation: 0, x: 0, y: 22 };
+    const cells = blockCoords[block.type][block.rotation].map(([cx, cy]) => [block.x + cx, GRID_HEIGHT - 1 - (block.y + cy)]);
+    const type = FUMEN_PIECES[block.type];
+    const piece = matchCells(cells, rotation => getFumenCells({ type, rotation, x: 0, y: 0 }), FUMEN_ROTATIONS[block.rotation],
+        (rotation, x, y) => ({ type, rotation, x, y }));
+    return piece && isInField(getFumenCells(piece)) ? piece : { type: 0, rotation: 0, x: 0, y: 22 };
+}
+
+function pieceToBlock(piece) {
+    if (!piece.type) return null;
+    const cells = getFumenCells(piece).map(([x, y]) => [x, GRID_HEIGHT - 1 - y]);
+    const type = FUMEN_PIECES.indexOf(piece.type);
+    return matchCells(cells, rotation => blockCoords[type][rotation], AITRIS_ROTATIONS[piece.rotation],
+        (rotation, x, y) => ({ type, rotation, x, y }));
+}
+
+// --- Encoding ---
+
+function pushValue(out, value, digits) {
+    for (let i = 0; i < digits; i++) {
+        out.push(BASE64[value % 64]);
+        value = Math.floor(value / 64);
+    }
+}
+
+// Run-length encodes how `field` differs from `previous`. Returns false if nothing changed.
+function encodeField(out, previous, field) {
+    let diff = field[0] - previous[0] + NO_CHANGE;
+    let count = 0;
+    for (let i = 0; i < FIELD_CELLS; i++) {
+        const cellDiff = field[i] - previous[i] + NO_CHANGE;
+        if (cellDiff !== diff) {
+            pushValue(out, diff * FIELD_CELLS + count - 1, 2);
+            diff = cellDiff;
+            count = 0;
+        }
+        count++;
+    }
+    pushValue(out, diff * FIELD_CELLS + count - 1, 2);
+    return !(diff === NO_CHANGE && count === FIELD_CELLS);
+}
+
+function encodeAction(piece, flags) {
+    const position = POSITION_OFFSETS[`${piece.type}:${piece.rotation}`] || [0, 0];
+    const x = piece.type ? piece.x - position[0] : 0;
+    const y = piece.type ? piece.y - position[1] : 22;
+    let value = flags.lock ? 0 : 1;
+    value = value * 2 + (flags.comment ? 1 : 0);
+    value = value * 2 + (flags.colorize ? 1 : 0);
+    value = value * 2 + (flags.mirror ? 1 : 0);
+    value = value * 2 + (flags.rise ? 1 : 0);
+    value = value * FIELD_CELLS + getFieldIndex(x, y);
+    value = value * 4 + (piece.type ? piece.rotation : 0);
+    return value * 8 + piece.type;
+}
+
+function encodeComment(out, comment) {
+    const escaped = escape(comment).slice(0, MAX_COMMENT_LENGTH);
+    pushValue(out, escaped.length, 2);
+    for (let i = 0; i < escaped.length; i += 4) {
+        let value = 0;
+        for (let j = Math.min(3, escaped.length - i - 1); j >= 0; j--) {
+            value = value * COMMENT_BASE + Math.max(0, COMMENT_CHARS.indexOf(escaped[i + j]));
+        }
+        pushValue(out, value, 5);
+    }
+}
+
+/**
+ * Encodes pages as a fumen string.
+ * @param {object[]} pages Items of { grid, block, comment, lock }: the board, the piece
+ *   on it (or null), an optional comment, and whether the piece locks into the next
+ *   page's board (default true). Comments carry over to later pages until changed.
+ * @returns {string} The fumen, starting "v115@".
+ */
+export function encodeFumen(pages) {
+    const out = [];
+    let previous = createField();
+    let previousComment = '';
+    let repeatIndex = -1; // Where the count of pages repeating the last unchanged field is
+    pages.forEach((page, index) => {
+        const field = gridToField(page.grid);
+        const fieldOut = [];
+        if (encodeField(fieldOut, previous, field)) {
+            out.push(...fieldOut);
+            repeatIndex = -1;
+        } else if (repeatIndex < 0 || BASE64.indexOf(out[repeatIndex]) === 63) {
+            out.push(...fieldOut, BASE64[0]);
+            repeatIndex = out.length - 1;
+        } else {
+            out[repeatIndex] = BASE64[BASE64.indexOf(out[repeatIndex]) + 1];
+        }
+
+        const comment = page.comment ?? previousComment;
+        const flags = {
+            lock: page.lock !== false,
+            comment: index === 0 ? comment !== '' : comment !== previousComment,
+            colorize: index === 0,
+            mirror: false,
+            rise: false,
+        };
+        const piece = blockToPiece(page.block);
+        pushValue(out, encodeAction(piece, flags), 3);
+        if (flags.comment) encodeComment(out, comment);
+        previousComment = comment;
+        previous = getNextField(field, piece, flags);
+    });
+
+    // Fumen breaks long data up with '?' so it can wrap: after 42 characters, then every 47.
+    const data = out.join('');
+    const chunks = [data.slice(0, 42)];
+    for (let i = 42; i < data.length; i += 47) chunks.push(data.slice(i, i + 47));
+    return VERSION_PREFIX + chunks.join('?');
+}
+
+// --- Decoding ---
+
+function createReader(data) {
+    let position = 0;
+    return {
+        read(digits) {
+            let value = 0;
+            for (let i = digits - 1; i >= 0; i--) {
+                const digit = BASE64.indexOf(data[position + i]);
+                if (digit < 0) throw new Error(`unexpected '${data[position + i] ?? 'end'}' at ${position + i}`);
+                value = value * 64 + digit;
+            }
+            position += digits;
+            return value;
+        },
+        get done() {
+            return position >= data.length;
+        },
+    };
+}
+
+function decodeAction(value) {
+    const type = value % 8;
+    value = Math.floor(value / 8);
+    const rotation = value % 4;
+    value = Math.floor(value / 4);
+    const index = value % FIELD_CELLS;
+    value = Math.floor(value / FIELD_CELLS);
+    const flags = {};
+    for (const flag of ['rise', 'mirror', 'colorize', 'comment']) {
+        flags[flag] = value % 2 === 1;
+        value = Math.floor(value / 2);
+    }
+    flags.lock = value % 2 === 0;
+    const position = POSITION_OFFSETS[`${type}:${rotation}`] || [0, 0];
+    const x = index % FIELD_WIDTH + position[0];
+    const y = FIELD_TOP - 1 - Math.floor(index / FIELD_WIDTH) + position[1];
+    return { piece: { type, rotation, x, y }, flags };
+}
+
+function decodeComment(reader) {
+    const length = reader.read(2);
+    let escaped = '';
+    for (let i = 0; i < length; i += 4) {
+        let value = reader.read(5);
+        for (let j = 0; j < 4; j++) {
+            escaped += COMMENT_CHARS[value % COMMENT_BASE] ?? ' ';
+            value = Math.floor(value / COMMENT_BASE);
+        }
+    }
+    return unescape(escaped.slice(0, length));
+}
+
+/**
+ * Decodes a fumen string. Anything before the version, such as a fumen URL, is ignored.
+ * @param {string} text The fumen, e.g. "v115@vhAAgH".
+ * @returns {{ grid: number[][], block: { type: number, x: number, y: number, rotation: number }|null,
+ *   comment: string, lock: boolean, rise: boolean, mirror: boolean }[]|null} Its pages, or
+ *   null if it can't be read.
+ */
+export function decodeFumen(text) {
+    const match = /[vmd]115@([\w+/?]*)/.exec(String(text).trim());
+    if (!match) {
+        console.error('Not a v115 fumen.');
+        return null;
+    }
+    const reader = createReader(match[1].replace(/\?/g, ''));
+    const pages = [];
+    let previous = createField();
+    let comment = '';
+    let repeats = 0; // Pages left that reuse the previous field unchanged
+    try {
+        while (!reader.done) {
+            let field = previous;
+            if (repeats > 0) {
+                repeats--;
+            } else {
+                field = previous.slice();
+                let cells = 0;
+                while (cells < FIELD_CELLS) {
+                    const value = reader.read(2);
+                    const diff = Math.floor(value / FIELD_CELLS) - NO_CHANGE;
+                    const count = value % FIELD_CELLS + 1;
+                    if (cells + count > FIELD_CELLS) throw new Error('field overflows');
+                    for (let i = cells; i < cells + count; i++) field[i] += diff;
+                    if (diff === 0 && count === FIELD_CELLS) repeats = reader.read(1);
+                    cells += count;
+                }
+                if (field.some(cell => cell < 0 || cell > FUMEN_GARBAGE)) throw new Error('field cell out of range');
+            }
+
+            const { piece, flags } = decodeAction(reader.read(3));
+            if (piece.type && !isInField(getFumenCells(piece))) {
+                throw new Error(`page ${pages.length + 1} piece is outside the field`);
+            }
+            if (flags.comment) comment = decodeComment(reader);
+            pages.push({
+                grid: fieldToGrid(field),
+                block: pieceToBlock(piece),
+                comment,
+                lock: flags.lock,
+                rise: flags.rise,
+                mirror: flags.mirror,
+            });
+            previous = getNextField(field, piece, flags);
+        }
+    } catch (e) {
+        console.error('Fumen is corrupt: ' + e.message);
+        return null;
+    }
+    if (pages.length === 0) {
+        console.error('Fumen has no pages.');
+        return null;
+    }
+    return pages;
+}
+
+// --- Queues ---
+
+// The quiz comment for a queue, e.g. "#Q=[](T)IOSZ". Pieces are letters, hold may be null.
+export function getQuizComment(hold, current, queue) {
+    return `#Q=[${hold || ''}](${current || ''})${queue.join('')}`;
+}
+
+// Reads a quiz comment back into { hold, current, queue }, or null if it isn't one.
+export function parseQuizComment(comment) {
+    const match = QUIZ_PATTERN.exec(comment || '');
+    if (!match) return null;
+    return { hold: match[1] || null, current: match[2] || null, queue: [...match[3]] };
+}
+
+// --- Games ---
+
+/**
+ * One page per piece locked in a replay: the board before the piece landed, with the
+ * piece where it landed. Garbage and line clears show up as the boards change.
+ * @param {object} replay A replay from parseReplay.
+ * @returns {object[]} Pages for encodeFumen.
+ */
+export function getReplayFumenPages(replay) {
+    const player = createReplayPlayer(replay);
+    const pages = [];
+    onGameEvent(player.state, 'pieceLocked', ({ piece, x, y, rotation }, state) => {
+        const grid = state.grid.map(row => row.slice());
+        const cells = blockCoords[piece][rotation].map(([cx, cy]) => [x + cx, y + cy]);
+        // A piece locked as the game tops out can stick up past the grid; only its
+        // cells on the grid are taken back off.
+        if (cells.some(([col, row]) => !grid[row] || grid[row][col] === undefined)) {
+            console.warn(`Piece ${pages.length + 1} locked partly outside the board.`);
+        }
+        for (const [col, row] of cells) {
+            if (grid[row] && grid[row][col] !== undefined) grid[row][col] = 0;
+        }
+        pages.push({ grid, block: { type: piece, x, y, rotation } });
+    });
+    advanceReplay(player, replay.duration);
+    if (pages.length > 0) {
+        pages[0].comment = `aiTris seed ${replay.seed}, ${replay.strategy}`;
+    }
+    return pages;
+}
+
+// The letter of a page's piece, or null.
+export function getPagePieceLetter(page) {
+    return page.block ? PIECE_LETTERS[page.block.type] : null;
+}
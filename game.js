@@ -1,26 +1,101 @@
 
 import {
-    blockCoords, gravityAtLevel, BLOCK_I, BLOCK_O,
+    blockCoords, gravityAtLevel, BLOCK_I, BLOCK_O, BLOCK_T, GARBAGE_CELL,
     rotIleft, rotIright, rotJLTSZleft, rotJLTSZright
 } from './data.js';
+import { getPiece } from './randomizer.js';
+import { getScoringRules, scoreLock, DEFAULT_SCORING } from './scoring.js';
+import { getGameMode, getReachedGoal, DEFAULT_GAME_MODE } from './gameModes.js';
 
 const COLS = 10;
 const GRID_HEIGHT = 24; // 20 visible + 4 hidden
 const BLANK_ROW = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+export const SPAWN_POSITION = { x: 3, y: 2, rotation: 0 };
+export const LOCK_DELAY = 500; // ms a grounded piece waits before locking
+export const MOVE_RESET_LIMIT = 15; // Moves/rotations that may restart the lock delay on one row
+export const GAME_EVENTS = ['pieceSpawned', 'pieceLocked', 'linesCleared', 'levelUp', 'topOut', 'goalReached', 'hold'];
+
+const CLEAR_TYPES = [null, 'single', 'double', 'triple', 'aitris'];
+
+// --- Events ---
+
+/**
+ * Subscribes to an engine event. Events and their details:
+ *   pieceSpawned { piece, next }                      a new piece entered the board
+ *   pieceLocked  { piece, x, y, rotation, tSpin, cleared }
+ *   linesCleared { count, type, rows, tSpin, perfectClear, points, labels, attack }
+ *   levelUp      { level, speed }
+ *   topOut       { cause }                            'spawn', 'hold' or 'garbage'
+ *   goalReached  { goal, elapsed }                    the mode's 'lines' or 'time' goal ended the game
+ *   hold         { held, piece }                      piece types swapped out and in
+ * Listeners run synchronously while the engine updates, and must not change `state`.
+ * @param {object} state The game state.
+ * @param {string} event One of GAME_EVENTS.
+ * @param {function(object, object): void} listener Called with (detail, state).
+ * @returns {function(): void} Unsubscribes the listener.
+ */
+export function onGameEvent(state, event, listener) {
+    if (!GAME_EVENTS.includes(event)) {
+        console.error(`Unknown game event '${event}'.`);
+        return () => {};
+    }
+    if (!state.listeners[event]) state.listeners[event] = [];
+    state.listeners[event].push(listener);
+    return () => offGameEvent(state, event, listener);
+}
+
+export function offGameEvent(state, event, listener) {
+    const listeners = state.listeners[event];
+    if (!listeners) return;
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+}
+
+// A failing listener is logged and skipped so it can't break the game.
+function emit(state, event, detail) {
+    const listeners = state.listeners && state.listeners[event];
+    if (!listeners || listeners.length === 0) return;
+    for (const listener of listeners.slice()) {
+        try {
+            listener(detail, state);
+        } catch (e) {
+            console.error(`Error in '${event}' listener: ` + e.message);
+        }
+    }
+}
+
+function topOut(state, cause) {
+    state.gameOver = true;
+    state.Block = {}; // Clear active block
+    updateGhostPiece(state);
+    emit(state, 'topOut', { cause });
+}
+
+// Ends a game that reached its mode's goal. Unlike a top out the game counts as finished.
+function completeGame(state, goal) {
+    state.gameOver = true;
+    state.completed = goal;
+    state.Block = {};
+    updateGhostPiece(state);
+    emit(state, 'goalReached', { goal, elapsed: state.elapsed });
+}
 
 function createEmptyGrid() {
     return Array.from({ length: GRID_HEIGHT }, () => BLANK_ROW.slice());
 }
 
-export function createInitialState(startLevel = 0, pieceQueue) {
+export function createInitialState(startLevel = 0, pieceSequence, options = {}) {
     const state = {};
-    state.pieceQueue = pieceQueue;
+    state.pieceSequence = pieceSequence; // Shared with the opponent in battle mode
     state.pieceQueueIndex = 0;
 
-    state.grid = createEmptyGrid();
+    state.grid = options.grid || createEmptyGrid(); // The first piece spawns against it
     state.Next = {
-        type: state.pieceQueue[state.pieceQueueIndex],
+        type: getPiece(state.pieceSequence, state.pieceQueueIndex),
     };
+    state.Block = { ...state.Next, ...SPAWN_POSITION }; // The active piece, spawned below
+    state.Hold = null;
+    state.canHold = true; // Reset every time a new piece spawns
     state.ghostPiece = null;
     state.linesBeingCleared = null;
     state.gameOver = false;
@@ -28,10 +103,40 @@ export function createInitialState(startLevel = 0, pieceQueue) {
     state.lines = 0;
     state.level = startLevel;
     state.speed = gravityAtLevel[startLevel] || 50;
-    state.dropTickStart = 0;
+    // Gravity and lock delay timestamps, in the `now` passed to updateGravity. Null
+    // means the timer starts on the next update.
+    state.dropTickStart = null;
+    state.lockStart = null;
+    state.lockResets = 0; // Lock delay restarts used since the piece reached lowestY
+    state.lowestY = SPAWN_POSITION.y;
     state.softDrop = 0;
     state.levelUp = (startLevel * 10) + 10;
     state.iPieceDrought = 0;
+    state.pieces = 0; // Pieces locked so far
+
+    // Scoring. lastRotationKick is the SRS kick test the last successful rotation
+    // used, or null if the piece has moved some other way since.
+    state.scoring = options.scoring || DEFAULT_SCORING;
+    state.lastRotationKick = null;
+    state.backToBack = false; // Whether the last line clear was an aitris or T-spin
+    state.combo = -1; // Consecutive line-clearing locks, minus one
+    state.lastClear = null; // { labels, points, piece } for the most recent scoring lock
+
+    state.seed = options.seed ?? null; // Seed the piece sequence was generated from, if any
+
+    // Game mode, see gameModes.js. completed is the goal that ended the game, or null.
+    // The game clock runs in the `now` passed to updateGameClock, from its first call.
+    state.mode = options.mode || DEFAULT_GAME_MODE;
+    state.completed = null;
+    state.startTime = null;
+    state.elapsed = 0; // ms played, frozen when the game ends
+
+    // Battle garbage. attackTable is null when the game has no opponent.
+    state.attackTable = options.attackTable || null;
+    state.garbageQueue = []; // Incoming batches of { lines, holeColumn }
+    state.outgoingGarbage = 0; // Lines waiting to be sent to the opponent
+
+    state.listeners = {}; // Event name -> listeners, see onGameEvent
 
     spawnBlock(state);
     return state;
@@ -66,9 +171,46 @@ function updateGhostPiece(state) {
     state.ghostPiece = { ...state.Block, y: ghostY };
 }
 
+// T-spin corners relative to the piece origin for each rotation. The first two are
+// the corners on the side the T points towards.
+const T_SPIN_CORNERS = [
+    [[0, 0], [2, 0], [0, 2], [2, 2]],
+    [[2, 0], [2, 2], [0, 0], [0, 2]],
+    [[0, 2], [2, 2], [0, 0], [2, 0]],
+    [[0, 0], [0, 2], [2, 0], [2, 2]],
+];
+const T_SPIN_UPGRADE_KICK = 4; // A mini that needed the last SRS kick counts as a full T-spin
+
+/**
+ * Classifies a T piece lock with the 3-corner rule. Only call this when the piece's
+ * last movement was a rotation.
+ * @param {function(number, number): boolean} isOccupied (col, row) -> whether the cell is filled or off the board.
+ * @param {object} piece The T piece where it locks.
+ * @param {number|null} kickIndex The SRS kick test the rotation used.
+ * @returns {string|null} 'full', 'mini' or null if it isn't a T-spin.
+ */
+export function classifyTSpin(isOccupied, piece, kickIndex) {
+    if (piece.type !== BLOCK_T) return null;
+    const occupied = T_SPIN_CORNERS[piece.rotation].map(([dx, dy]) => isOccupied(piece.x + dx, piece.y + dy));
+    if (occupied.filter(Boolean).length < 3) return null;
+    if ((occupied[0] && occupied[1]) || kickIndex === T_SPIN_UPGRADE_KICK) return 'full';
+    return 'mini';
+}
+
+function isGridCellOccupied(grid, col, row) {
+    if (col < 0 || col >= COLS || row >= GRID_HEIGHT) return true;
+    return row >= 0 && grid[row][col] !== 0;
+}
+
+function getLockTSpin(state) {
+    if (state.lastRotationKick === null) return null;
+    return classifyTSpin((col, row) => isGridCellOccupied(state.grid, col, row), state.Block, state.lastRotationKick);
+}
+
 function lockBlock(state) {
     state.score += state.softDrop;
     state.softDrop = 0;
+    state.pieces++;
     state.iPieceDrought++; // Increment drought counter for every piece placed
     const shape = blockCoords[state.Block.type][state.Block.rotation];
     for (const coord of shape) {
@@ -81,6 +223,8 @@ function lockBlock(state) {
 }
 
 export function placePiece(state) {
+    const tSpin = getLockTSpin(state);
+    const { type, x, y, rotation } = state.Block;
     lockBlock(state);
 
     const linesToClear = [];
@@ -90,21 +234,29 @@ export function placePiece(state) {
         }
     }
 
+    const perfectClear = linesToClear.length > 0 &&
+        state.grid.every((row, r) => linesToClear.includes(r) || row.every(cell => cell === 0));
+    const { points, labels } = scoreLock(getScoringRules(state.scoring), state, { cleared: linesToClear.length, tSpin, perfectClear });
+    state.score += points;
+    if (labels.length > 0) {
+        state.lastClear = { labels, points, piece: state.pieces };
+    }
+    emit(state, 'pieceLocked', { piece: type, x, y, rotation, tSpin, cleared: linesToClear.length });
+
     if (linesToClear.length > 0) {
         // If an I-piece clears lines (likely a 4line), reset the drought counter.
         if (state.Block.type === BLOCK_I) {
             state.iPieceDrought = 0;
         }
         state.linesBeingCleared = linesToClear;
-        // Update score and level immediately
+        // Update level immediately
         const clearedCount = linesToClear.length;
-        switch (clearedCount) {
-            case 1: state.score += 40 * (state.level + 1); break;
-            case 2: state.score += 100 * (state.level + 1); break;
-            case 3: state.score += 300 * (state.level + 1); break;
-            case 4: state.score += 1200 * (state.level + 1); break;
-        }
+        const attack = sendAttack(state, clearedCount);
         state.lines += clearedCount;
+        emit(state, 'linesCleared', {
+            count: clearedCount, type: CLEAR_TYPES[clearedCount], rows: linesToClear.slice(),
+            tSpin, perfectClear, points, labels, attack,
+        });
         if (state.lines >= state.levelUp) {
             state.level++;
             state.levelUp += 10;
@@ -113,13 +265,77 @@ export function placePiece(state) {
             } else {
                 state.speed = 50;
             }
+            emit(state, 'levelUp', { level: state.level, speed: state.speed });
         }
+        // The rows still clear; finishLineClear leaves a finished game without a next piece.
+        const goal = getReachedGoal(getGameMode(state.mode), state);
+        if (goal) completeGame(state, goal);
     } else {
+        // Garbage only rises when a piece locks without clearing anything.
+        applyGarbage(state);
+        if (state.gameOver) return;
         // If no lines are cleared, spawn the next piece immediately.
         spawnBlock(state);
     }
 }
 
+export function getAttackForLines(attackTable, clearedCount) {
+    if (!attackTable || clearedCount <= 0) return 0;
+    return attackTable[Math.min(clearedCount, attackTable.length - 1)] || 0;
+}
+
+export function getPendingGarbage(state) {
+    return state.garbageQueue.reduce((sum, entry) => sum + entry.lines, 0);
+}
+
+// Returns the lines sent after cancelling incoming garbage.
+function sendAttack(state, clearedCount) {
+    let attack = getAttackForLines(state.attackTable, clearedCount);
+    // Incoming garbage is cancelled before anything is sent.
+    while (attack > 0 && state.garbageQueue.length > 0) {
+        const entry = state.garbageQueue[0];
+        const cancelled = Math.min(attack, entry.lines);
+        entry.lines -= cancelled;
+        attack -= cancelled;
+        if (entry.lines === 0) {
+            state.garbageQueue.shift();
+        }
+    }
+    state.outgoingGarbage += attack;
+    return attack;
+}
+
+export function receiveGarbage(state, lines, random = Math.random) {
+    return queueGarbage(state, lines, Math.floor(random() * COLS));
+}
+
+export function queueGarbage(state, lines, holeColumn) {
+    if (lines <= 0 || state.gameOver) return null;
+    const entry = { lines, holeColumn };
+    state.garbageQueue.push(entry);
+    return { ...entry };
+}
+
+function applyGarbage(state) {
+    let toppedOut = false;
+    while (state.garbageQueue.length > 0) {
+        const { lines, holeColumn } = state.garbageQueue.shift();
+        for (let i = 0; i < lines; i++) {
+            // Rows pushed out of the top of the grid mean a top out.
+            const topRow = state.grid.shift();
+            if (topRow.some(cell => cell !== 0)) {
+                toppedOut = true;
+            }
+            const garbageRow = Array(COLS).fill(GARBAGE_CELL);
+            garbageRow[holeColumn] = 0;
+            state.grid.push(garbageRow);
+        }
+    }
+    if (toppedOut) {
+        topOut(state, 'garbage');
+    }
+}
+
 export function finishLineClear(state) {
     if (!state.linesBeingCleared) return;
 
@@ -135,65 +351,185 @@ export function finishLineClear(state) {
     }
 
     state.linesBeingCleared = null;
+    if (state.gameOver) return; // The clear reached the mode's goal
     spawnBlock(state); // Spawn the next piece after clearing
 }
 
 
+// Returns the piece type `offset` places after the Next piece.
+export function peekPiece(state, offset) {
+    return getPiece(state.pieceSequence, state.pieceQueueIndex + offset);
+}
+
 export function spawnBlock(state) {
     state.pieceQueueIndex++;
-    if (state.pieceQueueIndex >= state.pieceQueue.length) {
-        state.pieceQueueIndex = 0;
-    }
-    const nextPieceType = state.pieceQueue[state.pieceQueueIndex];
+    const nextPieceType = getPiece(state.pieceSequence, state.pieceQueueIndex);
 
-    const startPos = { x: 3, y: 2, rotation: 0 };
-    if (collidesWithGrid(state.grid, { ...state.Next, ...startPos }, 0, 0, 0)) {
-        state.gameOver = true;
-        state.Block = {}; // Clear active block
-        updateGhostPiece(state);
+    if (collidesWithGrid(state.grid, { ...state.Next, ...SPAWN_POSITION }, 0, 0, 0)) {
+        topOut(state, 'spawn');
         return;
     }
 
     state.Block = {
         ...state.Next,
-        ...startPos
+        ...SPAWN_POSITION
     };
+    resetPieceTimers(state);
     state.Next = {
         type: nextPieceType
     };
+    state.canHold = true;
     updateGhostPiece(state);
+    emit(state, 'pieceSpawned', { piece: state.Block.type, next: state.Next.type });
 }
 
-export function applyGravity(state) {
-    if (collidesWithGrid(state.grid, state.Block, 0, 1, 0)) {
-        placePiece(state);
+export function hold(state) {
+    if (!state.Block.type && state.Block.type !== 0) return;
+    if (!state.canHold) return;
+
+    const heldType = state.Block.type;
+    state.softDrop = 0;
+    if (state.Hold) {
+        // Swap the held piece back in at the spawn position.
+        if (collidesWithGrid(state.grid, { ...state.Hold, ...SPAWN_POSITION }, 0, 0, 0)) {
+            topOut(state, 'hold');
+            return;
+        }
+        state.Block = { ...state.Hold, ...SPAWN_POSITION };
+        resetPieceTimers(state);
+        updateGhostPiece(state);
     } else {
-        state.Block.y++;
+        spawnBlock(state);
+        if (state.gameOver) return;
+    }
+    state.Hold = { type: heldType };
+    state.canHold = false;
+    emit(state, 'hold', { held: heldType, piece: state.Block.type });
+}
+
+// --- Gravity & Lock Delay ---
+
+function resetPieceTimers(state) {
+    state.dropTickStart = null;
+    state.lockStart = null;
+    state.lockResets = 0;
+    state.lowestY = state.Block.y;
+    state.lastRotationKick = null;
+}
+
+function hasActiveBlock(state) {
+    return !!state.Block && typeof state.Block.type !== 'undefined';
+}
+
+export function isGrounded(state) {
+    return collidesWithGrid(state.grid, state.Block, 0, 1, 0);
+}
+
+// Reaching a new lowest row gives the piece its full set of lock delay restarts back.
+function noteDescent(state) {
+    if (state.Block.y > state.lowestY) {
+        state.lowestY = state.Block.y;
+        state.lockResets = 0;
     }
-    state.dropTickStart = Date.now();
 }
 
+// A successful move or rotation restarts the lock delay, up to MOVE_RESET_LIMIT times.
+function resetLockDelay(state) {
+    if (state.lockStart !== null && state.lockResets < MOVE_RESET_LIMIT) {
+        state.lockStart = null;
+        state.lockResets++;
+    }
+}
+
+// Moves the piece down one row if it can. Locking is left to the lock delay.
+export function applyGravity(state) {
+    if (!hasActiveBlock(state) || isGrounded(state)) return;
+    state.Block.y++;
+    state.lastRotationKick = null;
+    noteDescent(state);
+}
+
+// Locks a grounded piece where it is, as when its lock delay runs out.
+export function lockPiece(state) {
+    if (!hasActiveBlock(state) || !isGrounded(state)) return;
+    placePiece(state);
+}
+
+/**
+ * Advances the game clock to `now` and ends the game when its mode's time limit runs
+ * out. Call it every update, before the game's actions; the first call starts the clock.
+ * @param {object} state The game state.
+ * @param {number} now The current time in ms, on the same clock as updateGravity.
+ */
+export function updateGameClock(state, now) {
+    if (state.gameOver) return;
+    if (state.startTime === null) state.startTime = now;
+    state.elapsed = now - state.startTime;
+    const { timeLimit } = getGameMode(state.mode);
+    if (timeLimit !== null && state.elapsed >= timeLimit) {
+        state.elapsed = timeLimit;
+        completeGame(state, 'time');
+    }
+}
+
+/**
+ * Runs gravity at the level's speed and the lock delay up to `now`.
+ * @param {object} state The game state.
+ * @param {number} now The current time in ms.
+ * @returns {string[]} The actions gravity performed, 'gravity' per row fallen and
+ *   'lock', so they can be recorded and replayed with applyAction.
+ */
+export function updateGravity(state, now) {
+    const actions = [];
+    if (state.gameOver || state.linesBeingCleared || !hasActiveBlock(state)) return actions;
+
+    if (state.dropTickStart === null) state.dropTickStart = now;
+    while (!isGrounded(state) && now - state.dropTickStart >= state.speed) {
+        state.dropTickStart += state.speed;
+        applyGravity(state);
+        actions.push('gravity');
+    }
+
+    if (!isGrounded(state)) {
+        state.lockStart = null;
+        return actions;
+    }
+    state.dropTickStart = now; // Falling resumes a full row interval after leaving the ground
+    if (state.lockStart === null) state.lockStart = now;
+    if (now - state.lockStart >= LOCK_DELAY) {
+        lockPiece(state);
+        actions.push('lock');
+    }
+    return actions;
+}
+
+
 export function moveLeft(state) {
     if (!collidesWithGrid(state.grid, state.Block, -1, 0, 0)) {
         state.Block.x--;
+        state.lastRotationKick = null;
+        resetLockDelay(state);
         updateGhostPiece(state);
     }
 }
 export function moveRight(state) {
     if (!collidesWithGrid(state.grid, state.Block, 1, 0, 0)) {
         state.Block.x++;
+        state.lastRotationKick = null;
+        resetLockDelay(state);
         updateGhostPiece(state);
     }
 }
 export function moveDown(state) {
     if (!collidesWithGrid(state.grid, state.Block, 0, 1, 0)) {
         state.Block.y++;
+        state.lastRotationKick = null;
+        noteDescent(state);
         state.softDrop++;
-        state.dropTickStart = Date.now();
+        state.dropTickStart = null;
     }
     // NOTE: The 'else' part that called placePiece() is removed.
-    // Locking is now exclusively handled by hardDrop() to give the AI
-    // full control over piece placement via its action queue.
+    // Locking is handled by hardDrop() and the lock delay in updateGravity().
 }
 
 function rotate(state, srsArray) {
@@ -203,6 +539,9 @@ function rotate(state, srsArray) {
             state.Block.x += x;
             state.Block.y += y;
             state.Block.rotation = (state.Block.rotation + r) % 4;
+            state.lastRotationKick = i;
+            noteDescent(state); // Kicks can move the piece down
+            resetLockDelay(state);
             updateGhostPiece(state);
             return;
         }
@@ -228,7 +567,29 @@ export function hardDrop(state) {
     const ghostY = calculateGhostPosition(state.Block, state.grid);
     const cellsDropped = ghostY - state.Block.y;
     state.score += cellsDropped * 2;
+    if (cellsDropped > 0) {
+        state.lastRotationKick = null; // Dropping after a rotation spoils a T-spin
+    }
     state.Block.y = ghostY;
     placePiece(state);
-    state.dropTickStart = Date.now();
+}
+
+// Applies a named action, as produced by the AI move queue, keyboard input or a replay.
+// Returns whether it did anything; a move into a wall leaves the game as it was.
+export function applyAction(state, action) {
+    const block = state.Block;
+    const { x, y, rotation } = block;
+    switch (action) {
+        case 'moveL': moveLeft(state); break;
+        case 'moveR': moveRight(state); break;
+        case 'rotateL': rotateLeft(state); break;
+        case 'rotateR': rotateRight(state); break;
+        case 'softD': moveDown(state); break;
+        case 'hardD': hardDrop(state); break;
+        case 'hold': hold(state); break;
+        case 'gravity': applyGravity(state); break;
+        case 'lock': lockPiece(state); break;
+    }
+    // Locking, holding and topping out all replace the active block.
+    return state.Block !== block || block.x !== x || block.y !== y || block.rotation !== rotation;
 }
@@ -0,0 +1,83 @@
+// Game modes: what a game is played for and when it ends. 'endless' is the original
+// game, played until the stack tops out. The others end early once their goal, a
+// line count or a time limit, is reached. The engine checks the goals (see game.js);
+// the objective says how finished games compare, in battle rankings and as a
+// training fitness.
+
+export const GAME_MODES = {
+    endless: {
+        name: 'Endless',
+        lines: null,
+        timeLimit: null,
+        objective: 'score',
+    },
+    sprint: {
+        name: 'Sprint (40 Lines)',
+        lines: 40,
+        timeLimit: null,
+        objective: 'time', // Fastest to clear the lines
+    },
+    ultra: {
+        name: 'Ultra (2 Minutes)',
+        lines: null,
+        timeLimit: 120000, // ms
+        objective: 'score',
+    },
+    marathon: {
+        name: 'Marathon (150 Lines)',
+        lines: 150,
+        timeLimit: null,
+        objective: 'score',
+    },
+    marathon200: {
+        name: 'Marathon (200 Lines)',
+        lines: 200,
+        timeLimit: null,
+        objective: 'score',
+    },
+};
+
+export const DEFAULT_GAME_MODE = 'endless';
+
+export function getGameMode(name) {
+    return GAME_MODES[name] || GAME_MODES[DEFAULT_GAME_MODE];
+}
+
+// 'lines' once `state` has cleared the mode's line goal, otherwise null. Time limits
+// are checked against the game clock instead, see updateGameClock in game.js.
+export function getReachedGoal(mode, state) {
+    if (mode.lines !== null && state.lines >= mode.lines) return 'lines';
+    return null;
+}
+
+/**
+ * Training fitness for a game's mode. Score modes use the score. Sprint uses lines
+ * per minute, scaled down by the share of the 40 lines still missing when the game
+ * ended, so finishing always beats topping out and finishing faster beats both.
+ * Simulated games clock a fixed time per piece (see piecesPerSecond in simulate.js),
+ * so for them this is really lines per piece, not speed.
+ * @param {object} result A simulation result with mode, score, lines and time.
+ * @returns {number} The fitness, higher is better.
+ */
+export function getModeFitness(result) {
+    const mode = getGameMode(result.mode);
+    if (mode.objective !== 'time') return result.score;
+    const minutes = result.time / 60000;
+    if (minutes <= 0) return 0;
+    const lines = Math.min(result.lines, mode.lines);
+    return (lines / minutes) * (lines / mode.lines);
+}
+
+// e.g. "1:05.4", tenths so the time fits the HUD gutter. Negative times show as zero.
+export function formatGameTime(ms) {
+    const tenths = Math.floor(Math.max(0, ms) / 100);
+    const minutes = Math.floor(tenths / 600);
+    const seconds = Math.floor(tenths / 10) % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}.${tenths % 10}`;
+}
+
+// The time the HUD shows for a game: the time left in timed modes, the time played otherwise.
+export function getTimerText(state) {
+    const mode = getGameMode(state.mode);
+    return formatGameTime(mode.timeLimit !== null ? mode.timeLimit - state.elapsed : state.elapsed);
+}
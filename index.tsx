@@ -2,92 +2,144 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
-import { createInitialState, finishLineClear, moveLeft, moveRight, rotateLeft, rotateRight, hardDrop, moveDown } from './game.js';
-import { initWebglContext, createProjectionMatrix, getGameBoardDrawData, getNextPieceDrawData, getDividerDrawData, clearCanvas, drawScene, getPreviewFrameDrawData, getTextDrawData } from './render.js';
-import { findBestMove, mutateWeights, BASE_SURVIVAL_WEIGHTS, BASE_WELL_WEIGHTS } from './ai.js';
+import { createInitialState, getPendingGarbage } from './game.js';
+import { initWebglContext, createProjectionMatrix, getGameBoardDrawData, getNextPieceDrawData, getDividerDrawData, clearCanvas, drawScene, getPreviewFrameDrawData, getTextDrawData, getGarbageMeterDrawData, getPieceOutlineDrawData, HIDDEN_ROWS } from './render.js';
+import { findBestMove, getPlanningState, parseDiscounts, DEFAULT_SEARCH_OPTIONS, MAX_SEARCH_DEPTH } from './ai.js';
+import { listStrategies, resolveStrategy, getDefaultWeights, getStrategyIds, DEFAULT_STRATEGY } from './strategies.js';
+import { pressKey, releaseKey, releaseAllKeys, DEFAULT_HUMAN_TIMINGS } from './input.js';
+import { DEFAULT_ATTACK_TABLE, GARBAGE_CELL, blockCoords, blockColors } from './data.js';
+import { createPieceSequence, createSeededPieceSequence, RANDOMIZERS, DEFAULT_RANDOMIZER } from './randomizer.js';
+import { serializeReplay, parseReplay, createReplayPlayer, advanceReplay, stepReplay, seekReplay, isReplayFinished } from './replay.js';
+import { deriveSeed, randomSeed, parseSeed } from './rng.js';
+import { createTrainer, runTrainer, takeEvaluation, returnEvaluation, completeEvaluation, getGenerationSample, getTrainerProgress, DEFAULT_TRAINER_CONFIG } from './trainer.js';
+import { createWorkerPool, runInWorker, isWorkerPoolAlive, getPendingJobCount } from './workerPool.js';
+import { SCORING_RULES, DEFAULT_SCORING } from './scoring.js';
+import { GAME_MODES, DEFAULT_GAME_MODE, getGameMode, getTimerText } from './gameModes.js';
+import { createTicker, systemClock, pollTicker, advanceTicker, getTickAlpha, TICK_MS } from './clock.js';
+import { Player, updateGame, exchangeGarbage } from './player.js';
+import { createTournament, takeMatch, returnMatch, completeMatch, runTournament, getMatchPlayers, getTournamentProgress, isTournamentFinished, getStandings, loadRatings, saveRatings, RUN_TYPES, DEFAULT_TOURNAMENT_CONFIG } from './tournament.js';
+import { getBattleWinner } from './simulate.js';
+import { getBattleLayout, BOARD_WIDTH, GUTTER_WIDTH } from './layout.js';
+import { finishGameStats, getStatsSummary } from './stats.js';
+import { createPuzzleState, solvePuzzle, runPuzzleSuite, encodeRows, formatPath, describeTarget, loadPuzzleLibrary, savePuzzleLibrary, serializePuzzles, parsePuzzles, PIECE_LETTERS } from './puzzles.js';
+import { encodeFumen, decodeFumen, getReplayFumenPages, getQuizComment, parseQuizComment, getPagePieceLetter } from './fumen.js';
+import { loadWeightLibrary, saveWeightLibrary, addWeightSet, getWeightSet, renameWeightSet, deleteWeightSet, serializeWeightSets, parseWeightSets, importWeightSets } from './weights.js';
+
+// Shapes of the objects the engine modules create.
+type GameState = ReturnType<typeof createInitialState>;
+type Trainer = ReturnType<typeof createTrainer>;
+type ReplayPlayer = ReturnType<typeof createReplayPlayer>;
+type WorkerPool = NonNullable<ReturnType<typeof createWorkerPool>>;
+type Tournament = NonNullable<ReturnType<typeof createTournament>>;
+type TournamentMatch = Tournament['matches'][number];
+type Puzzle = ReturnType<typeof loadPuzzleLibrary>[number];
+type EditorAnswer = ReturnType<typeof solvePuzzle> & { strategy: string, weights: Record<string, number>, depth: number, fixedWeights: boolean };
 
 // --- UI Elements ---
-const h1 = document.querySelector('h1');
-const mainContainer = document.getElementById('main-container');
+const h1 = document.querySelector('h1') as HTMLHeadingElement;
+const mainContainer = document.getElementById('main-container') as HTMLElement;
 const startLevelInput = document.getElementById('startlevel') as HTMLInputElement;
 const resetButton = document.getElementById('reset-button') as HTMLButtonElement;
 const trainingModeButton = document.getElementById('training-mode-button') as HTMLButtonElement;
+const replayModeButton = document.getElementById('replay-mode-button') as HTMLButtonElement;
+const tournamentModeButton = document.getElementById('tournament-mode-button') as HTMLButtonElement;
+const editorModeButton = document.getElementById('editor-mode-button') as HTMLButtonElement;
 const speedSlider = document.getElementById('speed-slider') as HTMLInputElement;
 const speedLabel = document.getElementById('speed-label') as HTMLElement;
+const dasInput = document.getElementById('das-input') as HTMLInputElement;
+const arrInput = document.getElementById('arr-input') as HTMLInputElement;
+const attackTableInput = document.getElementById('attack-table') as HTMLInputElement;
+const randomizerSelect = document.getElementById('randomizer-select') as HTMLSelectElement;
+const scoringSelect = document.getElementById('scoring-select') as HTMLSelectElement;
+const gameModeSelect = document.getElementById('game-mode-select') as HTMLSelectElement;
+const analysisToggle = document.getElementById('analysis-toggle') as HTMLInputElement;
+const playerCountSelect = document.getElementById('player-count') as HTMLSelectElement;
+const rankingSelect = document.getElementById('ranking-select') as HTMLSelectElement;
+const currentSeedLabel = document.getElementById('current-seed') as HTMLElement;
+const seedInput = document.getElementById('seed-input') as HTMLInputElement;
+const seedButton = document.getElementById('seed-button') as HTMLButtonElement;
 
 // --- Game Instance Definition ---
-class GameInstance {
-    id;
-    strategy;
-    weights; // AI personality
-
+// A Player (see player.js) with the canvas it is drawn on.
+class GameInstance extends Player {
     // Rendering State
     canvas: HTMLCanvasElement;
     renderer;
     projectionMatrix;
 
-    // Game State
-    state;
-    isClearing = false;
-    clearStartTime = 0;
-
-    // AI State
-    aiState = 'PLANNING';
-    aiMoveQueue = [];
-    aiTargetPiece = null;
-    aiNextActionTime = 0;
-    aiActionInProgress = false;
-    aiCurrentActionType = null;
-    aiCurrentActionCount = 0;
-    
-    constructor(id, strategy, weights, canvas, projectionMatrix) {
-        this.id = id;
-        this.strategy = strategy;
-        this.weights = weights;
+    constructor(id: number, strategy: string, weights: Record<string, number>, canvas: HTMLCanvasElement, projectionMatrix: number[]) {
+        super(id, strategy, weights, ticker);
         this.canvas = canvas;
         this.renderer = initWebglContext(this.canvas);
         this.projectionMatrix = projectionMatrix;
     }
-    
-    reset(startLevel, pieceQueue) {
-        this.state = createInitialState(startLevel, pieceQueue);
-        this.isClearing = false;
-        this.clearStartTime = 0;
-        this.resetAiExecutionState();
-    }
-    
-    resetAiExecutionState() {
-        this.aiState = 'PLANNING';
-        this.aiMoveQueue = [];
-        this.aiTargetPiece = null;
-        this.aiActionInProgress = false;
-        this.aiCurrentActionType = null;
-        this.aiCurrentActionCount = 0;
-        this.aiNextActionTime = Date.now();
-    }
-
-    handleAiAction(action) {
-        switch (action) {
-            case 'moveL': moveLeft(this.state); break;
-            case 'moveR': moveRight(this.state); break;
-            case 'rotateL': rotateLeft(this.state); break;
-            case 'rotateR': rotateRight(this.state); break;
-            case 'softD': moveDown(this.state); break;
-            case 'hardD': hardDrop(this.state); break;
-        }
-    }
 }
 
 // --- Global App State ---
-let currentMode = 'battle'; // 'battle' or 'training'
+let currentMode = 'battle'; // 'battle', 'training', 'replay', 'tournament' or 'editor'
 let animationFrameId;
-let pieceQueue = [];
-const PIECE_QUEUE_SIZE = 10000;
-
-// Game Instances
+// The simulation runs in fixed ticks; simTime is the time of the last one. Every game,
+// AI and input delay is measured in it, never in wall-clock time.
+const ticker = createTicker(systemClock);
+let simTime = 0;
+let currentSeed = randomSeed();
+let pieceSequence = createPieceSequence(DEFAULT_RANDOMIZER);
+
+// Game Instances, and where battle, replay and tournament games sit on the canvas
 let games: GameInstance[] = [];
-let baselineWeights = { ...BASE_WELL_WEIGHTS };
+const PIXELS_PER_UNIT = 20; // Battle canvas pixels per board cell
+let battleLayout = getBattleLayout(2);
+
+// Replay viewer state
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+let replayPlayer: ReplayPlayer | null = null;
+let replayPlaying = false;
+let replaySpeed = 1;
+let baselineWeights = getDefaultWeights(DEFAULT_TRAINER_CONFIG.strategy);
 let trainedSkilledWeights: object | null = null;
+let trainedStrategy = DEFAULT_TRAINER_CONFIG.strategy; // The strategy trainedSkilledWeights were trained for
+
+// AI workers. Planning for the visible games and background games (training
+// evaluations, headless tournament matches) run in separate pools so a long game
+// never delays a visible move. Without worker support both fall back to running on
+// the main thread, a few milliseconds per frame.
+const AI_WORKER_COUNT = Math.max(2, (navigator.hardwareConcurrency || 2) - 1);
+const PLANNING_WORKER_COUNT = Math.min(2, AI_WORKER_COUNT - 1);
+const createAiWorker = () => new Worker(new URL('./aiWorker.js', import.meta.url), { type: 'module' });
+const planningPool = createWorkerPool(PLANNING_WORKER_COUNT, createAiWorker);
+let backgroundPool: WorkerPool | null = null; // Started on first use of training or tournament mode
+const BACKGROUND_FRAME_BUDGET_MS = 8;
+
+// Training state. The trainer evaluates whole generations headlessly in the
+// background; the grid only shows a sample of the current generation.
+const SAMPLE_LINE_TARGET = 200; // Where sample games without a line goal of their own restart
+let trainer: Trainer | null = null;
+let trainerConfig = { ...DEFAULT_TRAINER_CONFIG };
+let displayedGeneration = 0;
+let sampleGenomes: ReturnType<typeof getGenerationSample> = [];
+
+// Tournament state. Ratings persist across tournaments and sessions, separately for
+// visual and headless runs; a visual tournament plays tournamentMatch on the battle canvas.
+const MATCH_RESULT_PAUSE_MS = 2000; // How long a decided visual match stays on screen
+let tournament: Tournament | null = null;
+let tournamentConfig = { ...DEFAULT_TOURNAMENT_CONFIG };
+let tournamentRunning = false;
+let tournamentHeadless = false;
+let tournamentMatch: TournamentMatch | null = null;
+let tournamentMatchEnd: number | null = null; // simTime the visual match was decided
+let ratings = loadRatings();
+
+// Board Editor State
+let puzzleLibrary = loadPuzzleLibrary();
+let editorBrush = GARBAGE_CELL; // Cell value the mouse paints
+let editorPaintValue: number | null = null; // What the current mouse drag writes: the brush or 0 to erase
+let editorAnswer: EditorAnswer | null = null; // The AI's move for the board as it is
+let suiteResults: boolean[] | null = null; // Whether each library puzzle passed the last suite run
+let editorFumenPages: NonNullable<ReturnType<typeof decodeFumen>> = []; // Pages of the last imported fumen
+
+// Saved weight sets, listed in the battle strategy selects as `saved:<id>`.
+const SAVED_STRATEGY_PREFIX = 'saved:';
+let weightLibrary = loadWeightLibrary();
 
 
 // AI timing state
@@ -98,7 +150,18 @@ const baseAiTimings = {
     timeDelayARE: 40,  // Auto-repeat delay
     CLEAR_DELAY: 300 // ms for line clear animation
 };
-let aiTimings = { ...baseAiTimings };
+const aiTimings = { ...baseAiTimings };
+
+// Human input timing state, configured from the DAS/ARR inputs
+const humanTimings = { ...DEFAULT_HUMAN_TIMINGS };
+
+// What the games on screen take from the page each tick, see updateGame in player.js.
+const gameContext = {
+    aiTimings,
+    humanTimings,
+    plan: planMove,
+    onPlan: renderAnalysisPanel,
+};
 
 function updateSpeed() {
     const sliderValue = parseInt(speedSlider.value, 10);
@@ -128,88 +191,273 @@ function updateSpeed() {
     else { speedLabel.textContent = 'Very Slow'; }
 }
 
+function updateHumanTimings() {
+    const das = parseInt(dasInput.value, 10);
+    const arr = parseInt(arrInput.value, 10);
+    humanTimings.das = Number.isFinite(das) && das >= 0 ? das : DEFAULT_HUMAN_TIMINGS.das;
+    humanTimings.arr = Number.isFinite(arr) && arr >= 0 ? arr : DEFAULT_HUMAN_TIMINGS.arr;
+}
 
-function updateGame(game) {
-    if (game.isClearing) {
-        if (Date.now() - game.clearStartTime > aiTimings.CLEAR_DELAY) {
-            game.isClearing = false;
-            finishLineClear(game.state);
-            game.resetAiExecutionState();
-        }
-        return; 
+// Plans the current piece from the snapshot `state` (see getPlanningState). When the
+// game can wait for the plan it goes to a worker, so a deep search never holds up a
+// frame; otherwise, or if workers are unavailable, it is made on this thread.
+function planMove(game: GameInstance, state: ReturnType<typeof getPlanningState>, canWait: boolean) {
+    const alternatives = isAnalysisShown() ? ANALYSIS_ALTERNATIVES : 0;
+    if (!canWait || !isWorkerPoolAlive(planningPool)) {
+        return findBestMove(state, game.strategy, game.weights, game.search, alternatives);
     }
+    const job = {
+        type: 'plan',
+        state,
+        strategy: game.strategy,
+        weights: game.weights,
+        search: game.search,
+        alternatives,
+    };
+    return runInWorker(planningPool, job, true);
+}
 
-    if (game.state.linesBeingCleared) {
-        game.isClearing = true;
-        game.clearStartTime = Date.now();
-        game.aiMoveQueue = [];
-        game.aiTargetPiece = null;
-        return;
+// --- AI Analysis ---
+// With the toggle on, battle AIs explain their moves: the board shows the chosen
+// landing spot and the best alternatives with their total scores, and the side panel
+// breaks the chosen move's score down by feature.
+
+const ANALYSIS_ALTERNATIVES = 3;
+const ANALYSIS_COLORS = ['#66bb6a', '#ffa726', '#42a5f5', '#ef5350']; // Chosen move first
+const ANALYSIS_CHAR_W = 0.16;
+const ANALYSIS_CHAR_H = 0.28;
+
+function isAnalysisShown() {
+    return analysisToggle.checked && (currentMode === 'battle' || currentMode === 'editor');
+}
+
+function formatScore(value: number): string {
+    return Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(1);
+}
+
+function getAnalysisDrawData(game: GameInstance, offsetX: number, offsetY = 0) {
+    const positions: number[] = [];
+    const colors: number[] = [];
+    if (!isAnalysisShown() || game.isHuman || !game.aiAnalysis || game.state.linesBeingCleared) {
+        return { positions, colors };
+    }
+    // Drawn back to front so the chosen move ends up on top.
+    const moves = game.aiAnalysis.moves;
+    for (let i = moves.length - 1; i >= 0; i--) {
+        const { target, score } = moves[i];
+        const color = ANALYSIS_COLORS[i % ANALYSIS_COLORS.length];
+        const outline = getPieceOutlineDrawData(target, color, offsetX, offsetY);
+        // The score sits in the piece's top-left cell.
+        const cells = blockCoords[target.type][target.rotation];
+        const top = Math.min(...cells.map(([, cy]) => cy));
+        const left = Math.min(...cells.filter(([, cy]) => cy === top).map(([cx]) => cx));
+        const textY = offsetY + Math.max(0, target.y + top - HIDDEN_ROWS) + 0.15;
+        const text = getTextDrawData(formatScore(score), target.x + left + offsetX + 0.1, textY, ANALYSIS_CHAR_W, ANALYSIS_CHAR_H, color);
+        positions.push(...outline.positions, ...text.positions);
+        colors.push(...outline.colors, ...text.colors);
     }
+    return { positions, colors };
+}
 
-    if (game.state.gameOver) {
+// Lists each feature's contribution to the chosen move next to its weight, then the alternatives.
+function renderAnalysisPanel(game: GameInstance) {
+    const panel = document.getElementById(`ai-analysis-${game.id}`);
+    if (!panel) return;
+    const analysis = game.aiAnalysis;
+    if (!isAnalysisShown() || !analysis || analysis.moves.length === 0) {
+        panel.innerHTML = '';
         return;
     }
-    
-    // AI LOGIC
-    if (Date.now() < game.aiNextActionTime) {
-         // Wait
-    } else if (game.aiState === 'PLANNING') {
-        const { path, target } = findBestMove(game.state, game.strategy, game.weights);
-        game.aiMoveQueue = path;
-        game.aiTargetPiece = target;
-        game.aiState = 'EXECUTING';
-        game.aiNextActionTime = Date.now();
-
-    } else if (game.aiState === 'EXECUTING') {
-        if (game.aiActionInProgress) {
-            game.handleAiAction(game.aiCurrentActionType);
-            game.aiCurrentActionCount--;
-            if (game.aiCurrentActionCount > 0) {
-                game.aiNextActionTime = Date.now() + aiTimings.timeDelayARE;
-            } else {
-                game.aiActionInProgress = false;
-                game.aiNextActionTime = Date.now();
-            }
-        } else {
-            if (game.aiMoveQueue.length === 0) {
-                game.aiState = 'PLANNING';
-                game.aiNextActionTime = Date.now() + aiTimings.AI_PLANNING_DELAY;
-            } else {
-                const nextMove = game.aiMoveQueue.shift();
-
-                if (nextMove === 'moveL' || nextMove === 'moveR') {
-                    let moveCount = 1;
-                    while (game.aiMoveQueue.length > 0 && game.aiMoveQueue[0] === nextMove) {
-                        game.aiMoveQueue.shift();
-                        moveCount++;
-                    }
-                    game.handleAiAction(nextMove);
-                    if (moveCount > 1) {
-                        game.aiActionInProgress = true;
-                        game.aiCurrentActionType = nextMove;
-                        game.aiCurrentActionCount = moveCount - 1;
-                        game.aiNextActionTime = Date.now() + aiTimings.timeDelayDas;
-                    } else {
-                        game.aiNextActionTime = Date.now() + aiTimings.AI_ACTION_DELAY;
-                    }
-                } else {
-                    game.handleAiAction(nextMove);
-                    if(nextMove === 'hardD') {
-                        game.aiState = 'PLANNING';
-                        game.aiNextActionTime = Date.now() + aiTimings.AI_PLANNING_DELAY;
-                    } else {
-                         game.aiNextActionTime = Date.now() + aiTimings.AI_ACTION_DELAY;
-                    }
-                }
-            }
+    const [chosen, ...alternatives] = analysis.moves;
+    const row = (name: string, weight: string, value: string, className = '') => `
+        <div class="weight-entry ${className}">
+            <span class="weight-name" title="${name}">${name}</span>
+            <span class="weight-value">${weight}</span>
+            <span class="weight-value">${value}</span>
+        </div>
+    `;
+    const features = Object.entries(chosen.breakdown).filter(([feature, value]) => value !== 0 || game.weights[feature]);
+    panel.innerHTML = `
+        <h4>WHY THIS MOVE${analysis.strategy !== game.strategy ? ` (${escapeHtml(analysis.strategy)})` : ''}</h4>
+        ${row('feature', 'weight', 'score')}
+        ${features.map(([feature, value]) => row(feature, (game.weights[feature] ?? 0).toFixed(3), formatScore(value))).join('')}
+        ${row('lookahead', '', formatScore(chosen.lookahead))}
+        ${row('total', '', formatScore(chosen.score), 'analysis-total')}
+        <h4>ALTERNATIVES</h4>
+        ${alternatives.length === 0 ? row('none', '', '') : alternatives.map((move, i) =>
+            row(`#${i + 2}${move.hold ? ' (hold)' : ''}`, formatScore(move.score), `+${formatScore(move.score - chosen.score)}`)
+        ).join('')}
+    `;
+}
+
+// --- Game Statistics ---
+
+const STATS_REFRESH_MS = 500;
+const SPARKLINE_W = 160;
+const SPARKLINE_H = 36;
+
+// Height (white) and holes (red) after each piece, scaled to the board height.
+function getSparklineSvg(history: { height: number, holes: number }[]): string {
+    if (history.length < 2) return '';
+    const samples = history.slice(-SPARKLINE_W / 2);
+    const step = SPARKLINE_W / (samples.length - 1);
+    const line = (key: 'height' | 'holes') => samples.map((sample, i) =>
+        `${(i * step).toFixed(1)},${(SPARKLINE_H - Math.min(sample[key], 20) / 20 * SPARKLINE_H).toFixed(1)}`
+    ).join(' ');
+    return `
+        <svg class="stats-sparkline" width="${SPARKLINE_W}" height="${SPARKLINE_H}" viewBox="0 0 ${SPARKLINE_W} ${SPARKLINE_H}">
+            <polyline points="${line('height')}" fill="none" stroke="#ffffff" stroke-width="1" />
+            <polyline points="${line('holes')}" fill="none" stroke="#ef5350" stroke-width="1" />
+        </svg>
+    `;
+}
+
+function renderStatsPanel(game: GameInstance) {
+    const panel = document.getElementById(`game-stats-${game.id}`);
+    if (!panel || !game.stats) return;
+    game.statsShownAt = simTime;
+    const summary = getStatsSummary(game.stats);
+    const row = (name: string, value: string | number) => `
+        <div class="weight-entry">
+            <span class="weight-name">${name}</span>
+            <span class="weight-value">${value}</span>
+        </div>
+    `;
+    const mostPieces = Math.max(1, ...summary.pieceCounts);
+    const distribution = summary.pieceCounts.map((count, piece) =>
+        `<span class="stats-piece" title="${'IJLOSTZ'[piece]}: ${count}" style="background: ${blockColors[piece + 1]}; height: ${Math.round(count / mostPieces * 100)}%"></span>`
+    ).join('');
+    const [, singles, doubles, triples, aitrises] = summary.clears;
+    panel.innerHTML = `
+        <h4>${summary.finished ? 'GAME SUMMARY' : 'STATISTICS'}</h4>
+        ${row('pieces', summary.pieces)}
+        ${row('PPS', summary.pps.toFixed(2))}
+        ${row('1 / 2 / 3 / 4', `${singles} / ${doubles} / ${triples} / ${aitrises}`)}
+        ${row('aitris rate', `${Math.round(summary.tetrisRate * 100)}%`)}
+        ${row('T-spins', summary.tSpins)}
+        ${row('drought', `${summary.drought} (max ${summary.longestDrought})`)}
+        ${row('height', `${summary.height} (avg ${summary.averageHeight.toFixed(1)}, max ${summary.maxHeight})`)}
+        ${row('holes', `${summary.holes} (avg ${summary.averageHoles.toFixed(1)})`)}
+        <div class="stats-distribution">${distribution}</div>
+        ${getSparklineSvg(game.stats.history)}
+    `;
+}
+
+// Redraws the stats panels at most every STATS_REFRESH_MS, and once more when a game ends.
+function updateStatsPanels() {
+    for (const game of games) {
+        if (!game.stats || game.statsShownAt === Infinity) continue;
+        if (game.state.gameOver || game.result) {
+            finishGameStats(game.stats);
+            renderStatsPanel(game);
+            game.statsShownAt = Infinity; // Final
+        } else if (simTime - game.statsShownAt >= STATS_REFRESH_MS) {
+            renderStatsPanel(game);
+        }
+    }
+}
+
+function parseAttackTable() {
+    // The input lists attacks for 1..4 lines; index 0 (no clear) never attacks.
+    const values = attackTableInput.value.split(',').map(v => parseInt(v.trim(), 10));
+    if (values.length === 0 || values.some(v => !Number.isFinite(v) || v < 0)) {
+        return DEFAULT_ATTACK_TABLE.slice();
+    }
+    return [0, ...values];
+}
+
+// The game mode control is for battles. Training samples play the trainer's mode, and
+// tournaments always play endless games, as the headless matches do.
+function getCurrentGameMode() {
+    if (currentMode === 'battle') return gameModeSelect.value;
+    if (currentMode === 'training' && trainer) return trainer.config.mode;
+    return DEFAULT_GAME_MODE;
+}
+
+// Games read the attack table when they start, so an edit applies from the next reset.
+function getGameOptions() {
+    // Garbage is only exchanged between battle boards.
+    return {
+        seed: currentSeed,
+        scoring: scoringSelect.value,
+        mode: getCurrentGameMode(),
+        attackTable: currentMode === 'battle' || currentMode === 'tournament' ? parseAttackTable() : null,
+    };
+}
+
+function getOrdinal(place: number): string {
+    const suffix = place % 100 >= 11 && place % 100 <= 13 ? 'TH' : ({ 1: 'ST', 2: 'ND', 3: 'RD' }[place % 10] || 'TH');
+    return `${place}${suffix}`;
+}
+
+// Called once every game has a placement.
+function getResultLabel(game: GameInstance): string {
+    const placement = game.placement ?? games.length;
+    const sharedPlace = games.some(other => other !== game && other.placement === placement);
+    if (placement === 1) return sharedPlace ? 'DRAW' : 'WIN';
+    return games.length === 2 ? 'LOSE' : getOrdinal(placement);
+}
+
+// Players are placed as they top out; reaching the game mode's goal finishes a player
+// without knocking them out. The battle ends when nobody is left playing or at most one
+// player is left standing. Players knocked out on the same tick share a place. The
+// players left standing are ranked by the mode's objective, the fastest finish or the
+// highest score. With the highest-score ranking every place goes by score instead.
+function updateBattleResult() {
+    if (games.some(game => game.result)) return;
+    const standing = games.filter(game => !game.state.gameOver || game.state.completed);
+    for (const game of games) {
+        if (game.state.gameOver && !game.state.completed && game.placement === null) {
+            game.placement = standing.length + 1;
+        }
+    }
+    const playing = games.filter(game => !game.state.gameOver);
+    if (playing.length > 0 && (standing.length > 1 || standing.length === games.length)) return;
+
+    const { objective } = getGameMode(games[0].state.mode);
+    for (const game of standing) {
+        game.placement = 1 + standing.filter(other => isAheadOf(other, game, objective)).length;
+    }
+    if (currentMode === 'battle' && rankingSelect.value === 'score') {
+        for (const game of games) {
+            game.placement = 1 + games.filter(other => other.state.score > game.state.score).length;
         }
     }
+    for (const game of games) {
+        game.result = getResultLabel(game);
+    }
+    const ranking = [...games].sort((a, b) => (a.placement ?? games.length) - (b.placement ?? games.length));
+    const describe = (game: GameInstance) => objective === 'time' && game.state.completed ? getTimerText(game.state) : game.state.score;
+    console.log('Battle over. ' + ranking.map(game => `${getOrdinal(game.placement ?? games.length)}: player ${game.id} (${describe(game)})`).join(', '));
 }
 
+// Whether `game` beats `other` on the objective. Only a finish has a time to compare.
+function isAheadOf(game: GameInstance, other: GameInstance, objective: string): boolean {
+    if (objective !== 'time') return game.state.score > other.state.score;
+    if (!game.state.completed) return false;
+    return !other.state.completed || game.state.elapsed < other.state.elapsed;
+}
+
+type ActiveBlock = ReturnType<typeof getInterpolatedBlock>;
 
-function draw() {
+// Where to draw the active piece between the last two ticks. Only single-cell moves
+// of the same piece are smoothed; spawns, holds and drops snap into place.
+function getInterpolatedBlock(game: GameInstance, alpha: number) {
+    const block = game.state.Block;
+    const from = game.previousBlock;
+    if (!from || from.pieces !== game.state.pieces || from.type !== block.type || from.rotation !== block.rotation) {
+        return block;
+    }
+    const dx = block.x - from.x;
+    const dy = block.y - from.y;
+    if (Math.abs(dx) + Math.abs(dy) !== 1) return block;
+    return { ...block, x: from.x + dx * alpha, y: from.y + dy * alpha };
+}
+
+// `alpha` is how far the clock is towards the next tick, see getTickAlpha.
+function draw(alpha = 0) {
     if (games.length === 0 || !games[0].renderer) return;
+    const renderTime = simTime + alpha * TICK_MS;
 
     // Both modes now use a single canvas, so the logic is unified.
     const renderer = games[0].renderer;
@@ -222,15 +470,20 @@ function draw() {
     let allPositions = [];
     let allColors = [];
 
-    if (currentMode === 'battle') {
-        for (const game of games) {
-            const drawData = getBattleModeDrawData(game);
+    if (currentMode !== 'training') {
+        games.forEach((game, index) => {
+            const drawData = getBattleModeDrawData(game, battleLayout.slots[index], renderTime, getInterpolatedBlock(game, alpha));
             allPositions.push(...drawData.positions);
             allColors.push(...drawData.colors);
+        });
+        for (const divider of battleLayout.dividers) {
+            const dividerData = getDividerDrawData(divider.x, divider.y, divider.width, divider.height);
+            allPositions.push(...dividerData.positions);
+            allColors.push(...dividerData.colors);
         }
     } else { // Training mode
         games.forEach((game, index) => {
-            const drawData = getTrainingModeDrawData(game, index);
+            const drawData = getTrainingModeDrawData(game, index, renderTime, getInterpolatedBlock(game, alpha));
             allPositions.push(...drawData.positions);
             allColors.push(...drawData.colors);
         });
@@ -254,23 +507,63 @@ function getRightAlignedTextData(text, x_right, y, w, h, color) {
     return getTextDrawData(textStr, x_right - textWidth, y, w, h, color);
 }
 
-function getBattleModeDrawData(game: GameInstance) {
-    const GUTTER_WIDTH = 5;
-    const BOARD_WIDTH = 10;
-    const DIVIDER_WIDTH = 0.5;
+function getHoldBoxDrawData(state: GameState, x: number, y: number, w: number, h: number) {
+    const label = getTextDrawData('HOLD', x, y - TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, LABEL_COLOR);
+    const frameData = getPreviewFrameDrawData(x, y, w, h);
+    // The held piece is dimmed until hold becomes available again.
+    const pieceData = getNextPieceDrawData(state.Hold, x, y, state.canHold ? 1.0 : 0.35);
+    return {
+        positions: [...label.positions, ...frameData.positions, ...pieceData.positions],
+        colors: [...label.colors, ...frameData.colors, ...pieceData.colors],
+    };
+}
+
+const CLEAR_TEXT_PIECES = 6; // How many pieces the last scoring clear stays on the HUD
+const CLEAR_CHAR_W = 0.18;
+const CLEAR_CHAR_H = 0.32;
+const CLEAR_LINE_H = 0.45;
+
+// Lists what the last scoring lock was worth, e.g. "B2B T-SPIN DOUBLE", "2 COMBO", "+1850".
+function getLastClearDrawData(state: GameState, x: number, y: number) {
+    const positions: number[] = [];
+    const colors: number[] = [];
+    const lastClear = state.lastClear;
+    if (!lastClear || state.pieces - lastClear.piece >= CLEAR_TEXT_PIECES) {
+        return { positions, colors };
+    }
+
+    const labels = [...lastClear.labels];
+    if (labels[0] === 'B2B' && labels.length > 1) {
+        labels.splice(0, 2, `B2B ${labels[1]}`);
+    }
+    const lines = [...labels.map(text => ({ text, color: '#ffffff' })), { text: `+${Math.round(lastClear.points)}`, color: VALUE_COLOR }];
+    lines.forEach((line, i) => {
+        const textData = getTextDrawData(line.text, x, y + i * CLEAR_LINE_H, CLEAR_CHAR_W, CLEAR_CHAR_H, line.color);
+        positions.push(...textData.positions);
+        colors.push(...textData.colors);
+    });
+    return { positions, colors };
+}
+
+// `slot` is the game's place on the canvas, from getBattleLayout.
+function getBattleModeDrawData(game: GameInstance, slot: ReturnType<typeof getBattleLayout>['slots'][number], renderTime: number, block: ActiveBlock) {
     const PREVIEW_BOX_W = 4;
     const PREVIEW_BOX_H = 4;
     
-    const isGame1 = game.id === 1;
-    const boardOffset = isGame1 ? GUTTER_WIDTH : (GUTTER_WIDTH + BOARD_WIDTH + DIVIDER_WIDTH);
-    const previewX = isGame1 ? (GUTTER_WIDTH - PREVIEW_BOX_W) / 2 : boardOffset + BOARD_WIDTH + (GUTTER_WIDTH - PREVIEW_BOX_W) / 2;
-    const previewY = 14;
+    const boardOffset = slot.boardX;
+    const previewX = slot.gutterX + (GUTTER_WIDTH - PREVIEW_BOX_W) / 2;
+    const previewY = slot.y + 14;
 
-    const gameData = getGameBoardDrawData(game.state, game.aiTargetPiece, game.isClearing, game.clearStartTime, boardOffset, 0, aiTimings.CLEAR_DELAY);
+    // Humans get the landing ghost instead of the AI's target outline.
+    const outlinePiece = game.isHuman ? game.state.ghostPiece : game.aiTargetPiece;
+    const gameData = getGameBoardDrawData(game.state, outlinePiece, game.isClearing, game.clearStartTime, boardOffset, slot.y, aiTimings.CLEAR_DELAY, renderTime, block);
     const frameData = getPreviewFrameDrawData(previewX, previewY, PREVIEW_BOX_W, PREVIEW_BOX_H);
     const nextPieceData = getNextPieceDrawData(game.state.Next, previewX, previewY);
+    const holdData = getHoldBoxDrawData(game.state, previewX, slot.y + 3, PREVIEW_BOX_W, PREVIEW_BOX_H);
+    const clearData = getLastClearDrawData(game.state, previewX, slot.y + 3 + PREVIEW_BOX_H + 0.4);
+    const analysisData = getAnalysisDrawData(game, boardOffset, slot.y);
     
-    const text_y_start = 12;
+    const text_y_start = slot.y + 12;
     const label_x = previewX;
     const value_x_right = previewX + PREVIEW_BOX_W;
     const scoreLabel = getTextDrawData('SCORE', label_x, text_y_start, TEXT_CHAR_W, TEXT_CHAR_H, LABEL_COLOR);
@@ -279,28 +572,46 @@ function getBattleModeDrawData(game: GameInstance) {
     const linesValue = getRightAlignedTextData(game.state.lines, value_x_right, text_y_start - TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, VALUE_COLOR);
     const levelLabel = getTextDrawData('LEVEL', label_x, text_y_start - 2 * TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, LABEL_COLOR);
     const levelValue = getRightAlignedTextData(game.state.level, value_x_right, text_y_start - 2 * TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, VALUE_COLOR);
+    // The garbage meter sits on the board's edge away from the gutter.
+    const meterX = slot.mirrored ? boardOffset + BOARD_WIDTH + 0.1 : boardOffset - 0.4;
+    const garbageData = getGarbageMeterDrawData(meterX, getPendingGarbage(game.state), slot.y);
 
-    let allPositions = [...gameData.positions, ...frameData.positions, ...nextPieceData.positions, ...scoreLabel.positions, ...scoreValue.positions, ...linesLabel.positions, ...linesValue.positions, ...levelLabel.positions, ...levelValue.positions];
-    let allColors = [...gameData.colors, ...frameData.colors, ...nextPieceData.colors, ...scoreLabel.colors, ...scoreValue.colors, ...linesLabel.colors, ...linesValue.colors, ...levelLabel.colors, ...levelValue.colors];
+    let allPositions = [...gameData.positions, ...frameData.positions, ...nextPieceData.positions, ...scoreLabel.positions, ...scoreValue.positions, ...linesLabel.positions, ...linesValue.positions, ...levelLabel.positions, ...levelValue.positions, ...garbageData.positions, ...holdData.positions, ...clearData.positions, ...analysisData.positions];
+    let allColors = [...gameData.colors, ...frameData.colors, ...nextPieceData.colors, ...scoreLabel.colors, ...scoreValue.colors, ...linesLabel.colors, ...linesValue.colors, ...levelLabel.colors, ...levelValue.colors, ...garbageData.colors, ...holdData.colors, ...clearData.colors, ...analysisData.colors];
 
-    if (game.strategy === 'rightWell' || game.strategy === 'leftWell') {
+    if (!game.isHuman && resolveStrategy(game.strategy).showsDrought) {
         const droughtLabel = getTextDrawData('DROUGHT', label_x, text_y_start - 3 * TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, LABEL_COLOR);
         const droughtValue = getRightAlignedTextData(game.state.iPieceDrought, value_x_right, text_y_start - 3 * TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, VALUE_COLOR);
         allPositions.push(...droughtLabel.positions, ...droughtValue.positions);
         allColors.push(...droughtLabel.colors, ...droughtValue.colors);
     }
-    
-    // Only game 1 is responsible for drawing the divider
-    if (isGame1) {
-        const dividerData = getDividerDrawData(GUTTER_WIDTH + BOARD_WIDTH);
-        allPositions.push(...dividerData.positions);
-        allColors.push(...dividerData.colors);
+
+    // Timed and goal modes show the clock under the score: the time left in Ultra, the time played otherwise.
+    if (game.state.mode !== DEFAULT_GAME_MODE) {
+        const timeLabel = getTextDrawData('TIME', label_x, text_y_start + TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, LABEL_COLOR);
+        const timeValue = getRightAlignedTextData(getTimerText(game.state), value_x_right, text_y_start + TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, VALUE_COLOR);
+        allPositions.push(...timeLabel.positions, ...timeValue.positions);
+        allColors.push(...timeLabel.colors, ...timeValue.colors);
+    }
+
+    // A player who reached the goal waits for the others to finish.
+    const resultText = game.result || (game.state.completed ? 'FINISH' : null);
+    if (resultText) {
+        const RESULT_CHAR_W = 0.8;
+        const RESULT_CHAR_H = 1.4;
+        // Places below first (2ND, 3RD, ...) are orange.
+        const resultColors: Record<string, string> = { WIN: '#66bb6a', LOSE: '#ef5350', DRAW: LABEL_COLOR, FINISH: '#ffffff' };
+        const resultWidth = resultText.length * (RESULT_CHAR_W * 1.25) - (RESULT_CHAR_W * 0.25);
+        const resultX = boardOffset + (BOARD_WIDTH - resultWidth) / 2;
+        const resultData = getTextDrawData(resultText, resultX, slot.y + 9, RESULT_CHAR_W, RESULT_CHAR_H, resultColors[resultText] || '#ffa726');
+        allPositions.push(...resultData.positions);
+        allColors.push(...resultData.colors);
     }
 
     return { positions: allPositions, colors: allColors };
 }
 
-function getTrainingModeDrawData(game: GameInstance, index: number) {
+function getTrainingModeDrawData(game: GameInstance, index: number, renderTime: number, block: ActiveBlock) {
     const NUM_COLS = 3;
     const TOTAL_WORLD_WIDTH = 46.5;
     const TOTAL_WORLD_HEIGHT = 60;
@@ -315,7 +626,6 @@ function getTrainingModeDrawData(game: GameInstance, index: number) {
     const offsetX = col * GAME_VIEW_WIDTH;
     const offsetY = row * GAME_VIEW_HEIGHT;
 
-    const BOARD_WIDTH = 10;
     const PREVIEW_BOX_W = 4;
     const PREVIEW_BOX_H = 4;
 
@@ -323,9 +633,10 @@ function getTrainingModeDrawData(game: GameInstance, index: number) {
     const previewX = boardOffset + BOARD_WIDTH + 0.5;
     const previewY = offsetY + 14;
 
-    const gameData = getGameBoardDrawData(game.state, game.aiTargetPiece, game.isClearing, game.clearStartTime, boardOffset, offsetY, aiTimings.CLEAR_DELAY);
+    const gameData = getGameBoardDrawData(game.state, game.aiTargetPiece, game.isClearing, game.clearStartTime, boardOffset, offsetY, aiTimings.CLEAR_DELAY, renderTime, block);
     const frameData = getPreviewFrameDrawData(previewX, previewY, PREVIEW_BOX_W, PREVIEW_BOX_H);
     const nextPieceData = getNextPieceDrawData(game.state.Next, previewX, previewY);
+    const holdData = getHoldBoxDrawData(game.state, previewX, offsetY + 5, PREVIEW_BOX_W, PREVIEW_BOX_H);
 
     // --- Text layout ---
     const titleText = `AI ${game.id}`;
@@ -350,61 +661,109 @@ function getTrainingModeDrawData(game: GameInstance, index: number) {
     const linesLabel = getTextDrawData('LINES', label_x, text_y_start - TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, LABEL_COLOR);
     const linesValue = getRightAlignedTextData(game.state.lines, value_x_right, text_y_start - TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, VALUE_COLOR);
 
-    const allPositions = [...gameData.positions, ...frameData.positions, ...nextPieceData.positions, ...titleLabel.positions, ...scoreLabel.positions, ...scoreValue.positions, ...linesLabel.positions, ...linesValue.positions];
-    const allColors = [...gameData.colors, ...frameData.colors, ...nextPieceData.colors, ...titleLabel.colors, ...scoreLabel.colors, ...scoreValue.colors, ...linesLabel.colors, ...linesValue.colors];
+    const allPositions = [...gameData.positions, ...frameData.positions, ...nextPieceData.positions, ...holdData.positions, ...titleLabel.positions, ...scoreLabel.positions, ...scoreValue.positions, ...linesLabel.positions, ...linesValue.positions];
+    const allColors = [...gameData.colors, ...frameData.colors, ...nextPieceData.colors, ...holdData.colors, ...titleLabel.colors, ...scoreLabel.colors, ...scoreValue.colors, ...linesLabel.colors, ...linesValue.colors];
+
+    if (game.state.mode !== DEFAULT_GAME_MODE) {
+        const timeLabel = getTextDrawData('TIME', label_x, text_y_start - 2 * TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, LABEL_COLOR);
+        const timeValue = getRightAlignedTextData(getTimerText(game.state), value_x_right, text_y_start - 2 * TEXT_LINE_H, TEXT_CHAR_W, TEXT_CHAR_H, VALUE_COLOR);
+        allPositions.push(...timeLabel.positions, ...timeValue.positions);
+        allColors.push(...timeLabel.colors, ...timeValue.colors);
+    }
 
     return { positions: allPositions, colors: allColors };
 }
 
 
-function animate() {
-    games.forEach(updateGame);
-    draw();
+/**
+ * Advances the simulation by a number of fixed ticks. Called from the animation loop
+ * with the ticks that are due, or with more to fast-forward.
+ * @param {number} frames Ticks to run.
+ */
+function tick(frames: number) {
+    for (let i = 0; i < frames; i++) {
+        simTime = advanceTicker(ticker);
+        for (const game of games) {
+            game.previousBlock = { ...game.state.Block, pieces: game.state.pieces };
+        }
+        if (currentMode === 'replay') {
+            updateReplay();
+            continue;
+        }
+        if (currentMode === 'tournament' && !tournamentMatch) {
+            continue; // Between matches the boards stay as they were
+        }
+        if (currentMode === 'editor') {
+            continue; // The board only changes when it is edited
+        }
+        for (const game of games) {
+            updateGame(game, gameContext);
+        }
+        if (currentMode === 'battle' || currentMode === 'tournament') {
+            exchangeGarbage(games);
+            updateBattleResult();
+        }
+    }
+}
 
-    // Check for automatic training restart
-    if (currentMode === 'training') {
-        const LINE_COMPLETION_TARGET = 200;
-        const allGamesFinished = games.every(game => 
-            game.state.gameOver || game.state.lines >= LINE_COMPLETION_TARGET
+function animate() {
+    tick(pollTicker(ticker));
+    draw(getTickAlpha(ticker));
+
+    if (currentMode === 'replay') {
+        updateReplayControls();
+    } else if (currentMode === 'battle') {
+        updateStatsPanels();
+    } else if (currentMode === 'tournament') {
+        updateTournament();
+    } else if (currentMode === 'training' && trainer) {
+        updateTrainer();
+        updateTrainerStatus();
+
+        // Sample seeds are derived from the current one so a whole training run
+        // can be replayed from its first seed.
+        const allGamesFinished = games.every(game =>
+            game.state.gameOver || (getGameMode(game.state.mode).lines === null && game.state.lines >= SAMPLE_LINE_TARGET)
         );
-
-        if (allGamesFinished && games.length > 0) {
-            // Find the best game based on score/lines ratio
-            let bestGame = null;
-            let bestPerformance = -1;
-            
-            for (const game of games) {
-                // Handle case where lines is 0 to avoid division by zero. Such games are ranked lowest.
-                const performance = game.state.lines > 0 ? game.state.score / game.state.lines : -1;
-                
-                if (performance > bestPerformance) {
-                    bestPerformance = performance;
-                    bestGame = game;
-                }
-            }
-            
-            // If a best game was found (i.e., at least one game cleared a line), use it.
-            if (bestGame && bestPerformance > -1) {
-                console.log(`Training session complete. New baseline from AI ${bestGame.id} (Score/Lines: ${bestPerformance.toFixed(2)}).`);
-                baselineWeights = { ...bestGame.weights };
-            } else {
-                console.log("All games failed to clear any lines. Restarting with same baseline.");
-            }
-
-            // Restart the entire training setup
-            setupAndStartGames();
-            return; // Exit here to prevent the old animation loop from continuing
+        if (trainer.generation !== displayedGeneration) {
+            const best = trainer.history[trainer.history.length - 1];
+            console.log(`Generation ${best.generation} complete. Best fitness ${best.bestFitness.toFixed(1)}, mean ${best.meanFitness.toFixed(1)}.`);
+            showGenerationSample();
+            restartTrainingSample(deriveSeed(currentSeed, 'next-generation'));
+        } else if (allGamesFinished && games.length > 0) {
+            restartTrainingSample(deriveSeed(currentSeed, 'next-sample'));
         }
     }
 
     animationFrameId = requestAnimationFrame(animate);
 }
 
-function generatePieceQueue() {
-    pieceQueue = [];
-    for(let i = 0; i < PIECE_QUEUE_SIZE; i++) {
-        pieceQueue.push(Math.floor(Math.random() * 7));
-    }
+function generatePieceSequence(seed: number) {
+    currentSeed = seed;
+    currentSeedLabel.textContent = String(seed);
+    pieceSequence = createSeededPieceSequence(randomizerSelect.value, seed);
+}
+
+function populateScoringSelect() {
+    scoringSelect.innerHTML = Object.entries(SCORING_RULES).map(([key, rules]) =>
+        `<option value="${key}" ${key === DEFAULT_SCORING ? 'selected' : ''}>${rules.name}</option>`
+    ).join('');
+}
+
+function createGameModeOptions(selected: string) {
+    return Object.entries(GAME_MODES).map(([key, mode]) =>
+        `<option value="${key}" ${key === selected ? 'selected' : ''}>${mode.name}</option>`
+    ).join('');
+}
+
+function populateGameModeSelect() {
+    gameModeSelect.innerHTML = createGameModeOptions(DEFAULT_GAME_MODE);
+}
+
+function populateRandomizerSelect() {
+    randomizerSelect.innerHTML = Object.entries(RANDOMIZERS).map(([key, randomizer]) =>
+        `<option value="${key}" ${key === DEFAULT_RANDOMIZER ? 'selected' : ''}>${randomizer.name}</option>`
+    ).join('');
 }
 
 // --- MODE MANAGEMENT & INITIALIZATION ---
@@ -413,50 +772,139 @@ function selectBaseline(index: number) {
     if (currentMode !== 'training' || !games[index]) return;
     console.log(`Selecting AI ${games[index].id} as new baseline.`);
     baselineWeights = { ...games[index].weights };
-    setupAndStartGames(); // Restart with new baseline
+    trainer = null; // Evolve a fresh population from the new baseline
+    setupAndStartGames();
 }
 
 function useInBattle(index: number) {
     if (currentMode !== 'training' || !games[index]) return;
     console.log(`Using AI ${games[index].id} in battle mode.`);
     trainedSkilledWeights = { ...games[index].weights };
+    trainedStrategy = games[index].strategy;
     toggleMode(); // This switches to battle mode and calls init()
 }
 
+function createStrategyOptions(selected: string): string {
+    return listStrategies().map(strategy =>
+        `<option value="${strategy.id}" ${selected === strategy.id ? 'selected' : ''}>${escapeHtml(strategy.name)}</option>`
+    ).join('');
+}
+
 function createStrategySelector(id: string, defaultStrategy: string): string {
     const trainedOption = trainedSkilledWeights ? `<option value="trained" ${defaultStrategy === 'trained' ? 'selected' : ''}>Trained AI</option>` : '';
+    const savedOptions = weightLibrary.length === 0 ? '' : `
+        <optgroup label="Saved Weights">
+            ${weightLibrary.map(entry => {
+                const value = SAVED_STRATEGY_PREFIX + entry.id;
+                return `<option value="${value}" ${defaultStrategy === value ? 'selected' : ''}>${escapeHtml(entry.name)}</option>`;
+            }).join('')}
+        </optgroup>
+    `;
     return `
         <div class="strategy-selector">
             <label for="${id}">Strategy</label>
             <select name="${id}" id="${id}">
                 ${trainedOption}
-                <option value="rightWell" ${defaultStrategy === 'rightWell' ? 'selected' : ''}>Right Well</option>
-                <option value="leftWell" ${defaultStrategy === 'leftWell' ? 'selected' : ''}>Left Well</option>
-                <option value="survival" ${defaultStrategy === 'survival' ? 'selected' : ''}>Survival</option>
+                ${createStrategyOptions(defaultStrategy)}
+                <option value="human" ${defaultStrategy === 'human' ? 'selected' : ''}>Human (Keyboard)</option>
+                ${savedOptions}
             </select>
         </div>
     `;
 }
 
-function createBattleUI() {
-    // Determine default for right AI. If trained weights exist, use them, otherwise default to a well.
-    const rightDefault = trainedSkilledWeights ? 'trained' : 'rightWell';
-    
-    mainContainer.innerHTML = `
-      <div id="battle-container">
-        <div class="side-info" id="side-info-1">
-            <h2>LEFT AI</h2>
-            ${createStrategySelector('left-strategy', 'survival')}
+function createDepthSelector(id: string): string {
+    const defaultDepth = DEFAULT_SEARCH_OPTIONS.depth;
+    return `
+        <div class="strategy-selector">
+            <label for="${id}">Lookahead</label>
+            <select name="${id}" id="${id}">
+                ${Array.from({ length: MAX_SEARCH_DEPTH + 1 }, (_, depth) => `
+                    <option value="${depth}" ${depth === defaultDepth ? 'selected' : ''}>${depth === 0 ? 'None' : `${depth} piece${depth > 1 ? 's' : ''}`}</option>
+                `).join('')}
+            </select>
         </div>
-        <div id="board-wrapper">
-            <canvas id="battle-canvas" width="610" height="400"></canvas>
+    `;
+}
+
+function createDiscountsInput(id: string): string {
+    return `
+        <div class="strategy-selector">
+            <label for="${id}">Lookahead Discounts</label>
+            <input type="text" id="${id}" value="${DEFAULT_SEARCH_OPTIONS.discounts.join(', ')}">
         </div>
-        <div class="side-info" id="side-info-2">
-            <h2>RIGHT AI</h2>
-            ${createStrategySelector('right-strategy', rightDefault)}
+    `;
+}
+
+function getSideTitle(side: string, strategy: string): string {
+    return `${side} ${strategy === 'human' ? 'HUMAN' : 'AI'}`;
+}
+
+// Two players keep the classic LEFT / RIGHT names.
+function getPlayerName(index: number, count: number): string {
+    return count === 2 ? ['LEFT', 'RIGHT'][index] : `P${index + 1}`;
+}
+
+function getDefaultBattleStrategy(index: number): string {
+    if (index === 0) return 'survival';
+    // If trained weights exist, use them, otherwise default to a well.
+    if (index === 1) return trainedSkilledWeights ? 'trained' : 'rightWell';
+    const ids = listStrategies().map(strategy => strategy.id);
+    return ids[index % ids.length];
+}
+
+function createPlayerPanel(index: number, count: number): string {
+    const id = index + 1;
+    const strategy = getDefaultBattleStrategy(index);
+    return `
+        <div class="side-info" id="side-info-${id}">
+            <h2 id="side-title-${id}">${getSideTitle(getPlayerName(index, count), strategy)}</h2>
+            ${createStrategySelector(`strategy-${id}`, strategy)}
+            ${createDepthSelector(`depth-${id}`)}
+            ${createDiscountsInput(`discounts-${id}`)}
+            <button class="export-replay-button" data-index="${index}">Export Replay</button>
+            <button class="export-fumen-button" data-index="${index}">Export Fumen</button>
+            <div class="ai-analysis" id="ai-analysis-${id}"></div>
+            <div class="game-stats" id="game-stats-${id}"></div>
         </div>
+    `;
+}
+
+// The first half of the player panels go left of the canvas and the rest right; with
+// more than two players they all wrap underneath it instead (see aitris.css).
+function createBattleUI(count: number) {
+    const panels = Array.from({ length: count }, (_, index) => createPlayerPanel(index, count));
+    const half = Math.ceil(count / 2);
+    mainContainer.innerHTML = `
+      <div id="battle-container" class="${count > 2 ? 'multi-battle' : ''}">
+        ${panels.slice(0, half).join('')}
+        <div id="board-wrapper">
+            <canvas id="battle-canvas" width="${battleLayout.width * PIXELS_PER_UNIT}" height="${battleLayout.height * PIXELS_PER_UNIT}"></canvas>
+        </div>
+        ${panels.slice(half).join('')}
       </div>
     `;
+    bindExportReplayButtons();
+}
+
+// The number in a clicked button's data-index attribute.
+function getButtonIndex(e: Event): number {
+    return parseInt((e.target as HTMLElement).dataset.index ?? '', 10);
+}
+
+function bindExportReplayButtons() {
+    document.querySelectorAll('.export-replay-button').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const index = getButtonIndex(e);
+            exportReplay(index);
+        });
+    });
+    document.querySelectorAll('.export-fumen-button').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const index = getButtonIndex(e);
+            exportFumen(index);
+        });
+    });
 }
 
 function createTrainingUI() {
@@ -472,170 +920,1284 @@ function createTrainingUI() {
                         <div class="info-button-container">
                             <button class="baseline-button" data-index="${i-1}">MAKE BASELINE</button>
                             <button class="use-battle-button" data-index="${i-1}">USE IN BATTLE</button>
+                            <button class="export-replay-button" data-index="${i-1}">EXPORT REPLAY</button>
+                            <button class="export-fumen-button" data-index="${i-1}">EXPORT FUMEN</button>
+                            <button class="save-weights-button" data-index="${i-1}">SAVE WEIGHTS</button>
                         </div>
                     </div>
                 `).join('')}
             </div>
         </div>
+        <div id="trainer-panel">
+            <div class="trainer-column">
+                <h4>TRAINER</h4>
+                <div id="trainer-status"></div>
+            </div>
+            <div class="trainer-column" id="trainer-config">
+                <h4>SETTINGS</h4>
+                <div class="trainer-setting">
+                    <label for="trainer-strategy">Strategy</label>
+                    <select id="trainer-strategy">${createStrategyOptions(trainerConfig.strategy)}</select>
+                </div>
+                <div class="trainer-setting">
+                    <label for="trainer-game-mode">Game Mode</label>
+                    <select id="trainer-game-mode">${createGameModeOptions(trainerConfig.mode)}</select>
+                </div>
+                ${createTrainerNumberInput('trainer-population', 'Population', trainerConfig.populationSize, 2, 1)}
+                <div class="trainer-setting">
+                    <label for="trainer-selection">Selection</label>
+                    <select id="trainer-selection">
+                        <option value="tournament" ${trainerConfig.selection === 'tournament' ? 'selected' : ''}>Tournament</option>
+                        <option value="elitist" ${trainerConfig.selection === 'elitist' ? 'selected' : ''}>Elitist</option>
+                    </select>
+                </div>
+                ${createTrainerNumberInput('trainer-elites', 'Elites', trainerConfig.eliteCount, 0, 1)}
+                ${createTrainerNumberInput('trainer-seeds', 'Seeds / Genome', trainerConfig.seedsPerGenome, 1, 1)}
+                ${createTrainerNumberInput('trainer-crossover', 'Crossover Rate', trainerConfig.crossoverRate, 0, 0.05)}
+                ${createTrainerNumberInput('trainer-mutation', 'Mutation', trainerConfig.mutationFactor, 0, 0.05)}
+                ${createTrainerNumberInput('trainer-max-pieces', 'Max Pieces', trainerConfig.maxPieces, 1, 50)}
+                <button id="trainer-restart">Restart Training</button>
+            </div>
+            <div class="trainer-column" id="hall-of-fame"></div>
+            <div class="trainer-column" id="weight-library"></div>
+        </div>
     `;
+    (document.getElementById('trainer-restart') as HTMLElement).addEventListener('click', restartTraining);
+    document.querySelectorAll('.save-weights-button').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const index = getButtonIndex(e);
+            const genome = sampleGenomes[index];
+            if (genome && trainer) saveToLibrary(`Gen ${genome.generation} #${genome.id}`, trainer.config.strategy, genome.weights);
+        });
+    });
+    renderWeightLibrary();
     document.querySelectorAll('.baseline-button').forEach(button => {
         button.addEventListener('click', (e) => {
-            const index = parseInt((e.target as HTMLElement).dataset.index, 10);
+            const index = getButtonIndex(e);
             selectBaseline(index);
         });
     });
     document.querySelectorAll('.use-battle-button').forEach(button => {
         button.addEventListener('click', (e) => {
-            const index = parseInt((e.target as HTMLElement).dataset.index, 10);
+            const index = getButtonIndex(e);
             useInBattle(index);
         });
     });
+    bindExportReplayButtons();
 }
 
+function createTrainerNumberInput(id: string, label: string, value: number, min: number, step: number): string {
+    return `
+        <div class="trainer-setting">
+            <label for="${id}">${label}</label>
+            <input type="number" id="${id}" value="${value}" min="${min}" step="${step}">
+        </div>
+    `;
+}
 
-function getWeightsForStrategy(strategy: string) {
-    switch (strategy) {
+function createReplayUI() {
+    mainContainer.innerHTML = `
+      <div id="replay-container">
+        <div id="board-wrapper">
+            <canvas id="replay-canvas" width="310" height="400"></canvas>
+        </div>
+        <div class="side-info" id="replay-controls">
+            <h2>REPLAY</h2>
+            <input type="file" id="replay-file" accept=".json,application/json">
+            <div id="replay-meta">Load a replay file exported from battle or training.</div>
+            <div class="replay-buttons">
+                <button id="replay-play" disabled>Play</button>
+                <button id="replay-step" disabled>Step</button>
+            </div>
+            <button id="replay-fumen" disabled>Export Fumen</button>
+            <input type="range" id="replay-seek" min="0" max="0" value="0" disabled>
+            <span id="replay-time"></span>
+            <div class="strategy-selector">
+                <label for="replay-speed">Speed</label>
+                <select name="replay-speed" id="replay-speed">
+                    ${REPLAY_SPEEDS.map(speed => `<option value="${speed}" ${speed === 1 ? 'selected' : ''}>${speed}x</option>`).join('')}
+                </select>
+            </div>
+        </div>
+      </div>
+    `;
+}
+
+function createTournamentUI() {
+    mainContainer.innerHTML = `
+      <div id="tournament-container">
+        <div class="side-info tournament-panel" id="tournament-setup">
+            <h2>TOURNAMENT</h2>
+            <div id="tournament-entrants">
+                ${getTournamentEntrantChoices().map(choice => `
+                    <label class="tournament-entrant" title="${escapeHtml(choice.name)} (${choice.strategy})">
+                        <input type="checkbox" value="${escapeHtml(choice.key)}" ${choice.key.startsWith('strategy:') ? 'checked' : ''}>
+                        <span>${escapeHtml(choice.name)}</span>
+                    </label>
+                `).join('')}
+            </div>
+            ${createTrainerNumberInput('tournament-rounds', 'Seeds / Pairing', tournamentConfig.rounds, 1, 1)}
+            ${createTrainerNumberInput('tournament-max-pieces', 'Max Pieces', tournamentConfig.maxPieces, 1, 50)}
+            ${createDepthSelector('tournament-depth')}
+            <div class="replay-buttons">
+                <button id="tournament-visual">Play Visually</button>
+                <button id="tournament-headless">Run Headless</button>
+            </div>
+            <div class="replay-buttons">
+                <button id="tournament-stop">Stop</button>
+                <button id="tournament-new">New</button>
+            </div>
+            <div id="tournament-status"></div>
+        </div>
+        <div id="board-wrapper">
+            <canvas id="battle-canvas" width="${battleLayout.width * PIXELS_PER_UNIT}" height="${battleLayout.height * PIXELS_PER_UNIT}"></canvas>
+        </div>
+        <div class="side-info tournament-panel" id="tournament-results">
+            <h2>STANDINGS</h2>
+            <div id="tournament-standings"></div>
+            <button id="tournament-reset-ratings">Reset Ratings</button>
+        </div>
+      </div>
+    `;
+}
+
+function createPieceOptions(selected: string | null, noneLabel = ''): string {
+    const none = noneLabel ? `<option value="" ${selected === null ? 'selected' : ''}>${noneLabel}</option>` : '';
+    return none + [...PIECE_LETTERS].map(letter => `<option value="${letter}" ${letter === selected ? 'selected' : ''}>${letter}</option>`).join('');
+}
+
+function createEditorUI() {
+    mainContainer.innerHTML = `
+      <div id="editor-container">
+        <div class="side-info editor-panel" id="editor-setup">
+            <h2>BOARD EDITOR</h2>
+            <div class="strategy-selector">
+                <label for="editor-brush">Paint</label>
+                <select name="editor-brush" id="editor-brush">
+                    <option value="${GARBAGE_CELL}" selected>Garbage</option>
+                    ${[...PIECE_LETTERS].map((letter, type) => `<option value="${type + 1}">${letter}</option>`).join('')}
+                </select>
+            </div>
+            <div class="strategy-selector">
+                <label for="editor-current">Current</label>
+                <select name="editor-current" id="editor-current">${createPieceOptions('T')}</select>
+            </div>
+            <div class="strategy-selector">
+                <label for="editor-queue">Next (in order)</label>
+                <input type="text" name="editor-queue" id="editor-queue" value="IJLO">
+            </div>
+            <div class="strategy-selector">
+                <label for="editor-hold">Hold</label>
+                <select name="editor-hold" id="editor-hold">${createPieceOptions(null, 'Empty')}</select>
+            </div>
+            <label class="editor-can-hold"><input type="checkbox" id="editor-can-hold" checked> Can hold</label>
+            ${createStrategySelector('editor-strategy', DEFAULT_STRATEGY)}
+            ${createDepthSelector('editor-depth')}
+            <div class="replay-buttons">
+                <button id="editor-ask">Ask AI</button>
+                <button id="editor-clear">Clear Board</button>
+            </div>
+            <div class="replay-buttons">
+                <button id="editor-fumen-import">Import Fumen</button>
+                <button id="editor-fumen-export">Export Fumen</button>
+            </div>
+            <div class="strategy-selector" id="editor-fumen-pages" style="display: none">
+                <label for="editor-fumen-page">Fumen Page</label>
+                <select name="editor-fumen-page" id="editor-fumen-page"></select>
+            </div>
+            <div id="editor-answer">Paint cells on the board, set the pieces and ask an AI what it would do.</div>
+            <div class="ai-analysis" id="ai-analysis-1"></div>
+        </div>
+        <div id="board-wrapper">
+            <canvas id="editor-canvas" width="${battleLayout.width * PIXELS_PER_UNIT}" height="${battleLayout.height * PIXELS_PER_UNIT}"></canvas>
+        </div>
+        <div class="side-info editor-panel" id="puzzle-library"></div>
+      </div>
+    `;
+}
+
+// Maps a strategy select value to the AI strategy and weights a game should use.
+function resolveStrategyChoice(choice: string) {
+    if (choice.startsWith(SAVED_STRATEGY_PREFIX)) {
+        const entry = getWeightSet(weightLibrary, parseInt(choice.slice(SAVED_STRATEGY_PREFIX.length), 10));
+        // Failsafe in case the entry was deleted after the select was built
+        if (!entry) return { strategy: DEFAULT_STRATEGY, weights: getDefaultWeights(DEFAULT_STRATEGY) };
+        return { strategy: entry.strategy, weights: { ...entry.weights } };
+    }
+    switch (choice) {
         case 'trained':
             // Provide a failsafe in case this is selected but weights are null
-            return trainedSkilledWeights || BASE_SURVIVAL_WEIGHTS;
-        case 'survival':
-            return BASE_SURVIVAL_WEIGHTS;
-        case 'rightWell':
-        case 'leftWell':
-            return BASE_WELL_WEIGHTS;
+            if (!trainedSkilledWeights) return { strategy: DEFAULT_STRATEGY, weights: getDefaultWeights(DEFAULT_STRATEGY) };
+            return { strategy: trainedStrategy, weights: trainedSkilledWeights };
         default:
-            return BASE_SURVIVAL_WEIGHTS;
+            return { strategy: choice, weights: getDefaultWeights(choice) };
+    }
+}
+
+// The players share one keyboard, so only one of them can be human: while one is,
+// the other players' Human option is disabled.
+function updateHumanOptions() {
+    const humanTaken = games.some(game => game.isHuman);
+    for (const game of games) {
+        const option = document.querySelector(`#strategy-${game.id} option[value="human"]`) as HTMLOptionElement | null;
+        if (option) option.disabled = humanTaken && !game.isHuman;
     }
 }
 
 function initBattleMode() {
     h1.textContent = 'aitris AI BATTLE';
     trainingModeButton.textContent = 'Enter Training Mode';
-    createBattleUI();
+    const count = parseInt(playerCountSelect.value, 10) || 2;
+    battleLayout = getBattleLayout(count);
+    createBattleUI(count);
 
     const canvas = document.getElementById('battle-canvas') as HTMLCanvasElement;
-    const projectionMatrix = createProjectionMatrix(30.5, 20);
+    const projectionMatrix = createProjectionMatrix(battleLayout.width, battleLayout.height);
+
+    games = Array.from({ length: count }, (_, index) => {
+        const id = index + 1;
+        const strategySelect = document.getElementById(`strategy-${id}`) as HTMLSelectElement;
+        const depthSelect = document.getElementById(`depth-${id}`) as HTMLSelectElement;
+        const discountsInput = document.getElementById(`discounts-${id}`) as HTMLInputElement;
+        const { strategy, weights } = resolveStrategyChoice(strategySelect.value);
+        const game = new GameInstance(id, strategy, weights, canvas, projectionMatrix);
+
+        // Strategies can be changed mid-game.
+        strategySelect.addEventListener('change', () => {
+            const { strategy: newStrategy, weights: newWeights } = resolveStrategyChoice(strategySelect.value);
+            game.strategy = newStrategy;
+            game.weights = newWeights;
+            game.resetAiExecutionState();
+            game.aiAnalysis = null;
+            renderAnalysisPanel(game);
+            releaseAllKeys(game.input);
+            updateHumanOptions();
+            (document.getElementById(`side-title-${id}`) as HTMLElement).textContent = getSideTitle(getPlayerName(index, count), newStrategy);
+            // Return focus to the page so the arrow keys steer the piece, not the select.
+            strategySelect.blur();
+        });
+        // Depth changes apply from the next piece the AI plans.
+        depthSelect.addEventListener('change', () => {
+            game.search = { ...game.search, depth: parseInt(depthSelect.value, 10) };
+            depthSelect.blur();
+        });
+        discountsInput.addEventListener('change', () => {
+            const discounts = parseDiscounts(discountsInput.value);
+            if (discounts) game.search = { ...game.search, discounts };
+            discountsInput.value = game.search.discounts.join(', ');
+            discountsInput.blur();
+        });
+        return game;
+    });
+}
 
-    const leftStrategySelect = document.getElementById('left-strategy') as HTMLSelectElement;
-    const rightStrategySelect = document.getElementById('right-strategy') as HTMLSelectElement;
+function initReplayMode() {
+    h1.textContent = 'REPLAY VIEWER';
+    trainingModeButton.textContent = 'Back to Battle';
+    createReplayUI();
+    replayPlayer = null;
+    replayPlaying = false;
+
+    const fileInput = document.getElementById('replay-file') as HTMLInputElement;
+    const playButton = document.getElementById('replay-play') as HTMLButtonElement;
+    const stepButton = document.getElementById('replay-step') as HTMLButtonElement;
+    const seekSlider = document.getElementById('replay-seek') as HTMLInputElement;
+    const speedSelect = document.getElementById('replay-speed') as HTMLSelectElement;
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (file) {
+            loadReplay(await file.text());
+        }
+    });
+    playButton.addEventListener('click', () => {
+        if (!replayPlayer) return;
+        if (isReplayFinished(replayPlayer)) {
+            seekReplay(replayPlayer, 0);
+        }
+        setReplayPlaying(!replayPlaying);
+    });
+    stepButton.addEventListener('click', () => {
+        if (!replayPlayer) return;
+        setReplayPlaying(false);
+        stepReplay(replayPlayer);
+    });
+    seekSlider.addEventListener('input', () => {
+        if (!replayPlayer) return;
+        seekReplay(replayPlayer, parseInt(seekSlider.value, 10));
+    });
+    speedSelect.addEventListener('change', () => {
+        replaySpeed = parseFloat(speedSelect.value);
+    });
+    (document.getElementById('replay-fumen') as HTMLElement).addEventListener('click', () => {
+        if (replayPlayer) showFumen(encodeFumen(getReplayFumenPages(replayPlayer.replay)));
+    });
+}
 
-    const leftStrategy = leftStrategySelect.value;
-    const rightStrategy = rightStrategySelect.value;
+function loadReplay(text: string) {
+    const metaDisplay = document.getElementById('replay-meta') as HTMLElement;
+    const replay = parseReplay(text);
+    if (!replay) {
+        metaDisplay.textContent = 'Could not read that replay file. See the console for details.';
+        return;
+    }
 
-    const leftWeights = getWeightsForStrategy(leftStrategy);
-    const rightWeights = getWeightsForStrategy(rightStrategy);
-    
+    const canvas = document.getElementById('replay-canvas') as HTMLCanvasElement;
+    const projectionMatrix = createProjectionMatrix(15.5, 20);
+    battleLayout = getBattleLayout(1);
+    replayPlayer = createReplayPlayer(replay);
+    games = [new GameInstance(1, replay.strategy, replay.weights, canvas, projectionMatrix)];
+    games[0].state = replayPlayer.state;
+
+    const scoringRules = SCORING_RULES[replay.scoring as keyof typeof SCORING_RULES];
+    metaDisplay.innerHTML = `
+        <div class="weight-entry"><span class="weight-name">Seed</span><span class="weight-value">${replay.seed}</span></div>
+        <div class="weight-entry"><span class="weight-name">Randomizer</span><span class="weight-value">${replay.randomizer}</span></div>
+        <div class="weight-entry"><span class="weight-name">Scoring</span><span class="weight-value">${scoringRules ? scoringRules.name : replay.scoring}</span></div>
+        <div class="weight-entry"><span class="weight-name">Game Mode</span><span class="weight-value">${getGameMode(replay.mode).name}</span></div>
+        <div class="weight-entry"><span class="weight-name">Strategy</span><span class="weight-value">${replay.strategy}</span></div>
+        <div class="weight-entry"><span class="weight-name">Start Level</span><span class="weight-value">${replay.startLevel}</span></div>
+        <div class="weight-entry"><span class="weight-name">Events</span><span class="weight-value">${replay.events.length}</span></div>
+    `;
+    const seekSlider = document.getElementById('replay-seek') as HTMLInputElement;
+    seekSlider.max = String(Math.ceil(replay.duration));
+    seekSlider.disabled = false;
+    (document.getElementById('replay-play') as HTMLButtonElement).disabled = false;
+    (document.getElementById('replay-step') as HTMLButtonElement).disabled = false;
+    (document.getElementById('replay-fumen') as HTMLButtonElement).disabled = false;
+    setReplayPlaying(false);
+}
+
+function setReplayPlaying(playing: boolean) {
+    replayPlaying = playing;
+    const playButton = document.getElementById('replay-play');
+    if (playButton) {
+        playButton.textContent = playing ? 'Pause' : 'Play';
+    }
+}
+
+function updateReplay() {
+    if (!replayPlayer || games.length === 0) return;
+
+    if (replayPlaying) {
+        advanceReplay(replayPlayer, TICK_MS * replaySpeed);
+        if (isReplayFinished(replayPlayer)) {
+            setReplayPlaying(false);
+        }
+    }
+    // Seeking rebuilds the engine state, so always draw the player's current one.
+    games[0].state = replayPlayer.state;
+}
+
+function updateReplayControls() {
+    if (!replayPlayer) return;
+    const seekSlider = document.getElementById('replay-seek') as HTMLInputElement;
+    const timeLabel = document.getElementById('replay-time') as HTMLElement;
+    seekSlider.value = String(Math.round(replayPlayer.time));
+    timeLabel.textContent = `${(replayPlayer.time / 1000).toFixed(1)}s / ${(replayPlayer.replay.duration / 1000).toFixed(1)}s`;
+}
+
+function exportReplay(index: number) {
+    const game = games[index];
+    if (!game || !game.recording) return;
+    const filename = `aitris-replay-${game.recording.seed}-${game.id}.json`;
+    downloadFile(filename, serializeReplay(game.recording));
+}
+
+// A game so far as a fumen, one page per piece, rebuilt from its recording.
+function exportFumen(index: number) {
+    const game = games[index];
+    if (!game || !game.recording) return;
+    const replay = parseReplay(serializeReplay(game.recording));
+    if (replay) showFumen(encodeFumen(getReplayFumenPages(replay)));
+}
+
+// Fumens are shared as text, so they are shown to copy rather than downloaded.
+function showFumen(text: string) {
+    window.prompt('Copy this fumen:', text);
+}
+
+// --- Tournament ---
+// Entrants are the registered strategies with their default weights and the saved
+// weight sets. A tournament plays one match at a time on the battle canvas, or all
+// of them headless on the background workers; both can be stopped and resumed.
+
+// Entrant keys name ratings in storage. A saved set's key includes when it was saved,
+// so a new set that reuses a deleted set's id starts from a fresh rating.
+function getTournamentEntrantChoices() {
+    const choices = listStrategies().map(strategy => ({
+        key: `strategy:${strategy.id}`, name: strategy.name, strategy: strategy.id, weights: getDefaultWeights(strategy.id),
+    }));
+    for (const entry of weightLibrary) {
+        choices.push({ key: `saved:${entry.id}:${entry.savedAt}`, name: entry.name, strategy: entry.strategy, weights: { ...entry.weights } });
+    }
+    return choices;
+}
+
+function initTournamentMode() {
+    h1.textContent = 'AI TOURNAMENT';
+    trainingModeButton.textContent = 'Back to Battle';
+    // Whatever was running when the mode was left waits to be resumed.
+    abandonTournamentMatch();
+    tournamentRunning = false;
+    battleLayout = getBattleLayout(2);
+    createTournamentUI();
+
+    const canvas = document.getElementById('battle-canvas') as HTMLCanvasElement;
+    const projectionMatrix = createProjectionMatrix(battleLayout.width, battleLayout.height);
     games = [
-        new GameInstance(1, leftStrategy, leftWeights, canvas, projectionMatrix),
-        new GameInstance(2, rightStrategy, rightWeights, canvas, projectionMatrix)
+        new GameInstance(1, DEFAULT_STRATEGY, getDefaultWeights(DEFAULT_STRATEGY), canvas, projectionMatrix),
+        new GameInstance(2, DEFAULT_STRATEGY, getDefaultWeights(DEFAULT_STRATEGY), canvas, projectionMatrix),
     ];
 
-    // Add event listeners for changing strategies mid-game
-    leftStrategySelect.addEventListener('change', () => {
-        if (games[0]) {
-            const newStrategy = leftStrategySelect.value;
-            games[0].strategy = newStrategy;
-            games[0].weights = getWeightsForStrategy(newStrategy);
-            games[0].resetAiExecutionState();
+    (document.getElementById('tournament-visual') as HTMLElement).addEventListener('click', () => startTournament(false));
+    (document.getElementById('tournament-headless') as HTMLElement).addEventListener('click', () => startTournament(true));
+    (document.getElementById('tournament-stop') as HTMLElement).addEventListener('click', stopTournament);
+    (document.getElementById('tournament-new') as HTMLElement).addEventListener('click', () => {
+        stopTournament();
+        tournament = null;
+        renderTournament();
+    });
+    (document.getElementById('tournament-reset-ratings') as HTMLElement).addEventListener('click', () => {
+        if (!window.confirm('Reset every rating to the starting value?')) return;
+        for (const runType of RUN_TYPES) ratings[runType] = {};
+        saveRatings(ratings);
+        renderTournament();
+    });
+    renderTournament();
+}
+
+function readTournamentConfig() {
+    const readNumber = (id: string, fallback: number) => {
+        const value = parseInt((document.getElementById(id) as HTMLInputElement).value, 10);
+        return Number.isFinite(value) && value > 0 ? value : fallback;
+    };
+    tournamentConfig = {
+        rounds: readNumber('tournament-rounds', DEFAULT_TOURNAMENT_CONFIG.rounds),
+        maxPieces: readNumber('tournament-max-pieces', DEFAULT_TOURNAMENT_CONFIG.maxPieces),
+    };
+    const depth = parseInt((document.getElementById('tournament-depth') as HTMLSelectElement).value, 10);
+    // Every match is played under the rules in the global controls when the tournament starts.
+    return {
+        ...tournamentConfig,
+        randomizer: randomizerSelect.value,
+        startLevel: parseInt(startLevelInput.value, 10) || 0,
+        scoring: scoringSelect.value,
+        attackTable: parseAttackTable(),
+        search: { ...DEFAULT_SEARCH_OPTIONS, depth },
+    };
+}
+
+function createTournamentFromSettings() {
+    const checked = new Set([...document.querySelectorAll('#tournament-entrants input:checked')].map(input => (input as HTMLInputElement).value));
+    const entrants = getTournamentEntrantChoices().filter(choice => checked.has(choice.key));
+    tournament = createTournament(entrants, readTournamentConfig(), currentSeed);
+    if (tournament) {
+        console.log(`Tournament started from seed ${currentSeed}: ${entrants.map(entrant => entrant.name).join(', ')}.`);
+    }
+}
+
+// Starts a new tournament from the settings, or resumes the current one in the given way.
+function startTournament(headless: boolean) {
+    if (!tournament || isTournamentFinished(tournament)) {
+        createTournamentFromSettings();
+    }
+    if (!tournament) {
+        renderTournament('Pick at least two entrants.');
+        return;
+    }
+    if (headless) abandonTournamentMatch();
+    tournamentHeadless = headless;
+    tournamentRunning = true;
+    renderTournament();
+}
+
+function stopTournament() {
+    tournamentRunning = false;
+    abandonTournamentMatch();
+    renderTournament();
+}
+
+// Puts an unfinished visual match back to be played again later.
+function abandonTournamentMatch() {
+    if (tournament && tournamentMatch) returnMatch(tournament, tournamentMatch);
+    tournamentMatch = null;
+}
+
+function startTournamentMatch(owner: Tournament, match: TournamentMatch) {
+    const { config } = owner;
+    tournamentMatch = match;
+    tournamentMatchEnd = null;
+    const sequence = createSeededPieceSequence(config.randomizer, match.seed);
+    getMatchPlayers(owner, match).forEach(({ strategy, weights }, side) => {
+        const game = games[side];
+        game.strategy = strategy;
+        game.weights = { ...weights };
+        game.search = { ...DEFAULT_SEARCH_OPTIONS, ...config.search };
+        game.reset(config.startLevel, sequence, { seed: match.seed, scoring: config.scoring, attackTable: config.attackTable });
+    });
+    renderTournament();
+}
+
+// The run type whose ratings the standings show.
+function getTournamentRunType() {
+    return tournamentHeadless ? 'headless' : 'visual';
+}
+
+function recordTournamentMatch(owner: Tournament, match: TournamentMatch, result: { winner: number | null, scores: number[] }, runType: string) {
+    completeMatch(owner, match, result, ratings, runType);
+    saveRatings(ratings);
+    if (owner === tournament) renderTournament();
+}
+
+function updateTournament() {
+    if (!tournament || !tournamentRunning) return;
+    if (tournamentHeadless) {
+        updateHeadlessTournament(tournament);
+    } else {
+        updateVisualTournament(tournament);
+    }
+    if (isTournamentFinished(tournament)) {
+        tournamentRunning = false;
+        console.log('Tournament finished.', getStandings(tournament, ratings, getTournamentRunType()));
+        renderTournament();
+    }
+}
+
+function updateVisualTournament(owner: Tournament) {
+    if (!tournamentMatch) {
+        const match = takeMatch(owner);
+        if (match) startTournamentMatch(owner, match);
+        return;
+    }
+    const outcome = getBattleWinner(games.map(game => game.state), owner.config.maxPieces);
+    if (!outcome) return;
+    if (tournamentMatchEnd === null) {
+        tournamentMatchEnd = simTime;
+        // Top outs are already marked by updateBattleResult; a piece limit win is not.
+        if (!games.some(game => game.result)) {
+            games.forEach((game, side) => {
+                game.result = outcome.winner === null ? 'DRAW' : (outcome.winner === side ? 'WIN' : 'LOSE');
+            });
+        }
+        return;
+    }
+    if (simTime - tournamentMatchEnd < MATCH_RESULT_PAUSE_MS) return;
+    const match = tournamentMatch;
+    tournamentMatch = null;
+    recordTournamentMatch(owner, match, { winner: outcome.winner, scores: games.map(game => game.state.score) }, 'visual');
+}
+
+// Keeps every background worker busy with a match, or plays matches on this
+// thread for a bounded time if workers are unavailable.
+function updateHeadlessTournament(owner: Tournament) {
+    const pool = getBackgroundPool();
+    if (!isWorkerPoolAlive(pool)) {
+        const done = owner.completed;
+        runTournament(owner, BACKGROUND_FRAME_BUDGET_MS, ratings);
+        if (owner.completed !== done) {
+            saveRatings(ratings);
+            renderTournament();
+        }
+        return;
+    }
+    while (getPendingJobCount(pool) < pool.workers.length) {
+        const match = takeMatch(owner);
+        if (!match) break;
+        runInWorker(pool, { type: 'battle', players: getMatchPlayers(owner, match), seed: match.seed, options: owner.config }).then(
+            result => recordTournamentMatch(owner, match, result, 'headless'),
+            error => {
+                console.error('Tournament match failed in a worker: ' + error.message);
+                returnMatch(owner, match);
+            }
+        );
+    }
+}
+
+function renderTournament(message = '') {
+    const status = document.getElementById('tournament-status');
+    const standings = document.getElementById('tournament-standings');
+    if (!status || !standings) return;
+
+    const row = (name: string, value: string | number) => `
+        <div class="weight-entry"><span class="weight-name">${name}</span><span class="weight-value">${value}</span></div>
+    `;
+    const note = message ? `<div class="no-change-note">${message}</div>` : '';
+    if (!tournament) {
+        status.innerHTML = note || '<div class="no-change-note">Pick the entrants, then play visually or run headless.</div>';
+        standings.innerHTML = '';
+        return;
+    }
+
+    const { done, total } = getTournamentProgress(tournament);
+    const state = isTournamentFinished(tournament) ? 'Finished' : !tournamentRunning ? 'Stopped' : tournamentHeadless ? 'Headless' : 'Visual';
+    const { entrants } = tournament;
+    const names = tournamentMatch ? tournamentMatch.players.map(index => escapeHtml(entrants[index].name)) : null;
+    status.innerHTML = `
+        ${note}
+        ${row('Matches', `${done}/${total}`)}
+        ${row('Status', state)}
+        ${names ? row('Now', `${names[0]} vs ${names[1]}`) : ''}
+    `;
+
+    const formatChange = (change: number) => `${change >= 0 ? '+' : ''}${change.toFixed(0)}`;
+    const runType = getTournamentRunType();
+    standings.innerHTML = `
+        <table class="standings-table">
+            <tr><th>#</th><th>Name</th><th title="Wins-draws-losses">W-D-L</th><th title="Average score">Avg</th><th title="Rating from ${runType} matches">Elo</th></tr>
+            ${getStandings(tournament, ratings, runType).map((entry, i) => `
+                <tr>
+                    <td>${i + 1}</td>
+                    <td class="standings-name" title="${escapeHtml(entry.name)} (${entry.strategy})">${escapeHtml(entry.name)}</td>
+                    <td>${entry.wins}-${entry.draws}-${entry.losses}</td>
+                    <td>${entry.averageScore.toFixed(0)}</td>
+                    <td title="${formatChange(entry.ratingChange)} this tournament">${entry.rating.toFixed(0)}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// --- Board Editor ---
+// The editor's one game holds the position being edited, built by createPuzzleState.
+// The mouse paints its grid; the piece inputs rebuild it. Asking an AI solves the
+// position in place and draws its answer with the usual target outline. Saved
+// puzzles keep that answer as the expected one and make up the regression suite.
+
+function initEditorMode() {
+    h1.textContent = 'BOARD EDITOR';
+    trainingModeButton.textContent = 'Back to Battle';
+    battleLayout = getBattleLayout(1);
+    createEditorUI();
+
+    const canvas = document.getElementById('editor-canvas') as HTMLCanvasElement;
+    const projectionMatrix = createProjectionMatrix(battleLayout.width, battleLayout.height);
+    const strategySelect = document.getElementById('editor-strategy') as HTMLSelectElement;
+    (strategySelect.querySelector('option[value="human"]') as HTMLOptionElement).remove(); // Only AIs can be asked
+    const { strategy, weights } = resolveStrategyChoice(strategySelect.value);
+    const game = new GameInstance(1, strategy, weights, canvas, projectionMatrix);
+    game.state = createPuzzleState(readEditorPuzzle() as Puzzle); // An empty board; the default Next pieces are valid
+    games = [game];
+
+    const brushSelect = document.getElementById('editor-brush') as HTMLSelectElement;
+    brushSelect.addEventListener('change', () => {
+        editorBrush = parseInt(brushSelect.value, 10);
+    });
+    editorBrush = parseInt(brushSelect.value, 10);
+    for (const id of ['editor-current', 'editor-queue', 'editor-hold', 'editor-can-hold']) {
+        (document.getElementById(id) as HTMLElement).addEventListener('change', rebuildEditorState);
+    }
+    for (const id of ['editor-strategy', 'editor-depth']) {
+        (document.getElementById(id) as HTMLElement).addEventListener('change', clearEditorAnswer);
+    }
+    (document.getElementById('editor-ask') as HTMLElement).addEventListener('click', askEditorAi);
+    (document.getElementById('editor-fumen-import') as HTMLElement).addEventListener('click', importEditorFumen);
+    (document.getElementById('editor-fumen-export') as HTMLElement).addEventListener('click', exportEditorFumen);
+    const pageSelect = document.getElementById('editor-fumen-page') as HTMLSelectElement;
+    pageSelect.addEventListener('change', () => loadFumenPage(parseInt(pageSelect.value, 10)));
+    (document.getElementById('editor-clear') as HTMLElement).addEventListener('click', () => {
+        game.state.grid.forEach((row: number[]) => row.fill(0));
+        clearEditorAnswer();
+    });
+
+    // A drag paints with the brush, or erases if it started on a cell of the brush's colour.
+    canvas.addEventListener('mousedown', (e) => {
+        const cell = getEditorCell(canvas, e);
+        if (!cell) return;
+        editorPaintValue = game.state.grid[cell.row][cell.col] === editorBrush ? 0 : editorBrush;
+        paintEditorCell(cell);
+        e.preventDefault();
+    });
+    canvas.addEventListener('mousemove', (e) => {
+        if (editorPaintValue === null || !(e.buttons & 1)) return;
+        const cell = getEditorCell(canvas, e);
+        if (cell) paintEditorCell(cell);
+    });
+
+    editorAnswer = null;
+    renderPuzzleLibrary();
+}
+
+// The grid cell under the mouse, or null outside the board.
+function getEditorCell(canvas: HTMLCanvasElement, e: MouseEvent) {
+    const slot = battleLayout.slots[0];
+    const x = e.offsetX / canvas.clientWidth * battleLayout.width - slot.boardX;
+    const y = e.offsetY / canvas.clientHeight * battleLayout.height - slot.y;
+    if (x < 0 || x >= BOARD_WIDTH || y < 0 || y >= battleLayout.height) return null;
+    return { row: Math.floor(y) + HIDDEN_ROWS, col: Math.floor(x) };
+}
+
+function paintEditorCell({ row, col }: { row: number, col: number }) {
+    const grid = games[0].state.grid;
+    if (grid[row][col] === editorPaintValue) return;
+    grid[row][col] = editorPaintValue;
+    clearEditorAnswer();
+}
+
+// The position in the editor as a puzzle with no expected answer, or null if the
+// Next pieces can't be read.
+function readEditorPuzzle() {
+    const queueInput = document.getElementById('editor-queue') as HTMLInputElement;
+    const queue = [...queueInput.value.toUpperCase().replace(/[\s,]/g, '')];
+    if (queue.length === 0 || !queue.every(letter => PIECE_LETTERS.includes(letter))) {
+        queueInput.classList.add('invalid');
+        return null;
+    }
+    queueInput.classList.remove('invalid');
+    const hold = (document.getElementById('editor-hold') as HTMLSelectElement).value;
+    return {
+        name: '',
+        rows: games.length > 0 ? encodeRows(games[0].state.grid) : [],
+        current: (document.getElementById('editor-current') as HTMLSelectElement).value,
+        queue,
+        hold: hold || null,
+        canHold: (document.getElementById('editor-can-hold') as HTMLInputElement).checked,
+        strategy: games.length > 0 ? games[0].strategy : DEFAULT_STRATEGY,
+        depth: parseInt((document.getElementById('editor-depth') as HTMLSelectElement).value, 10),
+        expected: [],
+    };
+}
+
+// Rebuilds the game state after the pieces change, keeping the painted board.
+function rebuildEditorState() {
+    const puzzle = readEditorPuzzle();
+    if (!puzzle) return;
+    games[0].state = createPuzzleState(puzzle);
+    clearEditorAnswer();
+}
+
+function clearEditorAnswer() {
+    const game = games[0];
+    editorAnswer = null;
+    game.aiTargetPiece = null;
+    game.aiAnalysis = null;
+    renderAnalysisPanel(game);
+    renderEditorAnswer();
+}
+
+function askEditorAi() {
+    const puzzle = readEditorPuzzle();
+    if (!puzzle) {
+        renderEditorAnswer('Enter the Next pieces as letters, e.g. IJLO.');
+        return;
+    }
+    const game = games[0];
+    const choice = (document.getElementById('editor-strategy') as HTMLSelectElement).value;
+    const { strategy, weights } = resolveStrategyChoice(choice);
+    game.strategy = strategy;
+    game.weights = weights;
+    const alternatives = isAnalysisShown() ? ANALYSIS_ALTERNATIVES : 0;
+    const move = solvePuzzle(puzzle, { strategy, weights, depth: puzzle.depth, alternatives });
+    // Weights other than a strategy's defaults are stored with a saved puzzle, so its
+    // expected answer stays tied to them.
+    editorAnswer = { ...move, strategy, weights, depth: puzzle.depth, fixedWeights: !getStrategyIds().includes(choice) };
+    game.aiTargetPiece = move.target;
+    game.aiAnalysis = move.analysis || null;
+    renderAnalysisPanel(game);
+    renderEditorAnswer();
+}
+
+function renderEditorAnswer(message = '') {
+    const panel = document.getElementById('editor-answer');
+    if (!panel) return;
+    if (message || !editorAnswer) {
+        panel.textContent = message;
+        return;
+    }
+    const { path, target, strategy } = editorAnswer;
+    panel.innerHTML = target ? `
+        <div class="weight-entry"><span class="weight-name">${escapeHtml(resolveStrategy(strategy).name)}</span><span class="weight-value">${describeTarget(target)}</span></div>
+        <div class="editor-path">${escapeHtml(formatPath(path))}</div>
+    ` : 'The current piece has nowhere to go.';
+}
+
+// Saves the position with the AI's current answer as the expected one.
+function savePuzzle() {
+    if (!editorAnswer) askEditorAi();
+    const editorPuzzle = readEditorPuzzle();
+    if (!editorPuzzle || !editorAnswer || !editorAnswer.target) return;
+    const name = window.prompt('Name for this puzzle:', `Puzzle ${puzzleLibrary.length + 1}`);
+    if (name === null) return; // Cancelled
+    const { strategy, weights, depth, fixedWeights, target } = editorAnswer;
+    const puzzle: Puzzle = {
+        ...editorPuzzle,
+        name: name.trim() || `Puzzle ${puzzleLibrary.length + 1}`,
+        strategy,
+        depth,
+        expected: [target],
+    };
+    if (fixedWeights) puzzle.weights = { ...weights };
+    puzzleLibrary.push(puzzle);
+    persistPuzzleLibrary();
+    console.log(`Saved puzzle "${puzzle.name}".`);
+}
+
+// Puts a saved puzzle in the editor, showing its expected answer.
+function loadPuzzle(puzzle: Puzzle) {
+    (document.getElementById('editor-current') as HTMLSelectElement).value = puzzle.current;
+    (document.getElementById('editor-queue') as HTMLInputElement).value = puzzle.queue.join('');
+    (document.getElementById('editor-hold') as HTMLSelectElement).value = puzzle.hold || '';
+    (document.getElementById('editor-can-hold') as HTMLInputElement).checked = puzzle.canHold !== false;
+    (document.getElementById('editor-strategy') as HTMLSelectElement).value = puzzle.strategy;
+    (document.getElementById('editor-depth') as HTMLSelectElement).value = String(puzzle.depth ?? DEFAULT_SEARCH_OPTIONS.depth);
+    const game = games[0];
+    game.state = createPuzzleState(puzzle);
+    game.strategy = puzzle.strategy;
+    game.weights = puzzle.weights || getDefaultWeights(puzzle.strategy);
+    clearEditorAnswer();
+    game.aiTargetPiece = puzzle.expected[0] || null;
+    renderEditorAnswer(`Expected: ${puzzle.expected.map(describeTarget).join(' or ') || 'nothing'}`);
+}
+
+function importEditorFumen() {
+    const text = window.prompt('Paste a fumen:');
+    if (!text) return;
+    const pages = decodeFumen(text);
+    if (!pages) {
+        window.alert('Could not read that fumen. See the console for details.');
+        return;
+    }
+    editorFumenPages = pages;
+    const pageSelect = document.getElementById('editor-fumen-page') as HTMLSelectElement;
+    pageSelect.innerHTML = pages.map((_, index) => `<option value="${index}">${index + 1} of ${pages.length}</option>`).join('');
+    (document.getElementById('editor-fumen-pages') as HTMLElement).style.display = pages.length < 2 ? 'none' : '';
+    loadFumenPage(0);
+}
+
+// Starts the editor from a fumen page. A quiz comment sets the pieces; otherwise the
+// page's piece becomes the current one and its position is outlined.
+function loadFumenPage(index: number) {
+    const page = editorFumenPages[index];
+    if (!page) return;
+    const quiz = parseQuizComment(page.comment);
+    const current = (quiz && quiz.current) || getPagePieceLetter(page);
+    if (current) (document.getElementById('editor-current') as HTMLSelectElement).value = current;
+    if (quiz && quiz.queue.length > 0) (document.getElementById('editor-queue') as HTMLInputElement).value = quiz.queue.join('');
+    if (quiz) (document.getElementById('editor-hold') as HTMLSelectElement).value = quiz.hold || '';
+    const puzzle = readEditorPuzzle();
+    if (!puzzle) return;
+    const game = games[0];
+    game.state = createPuzzleState({ ...puzzle, rows: encodeRows(page.grid) });
+    clearEditorAnswer();
+    if (!quiz) game.aiTargetPiece = page.block;
+    renderEditorAnswer(page.comment ? `Fumen comment: ${page.comment}` : '');
+}
+
+// The position as a one-page fumen: the AI's answer if it has been asked, otherwise
+// the current piece at the spawn position, with the queue in a quiz comment.
+function exportEditorFumen() {
+    const puzzle = readEditorPuzzle();
+    if (!puzzle) return;
+    const state = games[0].state;
+    showFumen(encodeFumen([{
+        grid: state.grid,
+        block: editorAnswer && editorAnswer.target ? editorAnswer.target : state.Block,
+        comment: getQuizComment(puzzle.hold, puzzle.current, puzzle.queue),
+    }]));
+}
+
+function persistPuzzleLibrary() {
+    savePuzzleLibrary(puzzleLibrary);
+    suiteResults = null;
+    renderPuzzleLibrary();
+}
+
+function runSuite() {
+    const results = runPuzzleSuite(puzzleLibrary);
+    suiteResults = results.map(result => result.passed);
+    for (const result of results.filter(result => !result.passed)) {
+        console.log(`Puzzle "${result.puzzle.name}" failed: expected ${result.puzzle.expected.map(describeTarget).join(' or ')}, got ${result.target ? describeTarget(result.target) : 'nothing'}.`);
+    }
+    renderPuzzleLibrary();
+}
+
+function renderPuzzleLibrary() {
+    const panel = document.getElementById('puzzle-library');
+    if (!panel) return;
+    const passed = suiteResults ? suiteResults.filter(Boolean).length : 0;
+    panel.innerHTML = `
+        <h2>PUZZLES</h2>
+        <button id="puzzle-save">Save Puzzle</button>
+        ${puzzleLibrary.length === 0 ? '<div class="no-change-note">Nothing saved yet.</div>' : puzzleLibrary.map((puzzle, index) => `
+            <div class="library-entry">
+                <span class="weight-name" title="${escapeHtml(puzzle.name)} (${puzzle.strategy})">
+                    ${suiteResults ? `<span class="${suiteResults[index] ? 'puzzle-pass' : 'puzzle-fail'}">${suiteResults[index] ? 'PASS' : 'FAIL'}</span> ` : ''}${escapeHtml(puzzle.name)}
+                </span>
+                <div class="library-buttons">
+                    <button data-action="load" data-index="${index}">LOAD</button>
+                    <button data-action="delete" data-index="${index}">DELETE</button>
+                </div>
+            </div>
+        `).join('')}
+        <div class="library-buttons">
+            <button id="puzzle-run" ${puzzleLibrary.length === 0 ? 'disabled' : ''}>RUN SUITE</button>
+            <button id="puzzle-export" ${puzzleLibrary.length === 0 ? 'disabled' : ''}>EXPORT</button>
+            <label class="library-import">IMPORT<input type="file" id="puzzle-import" accept=".json,application/json"></label>
+        </div>
+        <div id="puzzle-suite-status">${suiteResults ? `${passed} / ${suiteResults.length} passed` : ''}</div>
+    `;
+
+    panel.querySelectorAll('button[data-action]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const target = e.target as HTMLElement;
+            const index = parseInt(target.dataset.index ?? '', 10);
+            const puzzle = puzzleLibrary[index];
+            if (!puzzle) return;
+            if (target.dataset.action === 'load') {
+                loadPuzzle(puzzle);
+            } else if (window.confirm(`Delete "${puzzle.name}"?`)) {
+                puzzleLibrary.splice(index, 1);
+                persistPuzzleLibrary();
+            }
+        });
+    });
+    (document.getElementById('puzzle-save') as HTMLElement).addEventListener('click', savePuzzle);
+    (document.getElementById('puzzle-run') as HTMLElement).addEventListener('click', runSuite);
+    (document.getElementById('puzzle-export') as HTMLElement).addEventListener('click', () => {
+        downloadFile('aitris-puzzles.json', serializePuzzles(puzzleLibrary));
+    });
+    const importInput = document.getElementById('puzzle-import') as HTMLInputElement;
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files && importInput.files[0];
+        if (!file) return;
+        const puzzles = parsePuzzles(await file.text());
+        if (!puzzles) {
+            window.alert('Could not read that puzzle file. See the console for details.');
+            return;
         }
+        puzzleLibrary.push(...puzzles);
+        console.log(`Imported ${puzzles.length} puzzle(s).`);
+        persistPuzzleLibrary();
     });
+}
 
-    rightStrategySelect.addEventListener('change', () => {
-        if (games[1]) {
-            const newStrategy = rightStrategySelect.value;
-            games[1].strategy = newStrategy;
-            games[1].weights = getWeightsForStrategy(newStrategy);
-            games[1].resetAiExecutionState();
+// --- Weight Library ---
+
+function escapeHtml(text: string): string {
+    return text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function persistWeightLibrary() {
+    saveWeightLibrary(weightLibrary);
+    renderWeightLibrary();
+}
+
+function saveToLibrary(defaultName: string, strategy: string, weights: object) {
+    const name = window.prompt('Name for this weight set:', defaultName);
+    if (name === null) return; // Cancelled
+    const entry = addWeightSet(weightLibrary, name, strategy, weights);
+    if (entry) {
+        console.log(`Saved weight set "${entry.name}".`);
+        persistWeightLibrary();
+    }
+}
+
+function renderWeightLibrary() {
+    const panel = document.getElementById('weight-library');
+    if (!panel) return;
+    panel.innerHTML = `
+        <h4>SAVED WEIGHTS</h4>
+        ${weightLibrary.length === 0 ? '<div class="no-change-note">Nothing saved yet.</div>' : weightLibrary.map(entry => `
+            <div class="library-entry">
+                <span class="weight-name" title="${escapeHtml(entry.name)} (${entry.strategy})">${escapeHtml(entry.name)}</span>
+                <div class="library-buttons">
+                    <button data-action="baseline" data-id="${entry.id}">BASELINE</button>
+                    <button data-action="rename" data-id="${entry.id}">RENAME</button>
+                    <button data-action="export" data-id="${entry.id}">EXPORT</button>
+                    <button data-action="delete" data-id="${entry.id}">DELETE</button>
+                </div>
+            </div>
+        `).join('')}
+        <div class="library-buttons">
+            <button id="library-export-all" ${weightLibrary.length === 0 ? 'disabled' : ''}>EXPORT ALL</button>
+            <label class="library-import">IMPORT<input type="file" id="library-import" accept=".json,application/json"></label>
+        </div>
+    `;
+
+    panel.querySelectorAll('button[data-action]').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const target = e.target as HTMLElement;
+            handleLibraryAction(target.dataset.action ?? '', parseInt(target.dataset.id ?? '', 10));
+        });
+    });
+    (document.getElementById('library-export-all') as HTMLElement).addEventListener('click', () => {
+        downloadFile('aitris-weights.json', serializeWeightSets(weightLibrary));
+    });
+    const importInput = document.getElementById('library-import') as HTMLInputElement;
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files && importInput.files[0];
+        if (!file) return;
+        const sets = parseWeightSets(await file.text());
+        if (!sets) {
+            window.alert('Could not read that weights file. See the console for details.');
+            return;
         }
+        const added = importWeightSets(weightLibrary, sets);
+        console.log(`Imported ${added.length} weight set(s).`);
+        persistWeightLibrary();
     });
 }
 
+function handleLibraryAction(action: string, id: number) {
+    const entry = getWeightSet(weightLibrary, id);
+    if (!entry) return;
+    switch (action) {
+        case 'baseline':
+            console.log(`Training from saved weight set "${entry.name}".`);
+            baselineWeights = { ...entry.weights };
+            trainerConfig = { ...trainerConfig, strategy: entry.strategy };
+            trainer = null;
+            setupAndStartGames();
+            break;
+        case 'rename': {
+            const name = window.prompt('New name:', entry.name);
+            if (name !== null && renameWeightSet(weightLibrary, id, name)) {
+                persistWeightLibrary();
+            }
+            break;
+        }
+        case 'export':
+            downloadFile(`aitris-weights-${entry.name.replace(/[^\w-]+/g, '_')}.json`, serializeWeightSets([entry]));
+            break;
+        case 'delete':
+            if (window.confirm(`Delete "${entry.name}"?`)) {
+                deleteWeightSet(weightLibrary, id);
+                persistWeightLibrary();
+            }
+            break;
+    }
+}
+
+function downloadFile(filename: string, content: string) {
+    const blob = new Blob([content], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
 function initTrainingMode() {
     h1.textContent = 'AI TRAINING MODE';
     trainingModeButton.textContent = 'Back to Battle';
     createTrainingUI();
+    if (!trainer) {
+        trainer = createTrainer(baselineWeights, readTrainerConfig(), currentSeed);
+        console.log(`Training started from seed ${currentSeed}.`);
+    }
+    showGenerationSample();
+    updateTrainerStatus();
+}
+
+// Rebuilds the visible games from the trainer's current generation.
+function showGenerationSample() {
     games = [];
+    if (!trainer) return;
+    displayedGeneration = trainer.generation;
 
     const canvas = document.getElementById('training-canvas') as HTMLCanvasElement;
     const projectionMatrix = createProjectionMatrix(46.5, 60);
+    const sample = getGenerationSample(trainer, 9);
+    sampleGenomes = sample;
 
     for (let i = 1; i <= 9; i++) {
-        // AI 1 is the unmodified baseline. Others are mutations.
-        const currentWeights = (i === 1) ? baselineWeights : mutateWeights(baselineWeights, 0.2);
-        const game = new GameInstance(i, 'rightWell', currentWeights, canvas, projectionMatrix);
+        const panel = document.getElementById(`training-info-panel-${i}`);
+        const genome = sample[i - 1];
+        if (panel) panel.style.visibility = genome ? 'visible' : 'hidden';
+        if (!genome) continue;
+
+        const currentWeights = genome.weights;
+        const game = new GameInstance(i, trainer.config.strategy, currentWeights, canvas, projectionMatrix);
         games.push(game);
 
         const weightsDisplay = document.getElementById(`weights-display-${i}`);
         if (!weightsDisplay) continue;
 
-        let displayHtml = '';
         const weightEntries = [];
-
-        if (i === 1) {
-            displayHtml = `<h4>AI 1 BASELINE</h4>`;
-            for (const key in currentWeights) {
-                 weightEntries.push(`
-                    <div class="weight-entry">
-                        <span class="weight-name" title="${key}">${key}</span>
-                        <span class="weight-value">${currentWeights[key].toFixed(3)}</span>
-                    </div>
-                `);
-            }
-        } else {
-            displayHtml = `<h4>AI ${i} MUTATIONS</h4>`;
-            for (const key in baselineWeights) {
-                const baseValue = baselineWeights[key];
-                const newValue = currentWeights[key];
-                const diff = newValue - baseValue;
-
-                if (Math.abs(diff) > 1e-9 && baseValue !== 0) {
-                    const percentChange = (diff / baseValue) * 100;
-                    const changeClass = percentChange > 0 ? 'positive-change' : 'negative-change';
-                    const sign = percentChange > 0 ? '+' : '';
-                    
-                    weightEntries.push(`
-                        <div class="weight-entry">
-                            <span class="weight-name" title="${key}">${key}</span>
-                            <span class="weight-value">${newValue.toFixed(3)}</span>
-                            <span class="weight-change ${changeClass}">(${sign}${percentChange.toFixed(1)}%)</span>
-                        </div>
-                    `);
-                }
+        for (const key in currentWeights) {
+            const baseValue = baselineWeights[key];
+            const newValue = currentWeights[key];
+            const diff = newValue - (baseValue ?? newValue);
+            let changeHtml = '';
+
+            if (Math.abs(diff) > 1e-9 && baseValue) {
+                const percentChange = (diff / baseValue) * 100;
+                const changeClass = percentChange > 0 ? 'positive-change' : 'negative-change';
+                const sign = percentChange > 0 ? '+' : '';
+                changeHtml = `<span class="weight-change ${changeClass}">(${sign}${percentChange.toFixed(1)}%)</span>`;
             }
+            weightEntries.push(`
+                <div class="weight-entry">
+                    <span class="weight-name" title="${key}">${key}</span>
+                    <span class="weight-value">${newValue.toFixed(3)}</span>
+                    ${changeHtml}
+                </div>
+            `);
         }
-        
-        if (i > 1 && weightEntries.length === 0) {
-             displayHtml += '<div class="no-change-note">No significant mutations.</div>';
-        } else {
-            displayHtml += weightEntries.join('');
-        }
-        
-        weightsDisplay.innerHTML = displayHtml;
+        weightsDisplay.innerHTML = `<h4>GEN ${genome.generation} #${genome.id}</h4>` + weightEntries.join('');
     }
 }
 
+function restartTrainingSample(seed: number) {
+    generatePieceSequence(seed);
+    const startLevel = parseInt(startLevelInput.value, 10) || 0;
+    for (const game of games) {
+        game.reset(startLevel, pieceSequence, getGameOptions());
+    }
+}
 
-function resetCurrentGames() {
+function readTrainerConfig() {
+    const readNumber = (id: string, fallback: number) => {
+        const input = document.getElementById(id) as HTMLInputElement;
+        const value = input ? parseFloat(input.value) : NaN;
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    const selectionSelect = document.getElementById('trainer-selection') as HTMLSelectElement;
+    const strategySelect = document.getElementById('trainer-strategy') as HTMLSelectElement;
+    const modeSelect = document.getElementById('trainer-game-mode') as HTMLSelectElement;
+    return {
+        ...trainerConfig,
+        strategy: strategySelect ? strategySelect.value : trainerConfig.strategy,
+        mode: modeSelect ? modeSelect.value : trainerConfig.mode,
+        populationSize: Math.round(readNumber('trainer-population', trainerConfig.populationSize)),
+        selection: selectionSelect ? selectionSelect.value : trainerConfig.selection,
+        eliteCount: Math.round(readNumber('trainer-elites', trainerConfig.eliteCount)),
+        seedsPerGenome: Math.max(1, Math.round(readNumber('trainer-seeds', trainerConfig.seedsPerGenome))),
+        crossoverRate: Math.min(1, readNumber('trainer-crossover', trainerConfig.crossoverRate)),
+        mutationFactor: readNumber('trainer-mutation', trainerConfig.mutationFactor),
+        maxPieces: Math.max(1, Math.round(readNumber('trainer-max-pieces', trainerConfig.maxPieces))),
+    };
+}
+
+function restartTraining() {
+    const config = readTrainerConfig();
+    if (config.strategy !== trainerConfig.strategy) {
+        // Another strategy's weights mean nothing to this one, so start from its defaults.
+        baselineWeights = getDefaultWeights(config.strategy);
+    }
+    trainerConfig = config;
+    trainer = null;
+    setupAndStartGames();
+}
+
+function getBackgroundPool() {
+    if (!backgroundPool) {
+        backgroundPool = createWorkerPool(AI_WORKER_COUNT - PLANNING_WORKER_COUNT, createAiWorker);
+    }
+    return backgroundPool;
+}
+
+// Keeps every background worker busy with a training game, or steps the trainer on this
+// thread for a bounded time if workers are unavailable.
+function updateTrainer() {
+    if (!trainer) return;
+    const pool = getBackgroundPool();
+    if (!isWorkerPoolAlive(pool)) {
+        runTrainer(trainer, BACKGROUND_FRAME_BUDGET_MS);
+        return;
+    }
+    const owner = trainer;
+    while (getPendingJobCount(pool) < pool.workers.length) {
+        const evaluation = takeEvaluation(owner);
+        if (!evaluation) break;
+        const { strategy, weights, seed, options } = evaluation;
+        runInWorker(pool, { type: 'simulate', strategy, weights, seed, options }).then(
+            result => completeEvaluation(owner, evaluation, result),
+            error => {
+                // Hand the game out again; if the pool is gone it is played on this thread.
+                console.error('Training game failed in a worker: ' + error.message);
+                returnEvaluation(owner, evaluation);
+            }
+        );
+    }
+}
+
+function updateTrainerStatus() {
+    const status = document.getElementById('trainer-status');
+    const hallOfFame = document.getElementById('hall-of-fame');
+    if (!status || !hallOfFame || !trainer) return;
+
+    const { done, total } = getTrainerProgress(trainer);
+    const last = trainer.history[trainer.history.length - 1];
+    status.innerHTML = `
+        <div class="weight-entry"><span class="weight-name">Generation</span><span class="weight-value">${trainer.generation}</span></div>
+        <div class="weight-entry"><span class="weight-name">Games Played</span><span class="weight-value">${done}/${total}</span></div>
+        <div class="weight-entry"><span class="weight-name">Last Best</span><span class="weight-value">${last ? last.bestFitness.toFixed(0) : '-'}</span></div>
+        <div class="weight-entry"><span class="weight-name">Last Mean</span><span class="weight-value">${last ? last.meanFitness.toFixed(0) : '-'}</span></div>
+    `;
+
+    const hallKey = trainer.hallOfFame.map(entry => entry.id).join(',');
+    if (hallOfFame.dataset.key === hallKey) return; // Avoid rebuilding buttons every frame
+    hallOfFame.dataset.key = hallKey;
+    hallOfFame.innerHTML = '<h4>HALL OF FAME</h4>' + (trainer.hallOfFame.length === 0
+        ? '<div class="no-change-note">No finished generations yet.</div>'
+        : trainer.hallOfFame.map((entry, i) => `
+            <div class="weight-entry">
+                <span class="weight-name">GEN ${entry.generation} #${entry.id}</span>
+                <span class="weight-value">${entry.fitness.toFixed(0)}</span>
+                <button class="hall-battle-button" data-index="${i}">BATTLE</button>
+                <button class="hall-save-button" data-index="${i}">SAVE</button>
+            </div>
+        `).join(''));
+    // The buttons keep the trainer they were built for.
+    const owner = trainer;
+    hallOfFame.querySelectorAll('.hall-save-button').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const entry = owner.hallOfFame[getButtonIndex(e)];
+            if (entry) saveToLibrary(`Gen ${entry.generation} #${entry.id}`, owner.config.strategy, entry.weights);
+        });
+    });
+    hallOfFame.querySelectorAll('.hall-battle-button').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const entry = owner.hallOfFame[getButtonIndex(e)];
+            if (!entry) return;
+            console.log(`Using hall of fame genome #${entry.id} in battle mode.`);
+            trainedSkilledWeights = { ...entry.weights };
+            trainedStrategy = owner.config.strategy;
+            toggleMode();
+        });
+    });
+}
+
+
+function resetCurrentGames(seed = randomSeed()) {
+    if (currentMode === 'replay') {
+        // A replay's seed is fixed by the file; reset just rewinds it.
+        if (replayPlayer) {
+            seekReplay(replayPlayer, 0);
+            setReplayPlaying(false);
+        }
+        return;
+    }
+    if (currentMode === 'tournament') {
+        // Tournament seeds come from the tournament; reset replays the current match.
+        if (tournament && tournamentMatch) startTournamentMatch(tournament, tournamentMatch);
+        return;
+    }
+    if (currentMode === 'editor') {
+        return; // The editor has no game to restart
+    }
     if (animationFrameId) {
         cancelAnimationFrame(animationFrameId);
     }
     
-    generatePieceQueue();
+    generatePieceSequence(seed);
     const startLevel = parseInt(startLevelInput.value, 10) || 0;
     
     for (const game of games) {
-        game.reset(startLevel, pieceQueue);
+        game.reset(startLevel, pieceSequence, getGameOptions());
     }
 
     animate();
 }
 
-function setupAndStartGames() {
+function setupAndStartGames(seed = randomSeed()) {
     if (animationFrameId) {
         cancelAnimationFrame(animationFrameId);
     }
     
-    generatePieceQueue();
+    generatePieceSequence(seed);
     const startLevel = parseInt(startLevelInput.value, 10) || 0;
     
     games = [];
@@ -643,12 +2205,21 @@ function setupAndStartGames() {
     
     if (currentMode === 'battle') {
         initBattleMode();
+    } else if (currentMode === 'replay') {
+        initReplayMode();
+    } else if (currentMode === 'tournament') {
+        initTournamentMode();
+    } else if (currentMode === 'editor') {
+        initEditorMode();
     } else {
         initTrainingMode();
     }
     
-    for (const game of games) {
-        game.reset(startLevel, pieceQueue);
+    // The editor's board is the puzzle being edited, not a new game.
+    if (currentMode !== 'editor') {
+        for (const game of games) {
+            game.reset(startLevel, pieceSequence, getGameOptions());
+        }
     }
 
     updateSpeed();
@@ -660,10 +2231,86 @@ function toggleMode() {
     setupAndStartGames();
 }
 
-resetButton.addEventListener('click', resetCurrentGames);
+function enterReplayMode() {
+    currentMode = 'replay';
+    setupAndStartGames();
+}
+
+function enterTournamentMode() {
+    currentMode = 'tournament';
+    setupAndStartGames();
+}
+
+function enterEditorMode() {
+    currentMode = 'editor';
+    setupAndStartGames();
+}
+
+function startFromSeed() {
+    const seed = parseSeed(seedInput.value);
+    if (seed === null) {
+        seedInput.classList.add('invalid');
+        return;
+    }
+    seedInput.classList.remove('invalid');
+    // Training regenerates its whole population from the seed, so it needs a full setup.
+    if (currentMode === 'training') {
+        trainer = null;
+        setupAndStartGames(seed);
+    } else if (currentMode === 'tournament') {
+        generatePieceSequence(seed); // Seeds the next new tournament
+    } else {
+        resetCurrentGames(seed);
+    }
+}
+
+resetButton.addEventListener('click', () => resetCurrentGames());
 trainingModeButton.addEventListener('click', toggleMode);
+replayModeButton.addEventListener('click', enterReplayMode);
+tournamentModeButton.addEventListener('click', enterTournamentMode);
+editorModeButton.addEventListener('click', enterEditorMode);
 speedSlider.addEventListener('input', updateSpeed);
+randomizerSelect.addEventListener('change', () => resetCurrentGames(currentSeed));
+scoringSelect.addEventListener('change', () => resetCurrentGames(currentSeed));
+gameModeSelect.addEventListener('change', () => {
+    if (currentMode === 'battle') resetCurrentGames(currentSeed);
+});
+// Turning analysis on takes effect from each AI's next plan.
+analysisToggle.addEventListener('change', () => games.forEach(renderAnalysisPanel));
+seedButton.addEventListener('click', startFromSeed);
+playerCountSelect.addEventListener('change', () => {
+    if (currentMode === 'battle') setupAndStartGames(currentSeed);
+});
+dasInput.addEventListener('change', updateHumanTimings);
+arrInput.addEventListener('change', updateHumanTimings);
+
+// Keyboard input is routed to the human-controlled game, if any (see updateHumanOptions).
+window.addEventListener('keydown', (e) => {
+    if ((e.target as HTMLElement).tagName === 'INPUT') return;
+    let handled = false;
+    for (const game of games) {
+        if (game.isHuman && pressKey(game.input, e.code, simTime, humanTimings)) {
+            handled = true;
+        }
+    }
+    if (handled) e.preventDefault();
+});
+window.addEventListener('mouseup', () => {
+    editorPaintValue = null;
+});
+window.addEventListener('keyup', (e) => {
+    for (const game of games) {
+        releaseKey(game.input, e.code);
+    }
+});
+window.addEventListener('blur', () => {
+    games.forEach(game => releaseAllKeys(game.input));
+});
 
 
 // Start the game
+populateRandomizerSelect();
+populateScoringSelect();
+populateGameModeSelect();
+updateHumanTimings();
 setupAndStartGames();
\ No newline at end of file
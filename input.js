@@ -0,0 +1,149 @@
+// Keyboard handling for human players, including DAS (delayed auto shift)
+// and ARR (auto repeat rate) for horizontal movement and a repeat rate for soft drop.
+// Actions use the same names as the AI move queue so they can be fed to handleAiAction.
+
+const COLS = 10;
+const MAX_REPEATS_PER_POLL = COLS; // Caps catch-up after a long frame
+
+export const DEFAULT_KEY_BINDINGS = {
+    ArrowLeft: 'moveL',
+    ArrowRight: 'moveR',
+    ArrowDown: 'softD',
+    ArrowUp: 'rotateR',
+    KeyX: 'rotateR',
+    KeyZ: 'rotateL',
+    Space: 'hardD',
+    KeyC: 'hold',
+    ShiftLeft: 'hold',
+};
+
+export const DEFAULT_HUMAN_TIMINGS = {
+    das: 167,      // ms a direction must be held before auto shift starts
+    arr: 33,       // ms between auto shift steps (0 = instant to the wall)
+    softDrop: 33,  // ms between soft drop steps while held
+};
+
+export function createInputState(bindings = DEFAULT_KEY_BINDINGS) {
+    return {
+        bindings,
+        held: new Set(),
+        pendingActions: [],
+        shiftAction: null,
+        nextShiftTime: 0,
+        wallShiftPiece: null, // The piece ARR 0 last sent to the wall in this DAS charge
+        nextSoftDropTime: 0,
+    };
+}
+
+/**
+ * Registers a key press. Taps are queued immediately; held keys are repeated by pollInput.
+ * @param {object} input The input state from createInputState.
+ * @param {string} code The KeyboardEvent.code of the pressed key.
+ * @param {number} now The current time in ms.
+ * @param {object} timings The human timings (das, arr, softDrop).
+ * @returns {boolean} True if the key is bound to an action.
+ */
+export function pressKey(input, code, now, timings) {
+    const action = input.bindings[code];
+    if (!action) return false;
+    if (input.held.has(code)) return true; // Ignore OS key repeat
+
+    input.held.add(code);
+    input.pendingActions.push(action);
+
+    if (action === 'moveL' || action === 'moveR') {
+        // The most recently pressed direction wins.
+        input.shiftAction = action;
+        input.nextShiftTime = now + timings.das;
+        input.wallShiftPiece = null;
+    } else if (action === 'softD') {
+        input.nextSoftDropTime = now + timings.softDrop;
+    }
+    return true;
+}
+
+export function releaseKey(input, code) {
+    const action = input.bindings[code];
+    if (!action) return false;
+    input.held.delete(code);
+
+    if (action === input.shiftAction) {
+        // Fall back to the opposite direction if it is still held, restarting DAS.
+        const otherAction = action === 'moveL' ? 'moveR' : 'moveL';
+        input.shiftAction = isActionHeld(input, otherAction) ? otherAction : null;
+        input.nextShiftTime = Infinity;
+        input.wallShiftPiece = null;
+    }
+    return true;
+}
+
+// Puts actions that pollInput returned but the game could not take yet back at the
+// front of the queue, e.g. those left over when a line clear starts.
+export function requeueActions(input, actions) {
+    input.pendingActions.unshift(...actions);
+}
+
+export function releaseAllKeys(input) {
+    input.held.clear();
+    input.pendingActions = [];
+    input.shiftAction = null;
+}
+
+function isActionHeld(input, action) {
+    for (const code of input.held) {
+        if (input.bindings[code] === action) return true;
+    }
+    return false;
+}
+
+/**
+ * Collects the actions to perform this frame: queued taps followed by any DAS/ARR
+ * and soft drop repeats that have come due. With an ARR of 0 a charged DAS sends each
+ * piece to the wall once rather than shifting it on every poll.
+ * @param {object} input The input state from createInputState.
+ * @param {number} now The current time in ms.
+ * @param {object} timings The human timings (das, arr, softDrop).
+ * @param {object} piece The active piece, to tell a new piece from one already shifted.
+ * @returns {string[]} Actions in the order they should be applied.
+ */
+export function pollInput(input, now, timings, piece) {
+    const actions = input.pendingActions;
+    input.pendingActions = [];
+
+    if (input.shiftAction) {
+        if (input.nextShiftTime === Infinity) {
+            // Direction was re-acquired after a release; charge DAS again.
+            input.nextShiftTime = now + timings.das;
+        }
+        if (timings.arr === 0) {
+            if (now >= input.nextShiftTime && input.wallShiftPiece !== piece) {
+                for (let i = 0; i < COLS; i++) actions.push(input.shiftAction);
+                input.wallShiftPiece = piece;
+            }
+        } else {
+            let repeats = 0;
+            while (now >= input.nextShiftTime && repeats < MAX_REPEATS_PER_POLL) {
+                actions.push(input.shiftAction);
+                repeats++;
+                input.nextShiftTime += timings.arr;
+            }
+            if (repeats === MAX_REPEATS_PER_POLL) {
+                input.nextShiftTime = Math.max(input.nextShiftTime, now + timings.arr);
+            }
+        }
+    }
+
+    if (isActionHeld(input, 'softD')) {
+        let repeats = 0;
+        while (now >= input.nextSoftDropTime && repeats < MAX_REPEATS_PER_POLL) {
+            actions.push('softD');
+            repeats++;
+            input.nextSoftDropTime += Math.max(1, timings.softDrop);
+        }
+        if (repeats === MAX_REPEATS_PER_POLL) {
+            input.nextSoftDropTime = now + timings.softDrop;
+        }
+    }
+
+    return actions;
+}
@@ -0,0 +1,52 @@
+// Battle canvas layout. Tiles any number of players on the shared canvas, in world
+// units (one unit is one cell). Each player gets a 10-wide board and a 5-wide gutter
+// for the hold box, next piece and HUD text. Players in the right half of a row are
+// mirrored so their gutters face outwards, which with two players is the classic
+// left/right battle layout.
+
+export const BOARD_WIDTH = 10;
+export const BOARD_HEIGHT = 20;
+export const GUTTER_WIDTH = 5;
+export const DIVIDER_WIDTH = 0.5;
+export const MAX_BATTLE_COLUMNS = 4;
+const SLOT_WIDTH = GUTTER_WIDTH + BOARD_WIDTH;
+
+/**
+ * Works out where each player's board goes.
+ * @param {number} count Number of players.
+ * @param {number} maxColumns Most boards side by side; more players wrap onto more rows.
+ * @returns The layout: { width, height, columns, rows, slots, dividers }. `slots` has one
+ *   { x, y, boardX, gutterX, mirrored } per player; `dividers` are { x, y, width, height }
+ *   strips between neighbouring slots.
+ */
+export function getBattleLayout(count, maxColumns = MAX_BATTLE_COLUMNS) {
+    const rows = Math.max(1, Math.ceil(count / maxColumns));
+    // Spread players evenly over the rows, e.g. 5 players as 3 + 2 rather than 4 + 1.
+    const columns = Math.max(1, Math.ceil(count / rows));
+    const width = columns * SLOT_WIDTH + (columns - 1) * DIVIDER_WIDTH;
+    const height = rows * BOARD_HEIGHT + (rows - 1) * DIVIDER_WIDTH;
+
+    const slots = [];
+    const dividers = [];
+    for (let i = 0; i < count; i++) {
+        const column = i % columns;
+        const row = Math.floor(i / columns);
+        const x = column * (SLOT_WIDTH + DIVIDER_WIDTH);
+        const y = row * (BOARD_HEIGHT + DIVIDER_WIDTH);
+        const mirrored = columns > 1 && column >= columns / 2;
+        slots.push({
+            x,
+            y,
+            mirrored,
+            boardX: mirrored ? x : x + GUTTER_WIDTH,
+            gutterX: mirrored ? x + BOARD_WIDTH : x,
+        });
+        if (column > 0) {
+            dividers.push({ x: x - DIVIDER_WIDTH, y, width: DIVIDER_WIDTH, height: BOARD_HEIGHT });
+        }
+    }
+    for (let row = 1; row < rows; row++) {
+        dividers.push({ x: 0, y: row * (BOARD_HEIGHT + DIVIDER_WIDTH) - DIVIDER_WIDTH, width, height: DIVIDER_WIDTH });
+    }
+    return { width, height, columns, rows, slots, dividers };
+}
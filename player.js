@@ -0,0 +1,349 @@
+// A player's game as it runs on screen: the game state plus the AI or keyboard that
+// drives it, stepped once per tick by updateGame. Nothing here touches the DOM. A
+// player reads the time from the ticker it is given, so the page runs it on the
+// system clock and tests drive it by hand with a manual clock (see clock.js).
+
+import { createInitialState, finishLineClear, applyAction, updateGravity, updateGameClock, receiveGarbage, onGameEvent } from './game.js';
+import { getPlanningState, DEFAULT_SEARCH_OPTIONS } from './ai.js';
+import { createInputState, releaseAllKeys, pollInput, requeueActions } from './input.js';
+import { createRecording, recordAction, recordGarbage, recordEnd } from './replay.js';
+import { createRng, deriveSeed, randomSeed } from './rng.js';
+import { trackGameStats, detachGameStats } from './stats.js';
+import { getTickTime } from './clock.js';
+
+export class Player {
+    // Game State
+    /** @type {ReturnType<typeof createInitialState>} */
+    state;
+    isClearing = false;
+    clearStartTime = 0;
+    /** @type {string|null} */
+    result = null; // 'WIN', 'LOSE', 'DRAW' or a place such as '3RD' once a battle is decided
+    /** @type {number|null} */
+    placement = null; // Finishing place, 1 being first, once knocked out or the battle is decided
+    garbageRandom = Math.random; // Picks hole columns for incoming garbage
+    targetRandom = Math.random; // Picks which opponent outgoing garbage goes to
+    /** @type {ReturnType<typeof createRecording>|null} */
+    recording = null; // Replay of the current game, see replay.js
+    /** @type {ReturnType<typeof trackGameStats>|null} */
+    stats = null; // Per-game statistics, see stats.js
+    statsShownAt = -Infinity; // Tick time the stats panel was last drawn, Infinity once the summary is up
+
+    // AI State
+    aiState = 'PLANNING'; // 'PLANNING', 'THINKING' (the planning delay) or 'EXECUTING'
+    aiPlanToken = 0; // Bumped on reset and when a plan is taken up, so a late promised plan is ignored
+    aiPlanState = {}; // Snapshot the current plan is made from, see getPlanningState
+    aiPendingPlan = null; // A promised plan, held until the planning delay is over
+    search = { ...DEFAULT_SEARCH_OPTIONS };
+    /** @type {string[]} */
+    aiMoveQueue = [];
+    /** @type {{ type: number, x: number, y: number, rotation: number }|null} */
+    aiTargetPiece = null; // Where the planned move lands
+    /** @type {ReturnType<typeof import('./ai.js').findBestMove>['analysis']|null} */
+    aiAnalysis = null; // Score breakdown of the planned move and its alternatives, see findBestMove
+    aiNextActionTime = 0;
+    aiActionInProgress = false;
+    aiCurrentActionType = ''; // The move repeated while aiActionInProgress
+    aiCurrentActionCount = 0;
+    aiPlannedPieces = 0; // state.pieces when the plan was requested
+    aiGravityLag = 0; // Rows gravity has moved the piece since then, skipped from the path's soft drops
+    /** @type {{ type: number, x: number, y: number, rotation: number, pieces: number }|null} */
+    previousBlock = null; // Active piece before the last tick, for interpolated drawing
+
+    // Human State
+    input = createInputState();
+
+    /**
+     * @param {number} id The player's number, from 1.
+     * @param {string} strategy An AI strategy id, or 'human' for keyboard control.
+     * @param {Object<string, number>} weights The AI's heuristic weights.
+     * @param {object} ticker The ticker from createTicker whose tick time the game runs on.
+     */
+    constructor(id, strategy, weights, ticker) {
+        this.id = id;
+        this.strategy = strategy;
+        this.weights = weights;
+        this.ticker = ticker;
+    }
+
+    get isHuman() {
+        return this.strategy === 'human';
+    }
+
+    // The time of the current tick, which every game, AI and input delay is measured in.
+    now() {
+        return getTickTime(this.ticker);
+    }
+
+    reset(startLevel, pieceSequence, options = {}) {
+        const now = this.now();
+        this.state = createInitialState(startLevel, pieceSequence, options);
+        this.garbageRandom = createRng(deriveSeed(this.state.seed ?? randomSeed(), `garbage-${this.id}`));
+        this.targetRandom = createRng(deriveSeed(this.state.seed ?? randomSeed(), `target-${this.id}`));
+        this.recording = createRecording({
+            seed: this.state.seed,
+            randomizer: pieceSequence.randomizer,
+            startLevel,
+            attackTable: this.state.attackTable,
+            scoring: this.state.scoring,
+            mode: this.state.mode,
+            strategy: this.strategy,
+            weights: this.weights,
+        }, now);
+        for (const event of ['topOut', 'goalReached']) {
+            onGameEvent(this.state, event, () => recordEnd(this.recording, this.now()));
+        }
+        updateGameClock(this.state, now);
+        if (this.stats) detachGameStats(this.stats);
+        this.stats = trackGameStats(this.state, () => this.now());
+        this.statsShownAt = -Infinity;
+        this.isClearing = false;
+        this.clearStartTime = 0;
+        this.result = null;
+        this.placement = null;
+        this.previousBlock = null;
+        this.aiAnalysis = null;
+        this.resetAiExecutionState();
+        releaseAllKeys(this.input);
+    }
+
+    resetAiExecutionState() {
+        this.aiState = 'PLANNING';
+        this.aiPlanToken++;
+        this.aiMoveQueue = [];
+        this.aiTargetPiece = null;
+        this.aiActionInProgress = false;
+        this.aiCurrentActionType = '';
+        this.aiCurrentActionCount = 0;
+        this.aiNextActionTime = this.now();
+    }
+
+    // Only actions that changed the game are recorded, so holding a direction against a
+    // wall doesn't fill the replay.
+    handleAiAction(action) {
+        if (applyAction(this.state, action)) {
+            recordAction(this.recording, action, this.now());
+        }
+    }
+
+    // Runs gravity and the lock delay, recording what they did. Returns the rows fallen.
+    runGravity() {
+        let rows = 0;
+        for (const action of updateGravity(this.state, this.now())) {
+            recordAction(this.recording, action, this.now());
+            if (action === 'gravity') rows++;
+        }
+        return rows;
+    }
+
+    addIncomingGarbage(lines) {
+        const garbage = receiveGarbage(this.state, lines, this.garbageRandom);
+        recordGarbage(this.recording, garbage, this.now());
+    }
+}
+
+// --- Stepping ---
+
+/**
+ * Steps a game by one tick: the line clear pause, then keyboard input or the AI's
+ * planned moves, then gravity. Call it after advancing the game's ticker.
+ * @param {Player} game The game to step.
+ * @param {object} context What the game needs from its surroundings:
+ *   aiTimings - the AI's delays in ms (AI_PLANNING_DELAY, AI_ACTION_DELAY,
+ *     timeDelayDas, timeDelayARE) and the line clear pause (CLEAR_DELAY);
+ *   humanTimings - DAS and ARR for keyboard players, see pollInput;
+ *   plan(game, state, canWait) - plans the current piece from the snapshot `state`,
+ *     returning { path, target, analysis }, or a promise of it (e.g. from a worker) if
+ *     canWait;
+ *   onPlan(game) - called once a plan has been taken up.
+ */
+export function updateGame(game, context) {
+    if (game.result) {
+        return; // The battle has been decided
+    }
+    const now = game.now();
+    updateGameClock(game.state, now);
+
+    if (game.isClearing) {
+        if (now - game.clearStartTime > context.aiTimings.CLEAR_DELAY) {
+            game.isClearing = false;
+            finishLineClear(game.state);
+            game.resetAiExecutionState();
+        }
+        return;
+    }
+
+    if (game.state.linesBeingCleared) {
+        game.isClearing = true;
+        game.clearStartTime = now;
+        game.aiMoveQueue = [];
+        game.aiTargetPiece = null;
+        return;
+    }
+
+    if (game.state.gameOver) {
+        return;
+    }
+
+    if (game.isHuman) {
+        updateHumanGame(game, context);
+        game.runGravity();
+        return;
+    }
+
+    updateAiGame(game, context);
+    const rows = game.runGravity();
+    if (game.aiState !== 'PLANNING') {
+        game.aiGravityLag += rows;
+    }
+}
+
+// Each attack goes to one opponent still standing, picked at random, so the garbage
+// in play doesn't multiply with the number of players.
+export function exchangeGarbage(games) {
+    for (const game of games) {
+        const lines = game.state.outgoingGarbage;
+        if (lines <= 0) continue;
+        game.state.outgoingGarbage = 0;
+        const opponents = games.filter(opponent => opponent !== game && !opponent.state.gameOver);
+        if (opponents.length === 0) continue;
+        opponents[Math.floor(game.targetRandom() * opponents.length)].addIncomingGarbage(lines);
+    }
+}
+
+function updateHumanGame(game, context) {
+    const actions = pollInput(game.input, game.now(), context.humanTimings, game.state.Block);
+    for (let i = 0; i < actions.length; i++) {
+        game.handleAiAction(actions[i]);
+        if (game.state.gameOver) return;
+        if (game.state.linesBeingCleared) {
+            // The rest wait until the line clear finishes and the next piece spawns.
+            requeueActions(game.input, actions.slice(i + 1));
+            return;
+        }
+    }
+}
+
+// Starts planning the current piece when its planning delay begins. The plan is taken
+// up when the delay ends: the promised one, if it has arrived by then, or else one made
+// at once from the same snapshot, so how fast a worker answers never changes the game.
+function requestPlan(game, context) {
+    const token = game.aiPlanToken;
+    game.aiPlannedPieces = game.state.pieces;
+    game.aiGravityLag = 0;
+    game.aiState = 'THINKING';
+    game.aiPlanState = structuredClone(getPlanningState(game.state, game.search.depth));
+    game.aiPendingPlan = null;
+
+    const plan = context.plan(game, game.aiPlanState, game.now() < game.aiNextActionTime);
+    if (typeof plan.then !== 'function') {
+        game.aiPendingPlan = plan;
+        return;
+    }
+    plan.then(plan => {
+        if (game.aiPlanToken === token) game.aiPendingPlan = plan;
+    }, error => {
+        console.error('AI planning failed: ' + error.message);
+    });
+}
+
+function takePlan(game, context) {
+    const { path, target, analysis } = game.aiPendingPlan || context.plan(game, game.aiPlanState, false);
+    game.aiPlanToken++;
+    game.aiPendingPlan = null;
+    game.aiMoveQueue = path;
+    game.aiTargetPiece = target;
+    game.aiAnalysis = analysis || null;
+    game.aiState = 'EXECUTING';
+    game.aiNextActionTime = game.now();
+    context.onPlan(game);
+}
+
+// Applies one planned move. Returns false if it didn't move the piece, which means
+// gravity has pushed it off the planned path.
+function applyAiMove(game, action) {
+    const { x, y, rotation } = game.state.Block;
+    game.handleAiAction(action);
+    if (action === 'hold') {
+        game.aiGravityLag = 0; // The swapped-in piece starts at the top
+        return true;
+    }
+    if (action === 'hardD') return true;
+    const block = game.state.Block;
+    return block.x !== x || block.y !== y || block.rotation !== rotation;
+}
+
+function updateAiGame(game, context) {
+    const now = game.now();
+    const timings = context.aiTimings;
+    // Gravity locked the piece before the plan finished; plan the next one.
+    if (game.aiState !== 'PLANNING' && game.state.pieces !== game.aiPlannedPieces) {
+        game.resetAiExecutionState();
+    }
+
+    if (game.aiState === 'PLANNING') {
+        requestPlan(game, context);
+    }
+    if (now < game.aiNextActionTime) {
+         // Wait
+    } else if (game.aiState === 'THINKING') {
+        takePlan(game, context);
+
+    } else if (game.aiState === 'EXECUTING') {
+        if (game.aiActionInProgress) {
+            if (!applyAiMove(game, game.aiCurrentActionType)) {
+                game.resetAiExecutionState();
+                return;
+            }
+            game.aiCurrentActionCount--;
+            if (game.aiCurrentActionCount > 0) {
+                game.aiNextActionTime = now + timings.timeDelayARE;
+            } else {
+                game.aiActionInProgress = false;
+                game.aiNextActionTime = now;
+            }
+        } else {
+            if (game.aiMoveQueue.length === 0) {
+                game.aiState = 'PLANNING';
+                game.aiNextActionTime = now + timings.AI_PLANNING_DELAY;
+            } else {
+                const nextMove = game.aiMoveQueue.shift();
+
+                if (nextMove === 'softD' && game.aiGravityLag > 0) {
+                    // Gravity already took the piece down this row.
+                    game.aiGravityLag--;
+                    game.aiNextActionTime = now;
+                } else if (nextMove === 'moveL' || nextMove === 'moveR') {
+                    let moveCount = 1;
+                    while (game.aiMoveQueue.length > 0 && game.aiMoveQueue[0] === nextMove) {
+                        game.aiMoveQueue.shift();
+                        moveCount++;
+                    }
+                    if (!applyAiMove(game, nextMove)) {
+                        game.resetAiExecutionState();
+                        return;
+                    }
+                    if (moveCount > 1) {
+                        game.aiActionInProgress = true;
+                        game.aiCurrentActionType = nextMove;
+                        game.aiCurrentActionCount = moveCount - 1;
+                        game.aiNextActionTime = now + timings.timeDelayDas;
+                    } else {
+                        game.aiNextActionTime = now + timings.AI_ACTION_DELAY;
+                    }
+                } else {
+                    if (!applyAiMove(game, nextMove)) {
+                        game.resetAiExecutionState();
+                        return;
+                    }
+                    if(nextMove === 'hardD') {
+                        game.aiState = 'PLANNING';
+                        game.aiNextActionTime = now + timings.AI_PLANNING_DELAY;
+                    } else {
+                         game.aiNextActionTime = now + timings.AI_ACTION_DELAY;
+                    }
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,70 @@
+// Command line entry point for the puzzle regression suite.
+//
+//   node puzzleSuite.js
+//   node puzzleSuite.js my-puzzles.json --verbose
+//
+// Suite files are exported from the board editor, see puzzles.js for the format.
+// Without a file the starter suite, aitris-puzzles.json, is run.
+// Exits with status 1 if any puzzle's answer is not one of its expected answers.
+
+import { parseArgs } from 'node:util';
+import { readFileSync } from 'node:fs';
+import { parsePuzzles, runPuzzleSuite, formatPath, describeTarget } from './puzzles.js';
+
+const DEFAULT_SUITE_FILE = new URL('./aitris-puzzles.json', import.meta.url);
+
+const USAGE = `Usage: node puzzleSuite.js [file] [options]
+
+  <file>                The suite to run (default aitris-puzzles.json)
+  --verbose             Show every puzzle's answer and moves, not just failures
+  --help                Show this message`;
+
+function fail(message) {
+    console.error(`${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                verbose: { type: 'boolean', default: false },
+                help: { type: 'boolean', default: false },
+            },
+        });
+    } catch (e) {
+        fail(e.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (positionals.length > 1) fail('Give at most one puzzle file.');
+
+    let text;
+    try {
+        text = readFileSync(positionals[0] ?? DEFAULT_SUITE_FILE, 'utf8');
+    } catch (e) {
+        fail(`Could not read puzzle file: ${e.message}`);
+    }
+    const puzzles = parsePuzzles(text);
+    if (!puzzles) process.exit(1); // parsePuzzles has said why
+
+    const results = runPuzzleSuite(puzzles);
+    for (const { puzzle, passed, target, path } of results) {
+        const answer = target ? describeTarget(target) : 'nothing';
+        if (passed) {
+            console.log(`PASS ${puzzle.name}${values.verbose ? `: ${answer} (${formatPath(path)})` : ''}`);
+        } else {
+            console.log(`FAIL ${puzzle.name}: expected ${puzzle.expected.map(describeTarget).join(' or ')}, got ${answer} (${formatPath(path)})`);
+        }
+    }
+    const failed = results.filter(result => !result.passed).length;
+    console.log(`${results.length - failed} / ${results.length} passed.`);
+    if (failed > 0) process.exit(1);
+}
+
+main();
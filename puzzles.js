@@ -0,0 +1,222 @@
+// Puzzles: hand-made positions to ask an AI "what would you do here?", and a
+// regression suite of them with expected answers. Puzzles are saved in localStorage
+// by the board editor and exported as files that `npm run puzzles` checks.
+//
+// Puzzle (JSON):
+//   { name, rows: ['..........', ...], current: 'T', queue: ['I', 'O'], hold: null,
+//     canHold: true, strategy, weights?, depth, expected: [{ type, x, y, rotation }] }
+// `rows` are the bottom rows of the board, top first: '.' is empty, a piece letter
+// (IJLOSTZ) a cell of that piece's colour and 'G' garbage. `queue` starts with the
+// Next piece. Without `weights` the strategy's current defaults are used, so the
+// suite catches changes to them too. The AI passes if its piece fills the same cells
+// as any expected answer.
+//
+// Suite file: { format: 'aitris-puzzles', version: 1, puzzles: [...] }
+
+import { createInitialState } from './game.js';
+import { findBestMove, DEFAULT_SEARCH_OPTIONS, MAX_SEARCH_DEPTH } from './ai.js';
+import { getStrategy, getDefaultWeights } from './strategies.js';
+import { blockCoords, GARBAGE_CELL } from './data.js';
+import { getDefaultStorage, loadJson, saveJson } from './storage.js';
+
+export const PUZZLE_LIBRARY_KEY = 'aitris.puzzles';
+export const PUZZLES_FORMAT = 'aitris-puzzles';
+export const PUZZLES_VERSION = 1;
+export const PIECE_LETTERS = 'IJLOSTZ'; // Indexed by piece type
+const GARBAGE_LETTER = 'G';
+const EMPTY_LETTER = '.';
+const COLS = 10;
+const GRID_HEIGHT = 24;
+
+/**
+ * @typedef {object} Puzzle A puzzle as laid out above.
+ * @property {string} name
+ * @property {string[]} rows
+ * @property {string} current
+ * @property {string[]} queue
+ * @property {string|null} hold
+ * @property {boolean} [canHold]
+ * @property {string} strategy
+ * @property {Object<string, number>} [weights]
+ * @property {number} [depth]
+ * @property {{ type: number, x: number, y: number, rotation: number }[]} expected
+ */
+
+// --- Boards ---
+
+function cellToLetter(cell) {
+    if (!cell) return EMPTY_LETTER;
+    return cell === GARBAGE_CELL ? GARBAGE_LETTER : PIECE_LETTERS[cell - 1] || GARBAGE_LETTER;
+}
+
+function letterToCell(letter) {
+    if (letter === EMPTY_LETTER) return 0;
+    if (letter === GARBAGE_LETTER) return GARBAGE_CELL;
+    const type = PIECE_LETTERS.indexOf(letter);
+    return type === -1 ? null : type + 1;
+}
+
+// The grid's rows from the highest one with a filled cell down, as strings.
+export function encodeRows(grid) {
+    const top = grid.findIndex(row => row.some(Boolean));
+    return top === -1 ? [] : grid.slice(top).map(row => row.map(cellToLetter).join(''));
+}
+
+// Returns a full grid with `rows` at the bottom, or null if they are invalid.
+export function decodeRows(rows) {
+    if (!Array.isArray(rows) || rows.length > GRID_HEIGHT) return null;
+    const grid = Array.from({ length: GRID_HEIGHT - rows.length }, () => new Array(COLS).fill(0));
+    for (const row of rows) {
+        if (typeof row !== 'string' || row.length !== COLS) return null;
+        const cells = [...row].map(letterToCell);
+        if (cells.includes(null)) return null;
+        grid.push(cells);
+    }
+    return grid;
+}
+
+// --- Puzzles ---
+
+function isPieceLetter(letter) {
+    return typeof letter === 'string' && letter.length === 1 && PIECE_LETTERS.includes(letter);
+}
+
+function isValidTarget(target) {
+    return !!target && [target.type, target.x, target.y, target.rotation].every(Number.isInteger) &&
+        !!blockCoords[target.type] && !!blockCoords[target.type][target.rotation];
+}
+
+export function isValidPuzzle(puzzle) {
+    return !!puzzle && typeof puzzle.name === 'string' &&
+        decodeRows(puzzle.rows) !== null &&
+        isPieceLetter(puzzle.current) &&
+        Array.isArray(puzzle.queue) && puzzle.queue.length > 0 && puzzle.queue.every(isPieceLetter) &&
+        (puzzle.hold === null || isPieceLetter(puzzle.hold)) &&
+        !!getStrategy(puzzle.strategy) &&
+        (puzzle.weights === undefined || (typeof puzzle.weights === 'object' && puzzle.weights !== null)) &&
+        Array.isArray(puzzle.expected) && puzzle.expected.every(isValidTarget);
+}
+
+/**
+ * Builds a game state for a puzzle: its board, the current piece at the spawn
+ * position, its queue and hold piece. It can be drawn and planned like any game.
+ * If the board leaves no room for the current piece to spawn, the state has topped
+ * out, as a game would, and there is no move to find.
+ * @param {Puzzle} puzzle The puzzle; `expected`, `strategy` and `weights` are not used.
+ * @returns The game state.
+ */
+export function createPuzzleState(puzzle) {
+    // The sequence holds the current piece, then the queue. Nothing after that is known;
+    // solvePuzzle keeps the lookahead inside the queue, so `next` is only a guard.
+    const pieces = [puzzle.current, ...puzzle.queue].map(letter => PIECE_LETTERS.indexOf(letter));
+    const sequence = {
+        pieces,
+        next: () => pieces[pieces.length - 1],
+    };
+    const state = createInitialState(0, sequence, { grid: decodeRows(puzzle.rows) || decodeRows([]) });
+    state.Hold = puzzle.hold ? { type: PIECE_LETTERS.indexOf(puzzle.hold) } : null;
+    state.canHold = puzzle.canHold !== false;
+    return state;
+}
+
+// Lookahead only reaches as far as the puzzle's queue. Swapping into an empty hold
+// slot uses up the Next piece, leaving one fewer to look ahead through.
+function getPuzzleDepth(puzzle, depth) {
+    const known = puzzle.queue.length - (puzzle.canHold !== false && !puzzle.hold ? 1 : 0);
+    return Math.max(0, Math.min(depth, known, MAX_SEARCH_DEPTH));
+}
+
+/**
+ * Asks the puzzle's strategy, or the one given, for its move.
+ * @param {Puzzle} puzzle The puzzle.
+ * @param {{ strategy?: string, weights?: Object<string, number>, depth?: number, alternatives?: number }} overrides
+ * @returns {ReturnType<typeof findBestMove>} The findBestMove result: { path, target, analysis? }.
+ */
+export function solvePuzzle(puzzle, overrides = {}) {
+    const strategy = overrides.strategy || puzzle.strategy;
+    const weights = overrides.weights || (overrides.strategy ? null : puzzle.weights) || getDefaultWeights(strategy);
+    const depth = getPuzzleDepth(puzzle, overrides.depth ?? puzzle.depth ?? DEFAULT_SEARCH_OPTIONS.depth);
+    return findBestMove(createPuzzleState(puzzle), strategy, weights, { ...DEFAULT_SEARCH_OPTIONS, depth }, overrides.alternatives || 0);
+}
+
+function getTargetCells(target) {
+    const { type, rotation, x, y } = target;
+    return type + ':' + blockCoords[type][rotation].map(([cx, cy]) => `${x + cx},${y + cy}`).sort().join(' ');
+}
+
+// Whether `target` fills the same cells with the same piece as one of the expected answers.
+export function isExpectedAnswer(puzzle, target) {
+    if (!target) return false;
+    const cells = getTargetCells(target);
+    return puzzle.expected.some(expected => getTargetCells(expected) === cells);
+}
+
+// A path with repeated actions run together, e.g. "rotateR, left ×3, hardD".
+export function formatPath(path) {
+    const runs = [];
+    for (const action of path) {
+        const last = runs[runs.length - 1];
+        if (last && last.action === action) last.count++;
+        else runs.push({ action, count: 1 });
+    }
+    return runs.map(({ action, count }) => count > 1 ? `${action} ×${count}` : action).join(', ');
+}
+
+// e.g. "T r2 at 4,20": the piece, its rotation and where its box sits on the grid.
+export function describeTarget(target) {
+    return `${PIECE_LETTERS[target.type]} r${target.rotation} at ${target.x},${target.y}`;
+}
+
+/**
+ * Solves every puzzle and checks the answers.
+ * @param {Puzzle[]} puzzles The suite.
+ * @returns One { puzzle, passed, target, path } per puzzle, in order.
+ */
+export function runPuzzleSuite(puzzles) {
+    return puzzles.map(puzzle => {
+        const { target, path } = solvePuzzle(puzzle);
+        return { puzzle, passed: isExpectedAnswer(puzzle, target), target, path };
+    });
+}
+
+// --- Library ---
+
+/** @returns {Puzzle[]} */
+export function loadPuzzleLibrary(storage = getDefaultStorage()) {
+    const puzzles = loadJson(storage, PUZZLE_LIBRARY_KEY, 'puzzles');
+    return Array.isArray(puzzles) ? puzzles.filter(isValidPuzzle) : [];
+}
+
+export function savePuzzleLibrary(puzzles, storage = getDefaultStorage()) {
+    return saveJson(storage, PUZZLE_LIBRARY_KEY, puzzles, 'puzzles');
+}
+
+// --- Files ---
+
+export function serializePuzzles(puzzles) {
+    return JSON.stringify({ format: PUZZLES_FORMAT, version: PUZZLES_VERSION, puzzles }, null, 2);
+}
+
+// Returns the puzzles in a suite file, or null if it is invalid.
+export function parsePuzzles(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        console.error('Puzzle file is not valid JSON: ' + e.message);
+        return null;
+    }
+    if (!data || data.format !== PUZZLES_FORMAT) {
+        console.error('Not an aiTris puzzle file.');
+        return null;
+    }
+    if (data.version !== PUZZLES_VERSION) {
+        console.error(`Unsupported puzzle file version ${data.version} (expected ${PUZZLES_VERSION}).`);
+        return null;
+    }
+    if (!Array.isArray(data.puzzles) || !data.puzzles.every(isValidPuzzle)) {
+        console.error('Puzzle file is corrupt.');
+        return null;
+    }
+    return data.puzzles;
+}
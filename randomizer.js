@@ -0,0 +1,108 @@
+import { BLOCK_I, BLOCK_J, BLOCK_L, BLOCK_T, BLOCK_Z } from './data.js';
+import { createRng, deriveSeed } from './rng.js';
+
+const PIECE_TYPES = [0, 1, 2, 3, 4, 5, 6];
+
+function randomInt(random, max) {
+    return Math.floor(random() * max);
+}
+
+function shuffle(random, array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = randomInt(random, i + 1);
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+// --- Generators ---
+// Each factory returns a function that produces the next piece type on every call.
+
+function createUniform(random) {
+    return () => randomInt(random, PIECE_TYPES.length);
+}
+
+function createBag(random, copies) {
+    let bag = [];
+    return () => {
+        if (bag.length === 0) {
+            for (let i = 0; i < copies; i++) {
+                bag.push(...PIECE_TYPES);
+            }
+            shuffle(random, bag);
+        }
+        return bag.pop();
+    };
+}
+
+// NES: roll an 8-sided die; on a repeat or the dummy 8th value, reroll once over the 7 pieces.
+function createNes(random) {
+    let previous = -1;
+    return () => {
+        let piece = randomInt(random, PIECE_TYPES.length + 1);
+        if (piece === PIECE_TYPES.length || piece === previous) {
+            piece = randomInt(random, PIECE_TYPES.length);
+        }
+        previous = piece;
+        return piece;
+    };
+}
+
+// TGM: up to 4 rolls to find a piece not in the last 4 dealt. The history starts as
+// all Z and the first piece is never S, Z or O.
+function createTgm(random, rolls = 4) {
+    const history = [BLOCK_Z, BLOCK_Z, BLOCK_Z, BLOCK_Z];
+    let isFirst = true;
+    return () => {
+        let piece;
+        if (isFirst) {
+            const firstPieces = [BLOCK_I, BLOCK_J, BLOCK_L, BLOCK_T];
+            piece = firstPieces[randomInt(random, firstPieces.length)];
+            isFirst = false;
+        } else {
+            for (let i = 0; i < rolls; i++) {
+                piece = randomInt(random, PIECE_TYPES.length);
+                if (!history.includes(piece)) break;
+            }
+        }
+        history.shift();
+        history.push(piece);
+        return piece;
+    };
+}
+
+export const RANDOMIZERS = {
+    '7bag': { name: '7-Bag', create: random => createBag(random, 1) },
+    '14bag': { name: '14-Bag', create: random => createBag(random, 2) },
+    'nes': { name: 'NES Reroll', create: createNes },
+    'tgm': { name: 'TGM 4-History', create: random => createTgm(random, 4) },
+    'uniform': { name: 'Uniform', create: createUniform },
+};
+
+export const DEFAULT_RANDOMIZER = '7bag';
+
+// --- Piece Sequences ---
+// A sequence lazily generates pieces and remembers them, so several games that share
+// it (battle mode) see the same pieces while each keeps its own position.
+
+export function createPieceSequence(randomizer = DEFAULT_RANDOMIZER, random = Math.random) {
+    const entry = RANDOMIZERS[randomizer] || RANDOMIZERS[DEFAULT_RANDOMIZER];
+    return {
+        randomizer,
+        next: entry.create(random),
+        pieces: [],
+    };
+}
+
+// The piece stream for a game seed. Anything that needs to reproduce a game's
+// pieces (battle, replays) must go through here.
+export function createSeededPieceSequence(randomizer, seed) {
+    return createPieceSequence(randomizer, createRng(deriveSeed(seed, 'pieces')));
+}
+
+export function getPiece(sequence, index) {
+    while (sequence.pieces.length <= index) {
+        sequence.pieces.push(sequence.next());
+    }
+    return sequence.pieces[index];
+}
@@ -2,7 +2,7 @@ import { blockCoords, blockColors } from './data.js';
 
 const COLS = 10;
 const ROWS = 20;
-const HIDDEN_ROWS = 4;
+export const HIDDEN_ROWS = 4;
 
 // Vertex shader program
 const vsSource = `
@@ -167,6 +167,13 @@ function addPieceOutline(positions, colors, piece, color, offsetX = 0, offsetY =
 
 // --- DATA GENERATORS ---
 
+export function getPieceOutlineDrawData(piece, color, offsetX = 0, offsetY = 0) {
+    const positions = [];
+    const colors = [];
+    addPieceOutline(positions, colors, piece, hexToRgb(color), offsetX, offsetY);
+    return { positions, colors };
+}
+
 const charMap = {
     '0': [[0,0,1,0.2],[0,0.8,1,0.2],[0,0,0.2,1],[0.8,0,0.2,1]],
     '1': [[0.4,0,0.2,1]],
@@ -196,6 +203,13 @@ const charMap = {
     'T': [[0,0.8,1,0.2],[0.4,0,0.2,1]],
     'M': [[0,0,0.2,1],[0.8,0,0.2,1],[0.2,0.6,0.2,0.2],[0.4,0.4,0.2,0.2],[0.6,0.6,0.2,0.2]],
     'K': [[0,0,0.2,1],[0.8,0.4,0.2,0.6],[0.2,0.4,0.6,0.2],[0.6,0,0.2,0.4]],
+    'W': [[0,0,0.2,1],[0.8,0,0.2,1],[0.2,0.2,0.2,0.2],[0.4,0.4,0.2,0.2],[0.6,0.2,0.2,0.2]],
+    'P': [[0,0.8,1,0.2],[0,0.4,1,0.2],[0,0,0.2,1],[0.8,0.4,0.2,0.6]],
+    'F': [[0,0.8,1,0.2],[0,0.4,0.8,0.2],[0,0,0.2,1]],
+    '-': [[0.1,0.4,0.8,0.2]],
+    '+': [[0.1,0.4,0.8,0.2],[0.4,0.1,0.2,0.8]],
+    '.': [[0.4,0,0.2,0.2]],
+    ':': [[0.4,0.15,0.2,0.2],[0.4,0.65,0.2,0.2]],
 };
 
 export function getTextDrawData(text, startX, startY, charWidth, charHeight, color) {
@@ -235,7 +249,13 @@ export function getTextDrawData(text, startX, startY, charWidth, charHeight, col
 }
 
 
-export function getGameBoardDrawData(state, aiTargetPiece = null, isClearing = false, clearStartTime = 0, offsetX = 0, offsetY = 0, clearDelay = 300) {
+/**
+ * `now` times the line clear fade; `block` lets the caller draw the active piece
+ * somewhere other than its grid cell, e.g. part way through a move.
+ * @param {{ type: number, x: number, y: number, rotation: number }|null} aiTargetPiece
+ *   The piece outlined where it will land, or null.
+ */
+export function getGameBoardDrawData(state, aiTargetPiece = null, isClearing = false, clearStartTime = 0, offsetX = 0, offsetY = 0, clearDelay = 300, now = Date.now(), block = state.Block) {
     const positions = [];
     const colors = [];
 
@@ -248,7 +268,7 @@ export function getGameBoardDrawData(state, aiTargetPiece = null, isClearing = f
                 const color = hexToRgb(blockColors[colorIndex]);
                 let alpha = 1.0;
                 if (isClearing && state.linesBeingCleared && state.linesBeingCleared.includes(gridRow)) {
-                    const elapsedTime = Date.now() - clearStartTime;
+                    const elapsedTime = now - clearStartTime;
                     alpha = Math.max(0, 1.0 - (elapsedTime / clearDelay));
                 }
                 addShadedBlock(positions, colors, c + offsetX, r + offsetY, color, alpha);
@@ -263,12 +283,12 @@ export function getGameBoardDrawData(state, aiTargetPiece = null, isClearing = f
     }
 
     // Active piece
-    if (state.Block.type !== undefined && !state.linesBeingCleared) {
-        const shape = blockCoords[state.Block.type][state.Block.rotation];
-        const color = hexToRgb(blockColors[state.Block.type + 1]);
+    if (block.type !== undefined && !state.linesBeingCleared) {
+        const shape = blockCoords[block.type][block.rotation];
+        const color = hexToRgb(blockColors[block.type + 1]);
         for (const coord of shape) {
-            const x = state.Block.x + coord[0] + offsetX;
-            const y = state.Block.y + coord[1] - HIDDEN_ROWS + offsetY;
+            const x = block.x + coord[0] + offsetX;
+            const y = block.y + coord[1] - HIDDEN_ROWS + offsetY;
             if (y >= 0) {
                 addShadedBlock(positions, colors, x, y, color);
             }
@@ -279,7 +299,7 @@ export function getGameBoardDrawData(state, aiTargetPiece = null, isClearing = f
 }
 
 
-export function getNextPieceDrawData(piece, offsetX_units = 0, offsetY_units = 0) {
+export function getNextPieceDrawData(piece, offsetX_units = 0, offsetY_units = 0, alpha = 1.0) {
     const positions = [];
     const colors = [];
 
@@ -302,18 +322,29 @@ export function getNextPieceDrawData(piece, offsetX_units = 0, offsetY_units = 0
         for (const coord of shape) {
             const x = (coord[0] - minX) + offsetX + offsetX_units;
             const y = (coord[1] - minY) + offsetY + offsetY_units;
-            addShadedBlock(positions, colors, x, y, color);
+            addShadedBlock(positions, colors, x, y, color, alpha);
         }
     }
     
     return { positions, colors };
 }
 
-export function getDividerDrawData(offsetX = 0) {
+export function getDividerDrawData(offsetX = 0, offsetY = 0, width = 0.5, height = 20) {
     const positions = [];
     const colors = [];
     const dividerColor = hexToRgb('#444');
-    addQuad(positions, colors, offsetX, 0, 0.5, 20, dividerColor, 1.0);
+    addQuad(positions, colors, offsetX, offsetY, width, height, dividerColor, 1.0);
+    return { positions, colors };
+}
+
+export function getGarbageMeterDrawData(offsetX, lines, offsetY = 0) {
+    const positions = [];
+    const colors = [];
+    const meterColor = hexToRgb('#ef5350');
+    const height = Math.min(lines, ROWS);
+    if (height > 0) {
+        addQuad(positions, colors, offsetX, offsetY + ROWS - height, 0.3, height, meterColor, 1.0);
+    }
     return { positions, colors };
 }
 
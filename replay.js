@@ -0,0 +1,230 @@
+// Game recording and playback. A replay stores everything needed to rebuild a game
+// from scratch (seed, randomizer, start level, attack table) plus the timed stream
+// of actions and incoming garbage, so it can be replayed exactly on the engine.
+//
+// File format (JSON):
+//   { format: 'aitris-replay', version: 1, seed, randomizer, startLevel, attackTable,
+//     scoring, mode, strategy, weights, duration, events }
+// `scoring` and `mode` were added later and default to the classic rule set and the
+// endless game mode when missing. `duration` runs to the end of the game, which can
+// be after the last event, e.g. when an Ultra clock runs out.
+// `events` is a compact string of space separated tokens, each `<delta ms><code>`:
+//   an action code (see ACTION_CODES), or `G<lines>.<holeColumn>` for garbage.
+
+import { createInitialState, applyAction, finishLineClear, queueGarbage, updateGameClock } from './game.js';
+import { createSeededPieceSequence } from './randomizer.js';
+import { DEFAULT_SCORING } from './scoring.js';
+import { DEFAULT_GAME_MODE } from './gameModes.js';
+
+export const REPLAY_FORMAT = 'aitris-replay';
+export const REPLAY_VERSION = 1;
+
+const ACTION_CODES = {
+    moveL: 'L',
+    moveR: 'R',
+    rotateL: 'l',
+    rotateR: 'r',
+    softD: 'd',
+    hardD: 'D',
+    hold: 'H',
+    gravity: 'g',
+    lock: 'k',
+};
+const CODE_ACTIONS = Object.fromEntries(Object.entries(ACTION_CODES).map(([action, code]) => [code, action]));
+const TOKEN_PATTERN = /^(\d+)(?:([LRlrdDHgk])|G(\d+)\.(\d+))$/;
+
+// --- Recording ---
+
+export function createRecording(meta, startTime) {
+    return {
+        seed: meta.seed,
+        randomizer: meta.randomizer,
+        startLevel: meta.startLevel,
+        attackTable: meta.attackTable || null,
+        scoring: meta.scoring || DEFAULT_SCORING,
+        mode: meta.mode || DEFAULT_GAME_MODE,
+        strategy: meta.strategy,
+        weights: meta.weights ? { ...meta.weights } : null,
+        startTime,
+        endTime: /** @type {number|null} */ (null), // When the game ended, if it has
+        events: [],
+    };
+}
+
+// Notes when the game ended. A game can end with no event of its own, e.g. when an
+// Ultra clock runs out, so playback needs this to reach the end.
+export function recordEnd(recording, now) {
+    recording.endTime = now - recording.startTime;
+}
+
+export function recordAction(recording, action, now) {
+    if (!ACTION_CODES[action]) return;
+    recording.events.push({ time: now - recording.startTime, type: 'action', action });
+}
+
+export function recordGarbage(recording, garbage, now) {
+    if (!garbage) return;
+    recording.events.push({ time: now - recording.startTime, type: 'garbage', lines: garbage.lines, holeColumn: garbage.holeColumn });
+}
+
+function encodeEvents(events) {
+    let lastTime = 0;
+    return events.map(event => {
+        const time = Math.max(lastTime, Math.round(event.time));
+        const delta = time - lastTime;
+        lastTime = time;
+        if (event.type === 'garbage') {
+            return `${delta}G${event.lines}.${event.holeColumn}`;
+        }
+        return `${delta}${ACTION_CODES[event.action]}`;
+    }).join(' ');
+}
+
+function decodeEvents(text) {
+    const events = [];
+    let time = 0;
+    for (const token of text.split(' ')) {
+        if (token === '') continue;
+        const match = TOKEN_PATTERN.exec(token);
+        if (!match) return null;
+        time += parseInt(match[1], 10);
+        if (match[2]) {
+            events.push({ time, type: 'action', action: CODE_ACTIONS[match[2]] });
+        } else {
+            events.push({ time, type: 'garbage', lines: parseInt(match[3], 10), holeColumn: parseInt(match[4], 10) });
+        }
+    }
+    return events;
+}
+
+export function serializeReplay(recording) {
+    const events = recording.events;
+    return JSON.stringify({
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        seed: recording.seed,
+        randomizer: recording.randomizer,
+        startLevel: recording.startLevel,
+        attackTable: recording.attackTable,
+        scoring: recording.scoring,
+        mode: recording.mode,
+        strategy: recording.strategy,
+        weights: recording.weights,
+        duration: Math.round(Math.max(events.length > 0 ? events[events.length - 1].time : 0, recording.endTime ?? 0)),
+        events: encodeEvents(events),
+    });
+}
+
+export function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        console.error('Replay is not valid JSON: ' + e.message);
+        return null;
+    }
+    if (!data || data.format !== REPLAY_FORMAT) {
+        console.error('Not an aiTris replay file.');
+        return null;
+    }
+    if (data.version !== REPLAY_VERSION) {
+        console.error(`Unsupported replay version ${data.version} (expected ${REPLAY_VERSION}).`);
+        return null;
+    }
+    const events = typeof data.events === 'string' ? decodeEvents(data.events) : null;
+    if (!events || !Number.isInteger(data.seed)) {
+        console.error('Replay file is corrupt.');
+        return null;
+    }
+    return {
+        seed: data.seed,
+        randomizer: data.randomizer,
+        startLevel: data.startLevel || 0,
+        attackTable: data.attackTable || null,
+        scoring: data.scoring || DEFAULT_SCORING,
+        mode: data.mode || DEFAULT_GAME_MODE,
+        strategy: data.strategy,
+        weights: data.weights || null,
+        duration: Math.max(events.length > 0 ? events[events.length - 1].time : 0, Number(data.duration) || 0),
+        events,
+    };
+}
+
+// --- Playback ---
+
+export function createReplayPlayer(replay) {
+    return { replay, state: createReplayState(replay), eventIndex: 0, time: 0 };
+}
+
+// The game as it stood when the replay was recorded.
+function createReplayState(replay) {
+    const pieceSequence = createSeededPieceSequence(replay.randomizer, replay.seed);
+    const state = createInitialState(replay.startLevel, pieceSequence, {
+        seed: replay.seed,
+        attackTable: replay.attackTable,
+        scoring: replay.scoring,
+        mode: replay.mode,
+    });
+    updateGameClock(state, 0);
+    return state;
+}
+
+function restartReplay(player) {
+    player.state = createReplayState(player.replay);
+    player.eventIndex = 0;
+    player.time = 0;
+}
+
+function applyReplayEvent(player, event) {
+    const state = player.state;
+    updateGameClock(state, event.time);
+    if (event.type === 'garbage') {
+        queueGarbage(state, event.lines, event.holeColumn);
+        return;
+    }
+    applyAction(state, event.action);
+    // Playback skips the clear animation.
+    if (state.linesBeingCleared) {
+        finishLineClear(state);
+    }
+}
+
+export function isReplayFinished(player) {
+    return player.eventIndex >= player.replay.events.length && player.time >= player.replay.duration;
+}
+
+/**
+ * Moves playback forward by `elapsed` ms of game time, applying every event that falls due,
+ * and runs the game clock on to the new time, so timed games end with the playback.
+ * @param {object} player The player from createReplayPlayer.
+ * @param {number} elapsed Game time to advance, already scaled by the playback speed.
+ */
+export function advanceReplay(player, elapsed) {
+    player.time = Math.min(player.time + elapsed, player.replay.duration);
+    const events = player.replay.events;
+    while (player.eventIndex < events.length && events[player.eventIndex].time <= player.time) {
+        applyReplayEvent(player, events[player.eventIndex]);
+        player.eventIndex++;
+    }
+    updateGameClock(player.state, player.time);
+}
+
+// Applies exactly one event and moves the playback time to it. After the last event
+// it moves on to the end of the game.
+export function stepReplay(player) {
+    if (isReplayFinished(player)) return;
+    if (player.eventIndex >= player.replay.events.length) {
+        advanceReplay(player, player.replay.duration - player.time);
+        return;
+    }
+    const event = player.replay.events[player.eventIndex];
+    player.time = event.time;
+    applyReplayEvent(player, event);
+    player.eventIndex++;
+}
+
+// The engine cannot run backwards, so seeking rebuilds the game from the start.
+export function seekReplay(player, time) {
+    restartReplay(player);
+    advanceReplay(player, Math.max(0, time));
+}
@@ -0,0 +1,51 @@
+// Seedable pseudo-random number generation. Every source of randomness in a game
+// (pieces, garbage holes, weight mutations) draws from a generator created here,
+// so a game can be reproduced exactly from its seed.
+
+const UINT32_RANGE = 4294967296;
+
+/**
+ * Creates a mulberry32 generator.
+ * @param {number} seed A 32-bit unsigned integer seed.
+ * @returns {function(): number} A function returning floats in [0, 1), like Math.random.
+ */
+export function createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+    };
+}
+
+/**
+ * Derives an independent seed for a named stream, so that e.g. the piece sequence
+ * and the garbage holes don't consume each other's random numbers.
+ * @param {number} seed The parent seed.
+ * @param {string} salt The stream name.
+ * @returns {number} A 32-bit unsigned integer seed.
+ */
+export function deriveSeed(seed, salt) {
+    // FNV-1a over the seed and salt.
+    let hash = 0x811C9DC5;
+    const text = `${seed >>> 0}:${salt}`;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * UINT32_RANGE);
+}
+
+export function parseSeed(text) {
+    const seed = Number(String(text).trim());
+    if (!Number.isInteger(seed) || seed < 0 || seed >= UINT32_RANGE) {
+        return null;
+    }
+    return seed;
+}
@@ -0,0 +1,85 @@
+// Scoring rule sets. 'classic' is the original NES table; 'guideline' adds T-spins,
+// back-to-back bonuses, combos and perfect clears. All points are multiplied by
+// (level + 1), as the classic table always has been. Drop points are scored by the
+// engine as pieces fall and are the same under every rule set.
+
+export const SCORING_RULES = {
+    classic: {
+        name: 'Classic (NES)',
+        lineClear: [0, 40, 100, 300, 1200],
+        tSpin: null, // No T-spin, combo, back-to-back or perfect clear scoring
+        tSpinMini: null,
+        backToBack: 1,
+        combo: 0,
+        perfectClear: null,
+    },
+    guideline: {
+        name: 'Guideline',
+        lineClear: [0, 100, 300, 500, 800],
+        tSpin: [400, 800, 1200, 1600],  // Indexed by lines cleared
+        tSpinMini: [100, 200, 400],
+        backToBack: 1.5,                // Multiplier for consecutive difficult clears
+        combo: 50,                      // Per combo step
+        perfectClear: [0, 800, 1200, 1800, 2000],
+        perfectClearBackToBack: 3200,   // Back-to-back 4-line perfect clear
+    },
+};
+
+export const DEFAULT_SCORING = 'classic';
+
+const CLEAR_NAMES = ['', 'SINGLE', 'DOUBLE', 'TRIPLE', 'AITRIS'];
+
+export function getScoringRules(name) {
+    return SCORING_RULES[name] || SCORING_RULES[DEFAULT_SCORING];
+}
+
+/**
+ * Scores a locked piece and advances the back-to-back and combo counters on `state`.
+ * @param {object} rules A rule set from SCORING_RULES.
+ * @param {object} state The game state; reads `level`, updates `backToBack` and `combo`.
+ * @param {object} lock { cleared, tSpin ('mini', 'full' or null), perfectClear }.
+ * @returns {{points: number, labels: string[]}} Points scored and what they were for, for the HUD.
+ */
+export function scoreLock(rules, state, lock) {
+    const { cleared, perfectClear } = lock;
+    const tSpin = rules.tSpin ? lock.tSpin : null;
+    const multiplier = state.level + 1;
+    const labels = [];
+
+    let base = 0;
+    if (tSpin) {
+        const table = tSpin === 'mini' ? rules.tSpinMini : rules.tSpin;
+        base = table[Math.min(cleared, table.length - 1)];
+        labels.push(`${tSpin === 'mini' ? 'MINI ' : ''}T-SPIN${cleared > 0 ? ' ' + CLEAR_NAMES[cleared] : ''}`);
+    } else if (cleared > 0) {
+        base = rules.lineClear[cleared];
+        labels.push(CLEAR_NAMES[cleared]);
+    }
+
+    // Any lock without lines ends a combo. Back-to-back chains survive it.
+    if (cleared === 0) {
+        state.combo = -1;
+        return { points: base * multiplier, labels };
+    }
+
+    const difficult = cleared === 4 || !!tSpin;
+    const backToBack = difficult && state.backToBack && rules.backToBack > 1;
+    if (backToBack) {
+        base *= rules.backToBack;
+        labels.unshift('B2B');
+    }
+    state.backToBack = difficult;
+
+    let points = base * multiplier;
+    state.combo++;
+    if (state.combo > 0 && rules.combo) {
+        points += rules.combo * state.combo * multiplier;
+        labels.push(`${state.combo} COMBO`);
+    }
+    if (perfectClear && rules.perfectClear) {
+        const bonus = backToBack && cleared === 4 ? rules.perfectClearBackToBack : rules.perfectClear[cleared];
+        points += bonus * multiplier;
+        labels.push('PERFECT CLEAR');
+    }
+    return { points, labels };
+}
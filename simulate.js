@@ -0,0 +1,266 @@
+// Headless game simulation. Plays AI games straight through the engine with no
+// rendering or timing delays, for benchmarking weight sets and for tournament battles.
+
+import { createInitialState, applyAction, finishLineClear, receiveGarbage, updateGameClock } from './game.js';
+import { findBestMove, DEFAULT_SEARCH_OPTIONS } from './ai.js';
+import { createSeededPieceSequence, DEFAULT_RANDOMIZER } from './randomizer.js';
+import { createRng, deriveSeed } from './rng.js';
+import { DEFAULT_SCORING } from './scoring.js';
+import { DEFAULT_GAME_MODE } from './gameModes.js';
+import { DEFAULT_ATTACK_TABLE } from './data.js';
+
+export const DEFAULT_SIMULATION_OPTIONS = {
+    randomizer: DEFAULT_RANDOMIZER,
+    startLevel: 0,
+    scoring: DEFAULT_SCORING,
+    mode: DEFAULT_GAME_MODE,
+    piecesPerSecond: 2, // Pace of the game clock, which has no real moves to time, so Sprint times count pieces
+    maxPieces: 1000, // Games that survive this long count as not topping out
+    maxLines: Infinity,
+    search: DEFAULT_SEARCH_OPTIONS,
+};
+
+const SUMMARY_METRICS = ['score', 'lines', 'tetrisRate', 'pieces'];
+
+// --- Step-wise Simulation ---
+// A simulation advances one piece per step so callers can spread a game over
+// several frames. simulateGame runs one straight through.
+
+export function createSimulation(strategy, weights, seed, options = {}) {
+    const config = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+    const state = createInitialState(config.startLevel, createSeededPieceSequence(config.randomizer, seed), { seed, scoring: config.scoring, mode: config.mode });
+    updateGameClock(state, 0);
+    return {
+        strategy,
+        weights,
+        seed,
+        config,
+        state,
+        clears: [0, 0, 0, 0, 0], // Indexed by lines cleared at once
+        pieces: 0,
+    };
+}
+
+export function isSimulationFinished(simulation) {
+    const { state, config } = simulation;
+    return state.gameOver || simulation.pieces >= config.maxPieces || state.lines >= config.maxLines;
+}
+
+// Plans and places one piece. Each piece takes the same game time and locks at its end,
+// so a time limit that runs out first stops the piece from being placed.
+export function stepSimulation(simulation) {
+    if (isSimulationFinished(simulation)) return;
+    const state = simulation.state;
+    updateGameClock(state, (simulation.pieces + 1) * 1000 / simulation.config.piecesPerSecond);
+    if (state.gameOver) return;
+    const linesBefore = state.lines;
+    const { path } = findBestMove(state, simulation.strategy, simulation.weights, simulation.config.search);
+    for (const action of path) {
+        applyAction(state, action);
+    }
+    simulation.pieces++;
+    const cleared = state.lines - linesBefore;
+    if (cleared > 0) {
+        simulation.clears[cleared]++;
+    }
+    if (state.linesBeingCleared) {
+        finishLineClear(state);
+    }
+}
+
+export function getSimulationResult(simulation) {
+    const { state, clears } = simulation;
+    return {
+        seed: simulation.seed,
+        score: state.score,
+        lines: state.lines,
+        clears: [...clears],
+        tetrisRate: state.lines > 0 ? (clears[4] * 4) / state.lines : 0,
+        pieces: simulation.pieces,
+        toppedOut: state.gameOver && !state.completed,
+        mode: state.mode,
+        completed: state.completed, // The goal that ended the game, or null
+        time: state.elapsed,
+    };
+}
+
+/**
+ * Plays one AI game to completion.
+ * @param {string} strategy The AI strategy name.
+ * @param {object} weights The heuristic weights.
+ * @param {number} seed The game seed.
+ * @param {object} options Overrides for DEFAULT_SIMULATION_OPTIONS.
+ * @returns {object} Final score, lines, clears by size, tetris rate, pieces placed and whether it topped out.
+ */
+export function simulateGame(strategy, weights, seed, options = {}) {
+    const simulation = createSimulation(strategy, weights, seed, options);
+    while (!isSimulationFinished(simulation)) {
+        stepSimulation(simulation);
+    }
+    return getSimulationResult(simulation);
+}
+
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return 0;
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+export function summarizeValues(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / (sorted.length || 1);
+    const variance = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (sorted.length || 1);
+    return {
+        mean,
+        stdDev: Math.sqrt(variance),
+        min: sorted[0] ?? 0,
+        p25: percentile(sorted, 0.25),
+        median: percentile(sorted, 0.5),
+        p75: percentile(sorted, 0.75),
+        max: sorted[sorted.length - 1] ?? 0,
+    };
+}
+
+export function summarizeResults(results) {
+    const metrics = {};
+    for (const metric of SUMMARY_METRICS) {
+        metrics[metric] = summarizeValues(results.map(result => result[metric]));
+    }
+    return {
+        games: results.length,
+        topOutRate: results.filter(result => result.toppedOut).length / (results.length || 1),
+        metrics,
+    };
+}
+
+/**
+ * Plays `games` seeded games for every entry. All entries use the same seeds, so
+ * they are compared on identical piece sequences.
+ * @param {object[]} entries Items of { name, strategy, weights }.
+ * @param {object} config { games, seed, onProgress } plus simulation options.
+ * @returns {object[]} One summary per entry, with per-game results under `results`.
+ */
+export function runBenchmark(entries, config = {}) {
+    const { games = 10, seed = 0, onProgress = null, ...options } = config;
+    const seeds = Array.from({ length: games }, (_, i) => deriveSeed(seed, `game-${i}`));
+
+    return entries.map(entry => {
+        const results = seeds.map((gameSeed, i) => {
+            const result = simulateGame(entry.strategy, entry.weights, gameSeed, options);
+            if (onProgress) onProgress(entry, i + 1, games, result);
+            return result;
+        });
+        return { name: entry.name, strategy: entry.strategy, ...summarizeResults(results), results };
+    });
+}
+
+// --- Battles ---
+// Two or more AIs on the same piece sequence, each placing one piece per step and
+// then exchanging garbage, as in battle mode but without its move delays. As in
+// battle mode, each attack goes to one opponent still standing, picked at random.
+
+/**
+ * Decides a battle from its game states.
+ * @param {object[]} states One game state per side.
+ * @param {number} maxPieces Once every side has locked this many pieces, the highest score wins.
+ * @returns {{ winner: number|null }|null} The winning side's index, or winner null for
+ *   a draw; null while the battle goes on.
+ */
+export function getBattleWinner(states, maxPieces = Infinity) {
+    const survivors = states.filter(state => !state.gameOver);
+    if (survivors.length === 0) return { winner: null };
+    if (survivors.length === 1) return { winner: states.indexOf(survivors[0]) };
+    if (survivors.length < states.length || !states.every(state => state.pieces >= maxPieces)) return null;
+
+    const best = Math.max(...states.map(state => state.score));
+    const leaders = states.filter(state => state.score === best);
+    return { winner: leaders.length === 1 ? states.indexOf(leaders[0]) : null };
+}
+
+export function createBattleSimulation(players, seed, options = {}) {
+    const config = { ...DEFAULT_SIMULATION_OPTIONS, attackTable: DEFAULT_ATTACK_TABLE, ...options };
+    return {
+        seed,
+        config,
+        // Garbage holes and targets are seeded per side the same way battle mode seeds them.
+        sides: players.map(({ strategy, weights }, i) => ({
+            strategy,
+            weights,
+            state: createInitialState(config.startLevel, createSeededPieceSequence(config.randomizer, seed),
+                { seed, scoring: config.scoring, attackTable: config.attackTable }),
+            garbageRandom: createRng(deriveSeed(seed, `garbage-${i + 1}`)),
+            targetRandom: createRng(deriveSeed(seed, `target-${i + 1}`)),
+        })),
+    };
+}
+
+export function isBattleFinished(battle) {
+    return getBattleWinner(battle.sides.map(side => side.state), battle.config.maxPieces) !== null;
+}
+
+// Every side still playing places one piece, then garbage is exchanged.
+export function stepBattleSimulation(battle) {
+    if (isBattleFinished(battle)) return;
+    for (const side of battle.sides) {
+        const state = side.state;
+        if (state.gameOver) continue;
+        const { path } = findBestMove(state, side.strategy, side.weights, battle.config.search);
+        for (const action of path) {
+            applyAction(state, action);
+        }
+        if (state.linesBeingCleared) {
+            finishLineClear(state);
+        }
+    }
+    for (const side of battle.sides) {
+        const lines = side.state.outgoingGarbage;
+        if (lines <= 0) continue;
+        side.state.outgoingGarbage = 0;
+        const opponents = battle.sides.filter(opponent => opponent !== side && !opponent.state.gameOver);
+        if (opponents.length === 0) continue;
+        const target = opponents[Math.floor(side.targetRandom() * opponents.length)];
+        receiveGarbage(target.state, lines, target.garbageRandom);
+    }
+}
+
+export function getBattleResult(battle) {
+    const states = battle.sides.map(side => side.state);
+    const outcome = getBattleWinner(states, battle.config.maxPieces);
+    return {
+        seed: battle.seed,
+        winner: outcome ? outcome.winner : null,
+        scores: states.map(state => state.score),
+        lines: states.map(state => state.lines),
+        pieces: states.map(state => state.pieces),
+    };
+}
+
+/**
+ * Plays a battle to completion.
+ * @param {object[]} players Items of { strategy, weights }, one per side.
+ * @param {number} seed The battle seed; every side gets the same pieces.
+ * @param {object} options Overrides for DEFAULT_SIMULATION_OPTIONS, plus attackTable.
+ * @returns {object} { seed, winner, scores, lines, pieces }, winner being a side index or null for a draw.
+ */
+export function simulateBattle(players, seed, options = {}) {
+    const battle = createBattleSimulation(players, seed, options);
+    while (!isBattleFinished(battle)) {
+        stepBattleSimulation(battle);
+    }
+    return getBattleResult(battle);
+}
+
+export function benchmarkToCsv(summaries) {
+    const rows = ['name,strategy,metric,mean,stdDev,min,p25,median,p75,max'];
+    for (const summary of summaries) {
+        for (const [metric, stats] of Object.entries(summary.metrics)) {
+            const values = [stats.mean, stats.stdDev, stats.min, stats.p25, stats.median, stats.p75, stats.max];
+            rows.push([summary.name, summary.strategy, metric, ...values.map(v => +v.toFixed(4))].join(','));
+        }
+        const rate = +summary.topOutRate.toFixed(4);
+        rows.push([summary.name, summary.strategy, 'topOutRate', rate, 0, rate, rate, rate, rate, rate].join(','));
+    }
+    return rows.join('\n');
+}
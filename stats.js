@@ -0,0 +1,122 @@
+// Per-game statistics. Attached to a game's engine events, so nothing in the game
+// loop has to report to it: piece distribution, clears by size, aitris rate, pieces
+// per second, I-piece droughts, and the stack height and holes after every piece.
+
+import { BLOCK_I } from './data.js';
+import { onGameEvent, offGameEvent } from './game.js';
+
+const GRID_HEIGHT = 24;
+const PIECE_TYPES = 7;
+
+/**
+ * Starts recording statistics for a game.
+ * @param {object} state The game state to follow.
+ * @param {function(): number} now The game's clock in ms, used for pieces per second.
+ * @returns The statistics; stop with detachGameStats, read with getStatsSummary.
+ */
+export function trackGameStats(state, now) {
+    const stats = {
+        state,
+        now,
+        startTime: now(),
+        endTime: /** @type {number|null} */ (null), // Set when the game ends
+        pieceCounts: new Array(PIECE_TYPES).fill(0),
+        clears: [0, 0, 0, 0, 0], // Indexed by lines cleared
+        tSpins: 0,
+        lines: 0,
+        drought: 0, // Pieces since the last I piece
+        longestDrought: 0,
+        maxHeight: 0,
+        history: /** @type {{ height: number, holes: number }[]} */ ([]), // After each piece locks
+        listeners: {},
+    };
+
+    stats.listeners.pieceLocked = ({ piece }) => {
+        stats.pieceCounts[piece]++;
+        stats.drought = piece === BLOCK_I ? 0 : stats.drought + 1;
+        stats.longestDrought = Math.max(stats.longestDrought, stats.drought);
+        // Measured before full rows clear, as the stack stood when the piece landed.
+        const sample = measureStack(state.grid);
+        stats.maxHeight = Math.max(stats.maxHeight, sample.height);
+        stats.history.push(sample);
+    };
+    stats.listeners.linesCleared = ({ count, tSpin }) => {
+        stats.clears[count]++;
+        stats.lines += count;
+        if (tSpin) stats.tSpins++;
+    };
+    stats.listeners.topOut = () => {
+        finishGameStats(stats);
+    };
+    stats.listeners.goalReached = () => {
+        finishGameStats(stats);
+    };
+
+    for (const [event, listener] of Object.entries(stats.listeners)) {
+        onGameEvent(state, event, listener);
+    }
+    return stats;
+}
+
+// Stops the clock for a game that ended without topping out, e.g. by winning a battle.
+export function finishGameStats(stats) {
+    if (stats.endTime === null) stats.endTime = stats.now();
+}
+
+export function detachGameStats(stats) {
+    for (const [event, listener] of Object.entries(stats.listeners)) {
+        offGameEvent(stats.state, event, listener);
+    }
+}
+
+// Stack height and holes (empty cells under a filled one) of a grid.
+function measureStack(grid) {
+    let height = 0;
+    let holes = 0;
+    const cols = grid[0].length;
+    for (let c = 0; c < cols; c++) {
+        let covered = false;
+        for (let r = 0; r < GRID_HEIGHT; r++) {
+            if (grid[r][c]) {
+                if (!covered) height = Math.max(height, GRID_HEIGHT - r);
+                covered = true;
+            } else if (covered) {
+                holes++;
+            }
+        }
+    }
+    return { height, holes };
+}
+
+/**
+ * A plain snapshot of the statistics so far, for display or for comparing games.
+ * @returns {{ pieces: number, pieceCounts: number[], clears: number[], tSpins: number,
+ *   lines: number, tetrisRate: number, pps: number, duration: number, longestDrought: number,
+ *   drought: number, maxHeight: number, height: number, holes: number, averageHeight: number,
+ *   averageHoles: number, finished: boolean }} `clears` counts clears by lines cleared,
+ *   `pieceCounts` locks by piece type; `height` and `holes` are the stack's now.
+ */
+export function getStatsSummary(stats) {
+    const pieces = stats.history.length;
+    const duration = (stats.endTime ?? stats.now()) - stats.startTime;
+    const last = stats.history[pieces - 1] || { height: 0, holes: 0 };
+    const average = key => pieces > 0 ? stats.history.reduce((sum, sample) => sum + sample[key], 0) / pieces : 0;
+    return {
+        pieces,
+        pieceCounts: [...stats.pieceCounts],
+        clears: [...stats.clears],
+        tSpins: stats.tSpins,
+        lines: stats.lines,
+        tetrisRate: stats.lines > 0 ? (stats.clears[4] * 4) / stats.lines : 0,
+        pps: duration > 0 ? pieces / (duration / 1000) : 0,
+        duration,
+        longestDrought: stats.longestDrought,
+        drought: stats.drought,
+        maxHeight: stats.maxHeight,
+        height: last.height,
+        holes: last.holes,
+        averageHeight: average('height'),
+        averageHoles: average('holes'),
+        finished: stats.endTime !== null,
+    };
+}
@@ -0,0 +1,45 @@
+// JSON values kept in localStorage: the weight library, tournament ratings and the
+// puzzle library. Every loader and saver takes the storage to use, defaulting to
+// localStorage where there is one, so scripts and tests can pass their own.
+
+export function getDefaultStorage() {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+}
+
+/**
+ * Reads the JSON value saved under `key`.
+ * @param {Storage|null} storage Where it is saved; null means nothing is saved.
+ * @param {string} key The storage key.
+ * @param {string} description What is saved, for the error message, e.g. 'ratings'.
+ * @returns {*} The parsed value, or null if nothing is saved or it is not valid JSON.
+ */
+export function loadJson(storage, key, description) {
+    if (!storage) return null;
+    const text = storage.getItem(key);
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        console.error(`Saved ${description} could not be read: ` + e.message);
+        return null;
+    }
+}
+
+/**
+ * Saves `value` as JSON under `key`.
+ * @param {Storage|null} storage Where to save it; with null nothing is saved.
+ * @param {string} key The storage key.
+ * @param {*} value The value to save.
+ * @param {string} description What is saved, for the error message.
+ * @returns {boolean} True if the value was saved.
+ */
+export function saveJson(storage, key, value, description) {
+    if (!storage) return false;
+    try {
+        storage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (e) {
+        console.error(`Could not save the ${description}: ` + e.message);
+        return false;
+    }
+}
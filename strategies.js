@@ -0,0 +1,271 @@
+// AI strategy registry. A strategy scores the board left by a placement (lower is
+// better) from the features it declares, each with a weight of the same name. The
+// search, the battle and training UI, the trainer and the weight library all look
+// strategies up here rather than naming them.
+//
+// Every strategy can also weight the Dellacherie / El-Tetris features (landing height,
+// eroded piece cells, row and column transitions, cumulative well depth and hole
+// depth); see scoreBoardShape.
+//
+// Strategies registered at runtime only exist on the thread that registered them;
+// AI workers import this module afresh and only see the built-in ones.
+
+import { countRowTransitions, countColumnTransitions, getWellSums, getHoleDepth } from './bitboard.js';
+
+const COLS = 10;
+export const DANGER_HEIGHT_THRESHOLD = 18; // If the highest column is above this, AI will prioritize survival.
+const DROUGHT_THRESHOLD = 12; // Pieces placed without a aitris before penalty applies
+
+// --- Heuristic Weights ---
+export const BASE_SURVIVAL_WEIGHTS = {
+    aggregateHeight: 0.51,
+    completedLines: -0.76,
+    holes: 1.0,
+    bumpiness: 0.18,
+    centerClog: 0.8,
+    holeReduction: -2.5,
+    incomingGarbage: 1.0, // Per garbage line still pending after this move
+    tSpin: -1.0, // Per line cleared by a T-spin
+    landingHeight: 0.15, // Height of the middle of the placed piece
+    erodedCells: -0.1, // Lines cleared * piece cells they removed
+    rowTransitions: 0.1,
+    columnTransitions: 0.25,
+    wellDepth: 0.1, // Cumulative: a well n deep counts 1 + 2 + ... + n
+    holeDepth: 0.1, // Filled cells above holes
+};
+
+export const BASE_WELL_WEIGHTS = {
+    aggregateHeight: 0.4,
+    holes: 4.0,
+    bumpiness: 0.25,
+    wellClogs: 8.0,
+    lineClearBonus: -5.0, // Exponential bonus: bonus * (lines^2)
+    droughtPenalty: 0.08,
+    incomingGarbage: 1.5,
+    tSpin: -4.0,
+    // Kept small: landing low and clearing early both work against saving the well
+    // for aitrises. Training can still grow them.
+    landingHeight: 0.01,
+    erodedCells: -0.01,
+    rowTransitions: 0.02,
+    columnTransitions: 0.05,
+    wellDepth: 0.02, // Not counting the strategy's own well
+    holeDepth: 0.05,
+};
+
+export const DEFAULT_STRATEGY = 'survival';
+
+const registry = new Map();
+
+/**
+ * Adds a strategy to the registry, replacing any with the same id.
+ * @param {object} strategy {
+ *   id, name                     Key used in saved weights and replays, and display name.
+ *   features: string[]           Weight names the strategy reads; these are what training mutates.
+ *   defaultWeights: object       Starting weights, one per feature.
+ *   evaluate(board, weights, breakdown?)  Scores a placement; `board` is described at
+ *                                evaluateBoard in ai.js. When `breakdown` is given, each
+ *                                feature's contribution to the score is also stored in it.
+ *   fallback?: { strategy, when(board) }  Another strategy to play while `when` holds for
+ *                                the board before the move ({ maxHeight, pendingGarbage }).
+ *   showsDrought?: boolean       Whether the HUD shows the I-piece drought counter.
+ * }
+ * @returns {object|null} The registered strategy, or null if it is incomplete.
+ */
+export function registerStrategy(strategy) {
+    if (!strategy || typeof strategy.id !== 'string' || typeof strategy.evaluate !== 'function' ||
+        !Array.isArray(strategy.features) || !strategy.defaultWeights) {
+        console.error('Refusing to register an incomplete AI strategy.');
+        return null;
+    }
+    const entry = { name: strategy.id, fallback: null, showsDrought: false, ...strategy };
+    registry.set(entry.id, entry);
+    return entry;
+}
+
+export function getStrategy(id) {
+    return registry.get(id) || null;
+}
+
+// Unknown ids (e.g. from an old save) play as the default strategy.
+export function resolveStrategy(id) {
+    return registry.get(id) || registry.get(DEFAULT_STRATEGY);
+}
+
+export function getStrategyIds() {
+    return [...registry.keys()];
+}
+
+export function listStrategies() {
+    return [...registry.values()];
+}
+
+export function getDefaultWeights(id) {
+    return { ...resolveStrategy(id).defaultWeights };
+}
+
+// --- Helper Functions for Evaluation ---
+
+function getAggregateHeight(heights) {
+    return heights.reduce((sum, h) => sum + h, 0);
+}
+
+
+function getBumpiness(heights) {
+    let bumpiness = 0;
+    for (let i = 0; i < heights.length - 1; i++) {
+        bumpiness += Math.abs(heights[i] - heights[i + 1]);
+    }
+    return bumpiness;
+}
+
+// Dellacherie / El-Tetris features. Each is only worked out when its weight is set,
+// so strategies that don't use them pay nothing. `wellColumn` is left out of the
+// well sums for strategies that keep a well open on purpose.
+function scoreBoardShape(board, weights, wellColumn = -1, breakdown = null) {
+    let score = 0;
+    const add = (feature, value) => {
+        const contribution = weights[feature] * value;
+        score += contribution;
+        if (breakdown) breakdown[feature] = contribution;
+    };
+    if (weights.landingHeight) add('landingHeight', board.landingHeight);
+    if (weights.erodedCells) add('erodedCells', board.erodedCells);
+    if (!board.bitboard) return score;
+    if (weights.rowTransitions) add('rowTransitions', countRowTransitions(board.bitboard));
+    if (weights.columnTransitions) add('columnTransitions', countColumnTransitions(board.bitboard));
+    if (weights.wellDepth) {
+        const wellSums = getWellSums(board.bitboard);
+        let wellDepth = 0;
+        for (let c = 0; c < COLS; c++) {
+            if (c !== wellColumn) wellDepth += wellSums[c];
+        }
+        add('wellDepth', wellDepth);
+    }
+    if (weights.holeDepth) add('holeDepth', getHoleDepth(board.bitboard));
+    return score;
+}
+
+// --- Built-in Strategies ---
+
+function evaluateSurvival(board, weights, breakdown = null) {
+    const { heights, holes, clearedLines, holesBeforeClear } = board;
+    const garbagePenalty = (weights.incomingGarbage || 0) * board.incomingGarbage;
+    const tSpinBonus = (weights.tSpin || 0) * board.tSpinLines;
+    const heightPenalty = (weights.aggregateHeight || 0) * getAggregateHeight(heights);
+    const linesBonus = (weights.completedLines || 0) * clearedLines;
+    const holePenalty = (weights.holes || 0) * holes;
+    const bumpinessPenalty = (weights.bumpiness || 0) * getBumpiness(heights);
+
+    let score = heightPenalty + linesBonus + holePenalty + bumpinessPenalty + garbagePenalty + tSpinBonus;
+
+    let holeReductionBonus = 0;
+    if (holesBeforeClear !== null && clearedLines > 0) {
+        const holesReduced = holesBeforeClear - holes;
+        if (holesReduced > 0) {
+            holeReductionBonus = (weights.holeReduction || 0) * holesReduced;
+            score += holeReductionBonus;
+        }
+    }
+
+    let centerClogPenalty = 0;
+    const maxHeight = Math.max(...heights);
+    if (maxHeight > DANGER_HEIGHT_THRESHOLD) {
+        const centerCols = [3, 4, 5, 6];
+        let centerClogHeight = 0;
+        for (const c of centerCols) {
+            centerClogHeight += heights[c];
+        }
+        centerClogPenalty = (weights.centerClog || 0) * centerClogHeight;
+        score += centerClogPenalty;
+    }
+
+    if (breakdown) {
+        Object.assign(breakdown, {
+            aggregateHeight: heightPenalty, completedLines: linesBonus, holes: holePenalty, bumpiness: bumpinessPenalty,
+            incomingGarbage: garbagePenalty, tSpin: tSpinBonus, holeReduction: holeReductionBonus, centerClog: centerClogPenalty,
+        });
+    }
+    return score + scoreBoardShape(board, weights, -1, breakdown);
+}
+
+// Stacks everywhere but `wellColumn`, saving it for aitrises.
+function createWellEvaluator(wellColumn) {
+    const neighborColumn = wellColumn === 0 ? 1 : wellColumn - 1;
+    // The bumpiness pair (i, i + 1) that spans the well is skipped.
+    const skippedPair = wellColumn === 0 ? 0 : wellColumn - 1;
+
+    return (board, weights, breakdown = null) => {
+        const { heights, holes, clearedLines, iPieceDrought } = board;
+        const garbagePenalty = (weights.incomingGarbage || 0) * board.incomingGarbage;
+        const tSpinBonus = (weights.tSpin || 0) * board.tSpinLines;
+        const holePenalty = weights.holes * holes;
+
+        let stackBumpiness = 0;
+        for (let i = 0; i < COLS - 1; i++) {
+            if (i === skippedPair) continue;
+            stackBumpiness += Math.abs(heights[i] - heights[i + 1]);
+        }
+        const bumpinessPenalty = weights.bumpiness * stackBumpiness;
+
+        const aggregateHeight = getAggregateHeight(heights);
+        const heightPenalty = weights.aggregateHeight * aggregateHeight;
+
+        const wellClogs = heights[wellColumn];
+        const clogPenalty = weights.wellClogs * wellClogs;
+
+        const lineClearBonus = weights.lineClearBonus * (clearedLines * clearedLines);
+
+        let droughtPenalty = 0;
+        if (iPieceDrought > DROUGHT_THRESHOLD) {
+            const wellDepth = heights[neighborColumn] - heights[wellColumn];
+            if (wellDepth > 3) {
+                const excessDrought = iPieceDrought - DROUGHT_THRESHOLD;
+                droughtPenalty = excessDrought * wellDepth * weights.droughtPenalty;
+            }
+        }
+
+        if (breakdown) {
+            Object.assign(breakdown, {
+                holes: holePenalty, bumpiness: bumpinessPenalty, aggregateHeight: heightPenalty, wellClogs: clogPenalty,
+                lineClearBonus, droughtPenalty, incomingGarbage: garbagePenalty, tSpin: tSpinBonus,
+            });
+        }
+        return holePenalty + bumpinessPenalty + heightPenalty + clogPenalty + lineClearBonus + droughtPenalty + garbagePenalty + tSpinBonus +
+            scoreBoardShape(board, weights, wellColumn, breakdown);
+    };
+}
+
+// Pending garbage will raise the stack, so it counts towards the danger zone.
+const SURVIVAL_FALLBACK = {
+    strategy: 'survival',
+    when: ({ maxHeight, pendingGarbage }) => maxHeight + pendingGarbage > DANGER_HEIGHT_THRESHOLD,
+};
+
+registerStrategy({
+    id: 'rightWell',
+    name: 'Right Well',
+    features: Object.keys(BASE_WELL_WEIGHTS),
+    defaultWeights: BASE_WELL_WEIGHTS,
+    evaluate: createWellEvaluator(COLS - 1),
+    fallback: SURVIVAL_FALLBACK,
+    showsDrought: true,
+});
+
+registerStrategy({
+    id: 'leftWell',
+    name: 'Left Well',
+    features: Object.keys(BASE_WELL_WEIGHTS),
+    defaultWeights: BASE_WELL_WEIGHTS,
+    evaluate: createWellEvaluator(0),
+    fallback: SURVIVAL_FALLBACK,
+    showsDrought: true,
+});
+
+registerStrategy({
+    id: 'survival',
+    name: 'Survival',
+    features: Object.keys(BASE_SURVIVAL_WEIGHTS),
+    defaultWeights: BASE_SURVIVAL_WEIGHTS,
+    evaluate: evaluateSurvival,
+});
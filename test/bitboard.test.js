@@ -0,0 +1,187 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBoard, collides, getDropY, placePiece, clearLines, countHoles, getMaxHeight } from '../bitboard.js';
+import { findBestMove } from '../ai.js';
+import { createInitialState, collidesWithGrid, calculateGhostPosition, SPAWN_POSITION } from '../game.js';
+import { createPieceSequence } from '../randomizer.js';
+import { createRng } from '../rng.js';
+import { blockCoords, BLOCK_I, BLOCK_O, rotIleft, rotIright, rotJLTSZleft, rotJLTSZright } from '../data.js';
+
+const COLS = 10;
+const GRID_HEIGHT = 24;
+const BOARD_COUNT = 40;
+
+// Survival weights limited to features the grid reference below works out too.
+const REFERENCE_WEIGHTS = { aggregateHeight: 0.51, completedLines: -0.76, holes: 1.0, bumpiness: 0.18 };
+
+// --- Grid Reference ---
+// The array-of-rows evaluation the AI used before bitboards.
+
+function getColumnHeights(grid) {
+    const heights = Array(COLS).fill(0);
+    for (let c = 0; c < COLS; c++) {
+        for (let r = 0; r < GRID_HEIGHT; r++) {
+            if (grid[r][c]) {
+                heights[c] = GRID_HEIGHT - r;
+                break;
+            }
+        }
+    }
+    return heights;
+}
+
+function getHoles(grid) {
+    let holes = 0;
+    for (let c = 0; c < COLS; c++) {
+        let blockFound = false;
+        for (let r = 0; r < GRID_HEIGHT; r++) {
+            if (grid[r][c]) {
+                blockFound = true;
+            } else if (blockFound) {
+                holes++;
+            }
+        }
+    }
+    return holes;
+}
+
+function placeOnGrid(grid, piece) {
+    const placed = grid.map(row => row.slice());
+    for (const [cx, cy] of blockCoords[piece.type][piece.rotation]) {
+        const row = piece.y + cy;
+        if (row >= 0 && row < GRID_HEIGHT) placed[row][piece.x + cx] = piece.type + 1;
+    }
+    const kept = placed.filter(row => row.some(cell => cell === 0));
+    const clearedCount = GRID_HEIGHT - kept.length;
+    while (kept.length < GRID_HEIGHT) kept.unshift(Array(COLS).fill(0));
+    return { grid: kept, clearedCount };
+}
+
+function scoreOnGrid(grid, piece) {
+    const { grid: after, clearedCount } = placeOnGrid(grid, piece);
+    const heights = getColumnHeights(after);
+    let bumpiness = 0;
+    for (let c = 0; c < COLS - 1; c++) bumpiness += Math.abs(heights[c] - heights[c + 1]);
+    return REFERENCE_WEIGHTS.aggregateHeight * heights.reduce((sum, h) => sum + h, 0) +
+        REFERENCE_WEIGHTS.completedLines * clearedCount +
+        REFERENCE_WEIGHTS.holes * getHoles(after) +
+        REFERENCE_WEIGHTS.bumpiness * bumpiness;
+}
+
+function rotateOnGrid(grid, piece, direction) {
+    if (piece.type === BLOCK_O) return null;
+    const kicks = piece.type === BLOCK_I
+        ? (direction === 'R' ? rotIright : rotIleft)
+        : (direction === 'R' ? rotJLTSZright : rotJLTSZleft);
+    for (const [dx, dy, r] of kicks[piece.rotation]) {
+        if (!collidesWithGrid(grid, piece, dx, dy, r)) {
+            return { ...piece, x: piece.x + dx, y: piece.y + dy, rotation: (piece.rotation + r) % 4 };
+        }
+    }
+    return null;
+}
+
+// Every spot the piece can come to rest in from its spawn position.
+function findLandings(grid, start) {
+    const landings = [];
+    const seen = new Set();
+    const queue = [start];
+    while (queue.length > 0) {
+        const piece = queue.shift();
+        const key = `${piece.x},${piece.y},${piece.rotation}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (collidesWithGrid(grid, piece, 0, 1, 0)) landings.push(piece);
+        const shifts = [[-1, 0], [1, 0], [0, 1]]
+            .filter(([dx, dy]) => !collidesWithGrid(grid, piece, dx, dy, 0))
+            .map(([dx, dy]) => ({ ...piece, x: piece.x + dx, y: piece.y + dy }));
+        const rotations = [rotateOnGrid(grid, piece, 'R'), rotateOnGrid(grid, piece, 'L')].filter(Boolean);
+        queue.push(...shifts, ...rotations);
+    }
+    return landings;
+}
+
+// --- Boards ---
+
+// A ragged stack with covered holes, whose lower rows are often one cell short of a clear.
+function createRandomGrid(random) {
+    const grid = Array.from({ length: GRID_HEIGHT }, () => Array(COLS).fill(0));
+    const stackHeight = 2 + Math.floor(random() * 10);
+    for (let r = GRID_HEIGHT - stackHeight; r < GRID_HEIGHT; r++) {
+        const fill = r > GRID_HEIGHT - 4 ? 0.9 : 0.6;
+        for (let c = 0; c < COLS; c++) {
+            grid[r][c] = random() < fill ? 8 : 0;
+        }
+        if (grid[r].every(cell => cell !== 0)) grid[r][Math.floor(random() * COLS)] = 0;
+    }
+    return grid;
+}
+
+function createRandomGrids() {
+    const random = createRng(2012);
+    return Array.from({ length: BOARD_COUNT }, () => createRandomGrid(random));
+}
+
+test('boards match the grid they were built from', () => {
+    for (const grid of createRandomGrids()) {
+        const board = createBoard(grid);
+        const heights = getColumnHeights(grid);
+        assert.deepEqual([...board.heights], heights);
+        assert.equal(getMaxHeight(board), Math.max(...heights));
+        assert.equal(countHoles(board), getHoles(grid));
+    }
+});
+
+test('collisions and drops match the grid', () => {
+    for (const grid of createRandomGrids()) {
+        const board = createBoard(grid);
+        for (let type = 0; type < blockCoords.length; type++) {
+            for (let rotation = 0; rotation < 4; rotation++) {
+                for (let x = -3; x < COLS + 1; x++) {
+                    for (let y = -2; y < GRID_HEIGHT; y++) {
+                        const piece = { type, rotation, x, y };
+                        assert.equal(collides(board, type, rotation, x, y), collidesWithGrid(grid, piece, 0, 0, 0), JSON.stringify(piece));
+                    }
+                    const top = { type, rotation, x, y: 0 };
+                    if (!collidesWithGrid(grid, top, 0, 0, 0)) {
+                        assert.equal(getDropY(board, type, rotation, x), calculateGhostPosition(top, grid));
+                    }
+                }
+            }
+        }
+    }
+});
+
+test('placing a piece and clearing lines match the grid', () => {
+    for (const grid of createRandomGrids()) {
+        const board = createBoard(grid);
+        for (let type = 0; type < blockCoords.length; type++) {
+            for (const piece of findLandings(grid, { type, ...SPAWN_POSITION })) {
+                const placed = placePiece(board, type, piece.rotation, piece.x, piece.y);
+                const clearedCount = clearLines(placed);
+                const expected = placeOnGrid(grid, piece);
+                assert.equal(clearedCount, expected.clearedCount);
+                const expectedBoard = createBoard(expected.grid);
+                assert.deepEqual([...placed.rows], [...expectedBoard.rows]);
+                assert.deepEqual([...placed.heights], [...expectedBoard.heights]);
+                assert.equal(countHoles(placed), getHoles(expected.grid));
+            }
+        }
+    }
+});
+
+test('the AI picks a landing the grid reference scores best', () => {
+    const random = createRng(12);
+    for (const grid of createRandomGrids()) {
+        const state = createInitialState(0, createPieceSequence('7bag', random));
+        state.grid = grid;
+        state.canHold = false;
+        if (collidesWithGrid(grid, state.Block, 0, 0, 0)) continue;
+
+        const scores = findLandings(grid, state.Block).map(piece => scoreOnGrid(grid, piece));
+        const { target } = findBestMove(state, 'survival', REFERENCE_WEIGHTS, { depth: 0 });
+        assert.ok(target, 'no move found');
+        const chosen = scoreOnGrid(grid, target);
+        assert.ok(Math.abs(chosen - Math.min(...scores)) < 1e-9, `chose ${chosen}, best is ${Math.min(...scores)}`);
+    }
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInitialState, onGameEvent, hardDrop, hold, finishLineClear, GAME_EVENTS } from '../game.js';
+import { BLOCK_I } from '../data.js';
+
+const ROWS = 24;
+
+function createGame() {
+    const onlyI = { randomizer: 'onlyI', next: () => BLOCK_I, pieces: [] };
+    return createInitialState(0, onlyI);
+}
+
+// Subscribes to every event, returning what fires in order.
+function recordEvents(state) {
+    const fired = [];
+    for (const event of GAME_EVENTS) {
+        onGameEvent(state, event, detail => fired.push({ event, detail }));
+    }
+    return fired;
+}
+
+function names(fired) {
+    return fired.map(({ event }) => event);
+}
+
+test('a lock without a clear is followed by the next spawn', () => {
+    const state = createGame();
+    const fired = recordEvents(state);
+    hardDrop(state);
+    assert.deepEqual(names(fired), ['pieceLocked', 'pieceSpawned']);
+    assert.equal(fired[0].detail.cleared, 0);
+});
+
+test('a clear fires after the lock, with the level up, and the spawn waits for the clear to finish', () => {
+    const state = createGame();
+    state.grid[ROWS - 1] = [1, 1, 1, 0, 0, 0, 0, 1, 1, 1];
+    state.lines = state.levelUp - 1;
+    const fired = recordEvents(state);
+
+    hardDrop(state);
+    assert.deepEqual(names(fired), ['pieceLocked', 'linesCleared', 'levelUp']);
+    assert.deepEqual(fired[1].detail.rows, [ROWS - 1]);
+    assert.equal(fired[1].detail.type, 'single');
+    assert.equal(fired[2].detail.level, 1);
+
+    finishLineClear(state);
+    assert.deepEqual(names(fired), ['pieceLocked', 'linesCleared', 'levelUp', 'pieceSpawned']);
+});
+
+test('the first hold spawns the next piece before reporting the hold', () => {
+    const state = createGame();
+    const fired = recordEvents(state);
+    hold(state);
+    assert.deepEqual(names(fired), ['pieceSpawned', 'hold']);
+    assert.deepEqual(fired[1].detail, { held: BLOCK_I, piece: BLOCK_I });
+});
+
+test('a piece locked in the spawn area tops out after the lock', () => {
+    const state = createGame();
+    for (let r = 4; r < ROWS; r++) {
+        state.grid[r] = [0, 1, 1, 1, 1, 1, 1, 1, 1, 1];
+    }
+    const fired = recordEvents(state);
+    hardDrop(state);
+    assert.deepEqual(names(fired), ['pieceLocked', 'topOut']);
+    assert.deepEqual(fired[1].detail, { cause: 'spawn' });
+    assert.equal(state.gameOver, true);
+});
+
+test('listeners run in subscription order, and a failing or removed one is skipped', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const state = createGame();
+    const calls = [];
+    onGameEvent(state, 'pieceSpawned', () => calls.push('first'));
+    onGameEvent(state, 'pieceSpawned', () => { throw new Error('broken listener'); });
+    const unsubscribe = onGameEvent(state, 'pieceSpawned', () => calls.push('removed'));
+    onGameEvent(state, 'pieceSpawned', () => calls.push('last'));
+    unsubscribe();
+
+    hardDrop(state);
+    assert.deepEqual(calls, ['first', 'last']);
+    assert.equal(console.error.mock.calls.length, 1);
+});
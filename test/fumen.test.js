@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeFumen, decodeFumen } from '../fumen.js';
+import { blockCoords } from '../data.js';
+
+const GRID_HEIGHT = 24;
+
+// One page per piece and rotation, each piece centred at (4, 2) on an empty field, as
+// written by the tetris-fumen library, with the cells it fills (y counting up from the
+// bottom row).
+const PIECE_FUMENS = [
+    ['I', 'spawn', 'v115@vhARGJ', [[3, 2], [4, 2], [5, 2], [6, 2]]],
+    ['I', 'right', 'v115@vhAJGJ', [[4, 0], [4, 1], [4, 2], [4, 3]]],
+    ['I', 'reverse', 'v115@vhAhFJ', [[2, 2], [3, 2], [4, 2], [5, 2]]],
+    ['I', 'left', 'v115@vhAZBJ', [[4, 1], [4, 2], [4, 3], [4, 4]]],
+    ['J', 'spawn', 'v115@vhAWGJ', [[3, 2], [4, 2], [5, 2], [3, 3]]],
+    ['J', 'right', 'v115@vhAOGJ', [[4, 1], [4, 2], [4, 3], [5, 3]]],
+    ['J', 'reverse', 'v115@vhAGGJ', [[5, 1], [3, 2], [4, 2], [5, 2]]],
+    ['J', 'left', 'v115@vhAeGJ', [[3, 1], [4, 1], [4, 2], [4, 3]]],
+    ['L', 'spawn', 'v115@vhASGJ', [[3, 2], [4, 2], [5, 2], [5, 3]]],
+    ['L', 'right', 'v115@vhAKGJ', [[4, 1], [5, 1], [4, 2], [4, 3]]],
+    ['L', 'reverse', 'v115@vhACGJ', [[3, 1], [3, 2], [4, 2], [5, 2]]],
+    ['L', 'left', 'v115@vhAaGJ', [[4, 1], [4, 2], [3, 3], [4, 3]]],
+    ['O', 'spawn', 'v115@vhATBJ', [[4, 2], [5, 2], [4, 3], [5, 3]]],
+    ['O', 'right', 'v115@vhALGJ', [[4, 1], [5, 1], [4, 2], [5, 2]]],
+    ['O', 'reverse', 'v115@vhAjFJ', [[3, 1], [4, 1], [3, 2], [4, 2]]],
+    ['O', 'left', 'v115@vhA7AJ', [[3, 2], [4, 2], [3, 3], [4, 3]]],
+    ['S', 'spawn', 'v115@vhAXBJ', [[3, 2], [4, 2], [4, 3], [5, 3]]],
+    ['S', 'right', 'v115@vhAvGJ', [[5, 1], [4, 2], [5, 2], [4, 3]]],
+    ['S', 'reverse', 'v115@vhAHGJ', [[3, 1], [4, 1], [4, 2], [5, 2]]],
+    ['S', 'left', 'v115@vhAfGJ', [[4, 1], [3, 2], [4, 2], [3, 3]]],
+    ['T', 'spawn', 'v115@vhAVGJ', [[3, 2], [4, 2], [5, 2], [4, 3]]],
+    ['T', 'right', 'v115@vhANGJ', [[4, 1], [4, 2], [5, 2], [4, 3]]],
+    ['T', 'reverse', 'v115@vhAFGJ', [[4, 1], [3, 2], [4, 2], [5, 2]]],
+    ['T', 'left', 'v115@vhAdGJ', [[4, 1], [3, 2], [4, 2], [4, 3]]],
+    ['Z', 'spawn', 'v115@vhAUBJ', [[4, 2], [5, 2], [3, 3], [4, 3]]],
+    ['Z', 'right', 'v115@vhAMGJ', [[4, 1], [4, 2], [5, 2], [5, 3]]],
+    ['Z', 'reverse', 'v115@vhAEGJ', [[4, 1], [5, 1], [3, 2], [4, 2]]],
+    ['Z', 'left', 'v115@vhA8FJ', [[3, 1], [3, 2], [4, 2], [4, 3]]],
+];
+
+function cellsKey(cells) {
+    return cells.map(([x, y]) => `${x},${y}`).sort().join(' ');
+}
+
+// The cells a block fills, y counting up from the bottom row as in fumen.
+function getBlockCells({ type, x, y, rotation }) {
+    return blockCoords[type][rotation].map(([cx, cy]) => [x + cx, GRID_HEIGHT - 1 - (y + cy)]);
+}
+
+for (const [piece, rotation, fumen, cells] of PIECE_FUMENS) {
+    test(`${piece} ${rotation} decodes to the cells tetris-fumen fills and encodes back`, () => {
+        const pages = decodeFumen(fumen);
+        assert.equal(pages.length, 1);
+        assert.equal(cellsKey(getBlockCells(pages[0].block)), cellsKey(cells));
+        assert.equal(encodeFumen([{ grid: pages[0].grid, block: pages[0].block }]), fumen);
+    });
+}
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInitialState, hardDrop, receiveGarbage, getPendingGarbage, getAttackForLines } from '../game.js';
+import { BLOCK_I, GARBAGE_CELL } from '../data.js';
+
+const ROWS = 24;
+
+// A game dealing only I pieces whose bottom row is full but for the four columns a flat I drops into.
+function createGame(attackTable) {
+    const onlyI = { randomizer: 'onlyI', next: () => BLOCK_I, pieces: [] };
+    const state = createInitialState(0, onlyI, { attackTable });
+    state.grid[ROWS - 1] = [1, 1, 1, 0, 0, 0, 0, 1, 1, 1];
+    return state;
+}
+
+// Stands in for the garbage generator, putting the hole in `column`.
+function holeAt(column) {
+    return () => (column + 0.5) / 10;
+}
+
+function garbageRow(holeColumn) {
+    return Array.from({ length: 10 }, (_, col) => col === holeColumn ? 0 : GARBAGE_CELL);
+}
+
+test('attacks are looked up by lines cleared, capped at the last entry', () => {
+    const table = [0, 0, 1, 2, 4];
+    assert.equal(getAttackForLines(table, 0), 0);
+    assert.equal(getAttackForLines(table, 2), 1);
+    assert.equal(getAttackForLines(table, 4), 4);
+    assert.equal(getAttackForLines(table, 6), 4);
+    assert.equal(getAttackForLines(null, 4), 0);
+});
+
+test('incoming garbage queues in batches until a piece locks', () => {
+    const state = createGame([0, 0, 0, 0, 0]);
+    receiveGarbage(state, 2, holeAt(0));
+    receiveGarbage(state, 1, holeAt(9));
+    receiveGarbage(state, 0, holeAt(5));
+    assert.deepEqual(state.garbageQueue, [{ lines: 2, holeColumn: 0 }, { lines: 1, holeColumn: 9 }]);
+    assert.equal(getPendingGarbage(state), 3);
+    assert.equal(state.grid[ROWS - 1][0], 1);
+});
+
+test('a lock without a clear raises the queued garbage with its holes', () => {
+    const state = createGame([0, 0, 0, 0, 0]);
+    state.grid[ROWS - 1] = Array(10).fill(0);
+    receiveGarbage(state, 2, holeAt(0));
+    receiveGarbage(state, 1, holeAt(9));
+    hardDrop(state);
+    assert.equal(getPendingGarbage(state), 0);
+    assert.deepEqual(state.grid[ROWS - 1], garbageRow(9));
+    assert.deepEqual(state.grid[ROWS - 2], garbageRow(0));
+    assert.deepEqual(state.grid[ROWS - 3], garbageRow(0));
+    assert.deepEqual(state.grid[ROWS - 4].slice(3, 7), [1, 1, 1, 1]);
+});
+
+test('a clear cancels incoming garbage before sending the rest', () => {
+    const state = createGame([0, 3]);
+    receiveGarbage(state, 1, holeAt(0));
+    receiveGarbage(state, 1, holeAt(0));
+    hardDrop(state);
+    assert.equal(getPendingGarbage(state), 0);
+    assert.equal(state.outgoingGarbage, 1);
+});
+
+test('a clear smaller than the queue only cancels part of a batch', () => {
+    const state = createGame([0, 2]);
+    receiveGarbage(state, 3, holeAt(4));
+    hardDrop(state);
+    assert.deepEqual(state.garbageQueue, [{ lines: 1, holeColumn: 4 }]);
+    assert.equal(state.outgoingGarbage, 0);
+});
+
+test('a game without an opponent neither sends nor cancels', () => {
+    const state = createGame(null);
+    receiveGarbage(state, 2, holeAt(0));
+    hardDrop(state);
+    assert.equal(getPendingGarbage(state), 2);
+    assert.equal(state.outgoingGarbage, 0);
+});
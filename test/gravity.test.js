@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInitialState, updateGravity, moveLeft, moveRight, moveDown, isGrounded, LOCK_DELAY, MOVE_RESET_LIMIT } from '../game.js';
+import { BLOCK_T, gravityAtLevel } from '../data.js';
+
+const ROWS = 24;
+
+function createGame(startLevel = 0) {
+    const onlyT = { randomizer: 'onlyT', next: () => BLOCK_T, pieces: [] };
+    return createInitialState(startLevel, onlyT);
+}
+
+function dropToFloor(state) {
+    while (!isGrounded(state)) moveDown(state);
+}
+
+// Nudges the piece sideways and back, as a player stalling a lock would.
+function wiggle(state, count) {
+    if (count % 2 === 0) moveLeft(state);
+    else moveRight(state);
+}
+
+test('gravity moves the piece one row per level interval', () => {
+    const state = createGame(5);
+    const startY = state.Block.y;
+    assert.equal(state.speed, gravityAtLevel[5]);
+
+    assert.deepEqual(updateGravity(state, 0), []);
+    assert.deepEqual(updateGravity(state, state.speed * 3 - 1), ['gravity', 'gravity']);
+    assert.deepEqual(updateGravity(state, state.speed * 3), ['gravity']);
+    assert.equal(state.Block.y, startY + 3);
+});
+
+test('a grounded piece locks once the lock delay has passed', () => {
+    const state = createGame();
+    dropToFloor(state);
+
+    assert.deepEqual(updateGravity(state, 1000), []);
+    assert.deepEqual(updateGravity(state, 1000 + LOCK_DELAY - 1), []);
+    assert.equal(state.pieces, 0);
+    assert.deepEqual(updateGravity(state, 1000 + LOCK_DELAY), ['lock']);
+    assert.equal(state.pieces, 1);
+});
+
+test(`moves restart the lock delay at most ${MOVE_RESET_LIMIT} times`, () => {
+    const state = createGame();
+    dropToFloor(state);
+
+    let now = 1000;
+    updateGravity(state, now);
+    for (let i = 0; i < MOVE_RESET_LIMIT; i++) {
+        now += LOCK_DELAY - 1;
+        wiggle(state, i);
+        assert.deepEqual(updateGravity(state, now), [], `move ${i + 1}`);
+    }
+    assert.equal(state.lockResets, MOVE_RESET_LIMIT);
+
+    // Further moves leave the delay running from the last restart.
+    wiggle(state, MOVE_RESET_LIMIT);
+    assert.deepEqual(updateGravity(state, now + 1), []);
+    assert.deepEqual(updateGravity(state, now + LOCK_DELAY), ['lock']);
+    assert.equal(state.pieces, 1);
+});
+
+test('reaching a lower row gives the piece its restarts back', () => {
+    const state = createGame();
+    state.grid[ROWS - 1] = [1, 1, 1, 1, 1, 1, 0, 0, 0, 0]; // A step the piece slides off
+    dropToFloor(state);
+
+    let now = 1000;
+    while (isGrounded(state)) {
+        updateGravity(state, now);
+        moveRight(state);
+    }
+    assert.ok(state.lockResets > 0);
+
+    now += state.speed;
+    assert.deepEqual(updateGravity(state, now), ['gravity']);
+    assert.equal(state.lockResets, 0);
+});
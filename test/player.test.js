@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Player, updateGame } from '../player.js';
+import { createManualClock, advanceClock, createTicker, pollTicker, advanceTicker, TICK_MS } from '../clock.js';
+import { findBestMove } from '../ai.js';
+import { getDefaultWeights } from '../strategies.js';
+import { pressKey, DEFAULT_HUMAN_TIMINGS } from '../input.js';
+import { createSeededPieceSequence, DEFAULT_RANDOMIZER } from '../randomizer.js';
+
+const AI_TIMINGS = {
+    AI_PLANNING_DELAY: 100,
+    AI_ACTION_DELAY: 40,
+    timeDelayDas: 120,
+    timeDelayARE: 40,
+    CLEAR_DELAY: 300,
+};
+
+function createContext(plan) {
+    return { aiTimings: AI_TIMINGS, humanTimings: DEFAULT_HUMAN_TIMINGS, plan, onPlan: () => {} };
+}
+
+// Plans on the spot, as the page does without workers.
+const planNow = (game, state) => findBestMove(state, game.strategy, game.weights, game.search);
+
+// Promises each plan it can, keeping the promise's resolver in `pending` for the test to call.
+function createPromisingPlanner() {
+    const planner = { pending: null, plansMadeAtOnce: 0 };
+    planner.plan = (game, state, canWait) => {
+        if (!canWait) {
+            planner.plansMadeAtOnce++;
+            return planNow(game, state);
+        }
+        return new Promise(resolve => {
+            planner.pending = () => resolve(planNow(game, state));
+        });
+    };
+    return planner;
+}
+
+function createGame(strategy, clock = createManualClock()) {
+    const ticker = createTicker(clock);
+    const game = new Player(1, strategy, getDefaultWeights('survival'), ticker);
+    game.reset(0, createSeededPieceSequence(DEFAULT_RANDOMIZER, 42), { seed: 42 });
+    pollTicker(ticker); // Starts the ticker at the clock's current time
+    return { game, clock, ticker };
+}
+
+// Plays until the AI starts planning a piece it can wait for.
+function playUntilPromised(run, context, planner) {
+    while (!planner.pending) play(run, context, TICK_MS);
+}
+
+// Moves the clock on by `ms`, stepping the game through every tick that comes due.
+function play({ game, clock, ticker }, context, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += TICK_MS) {
+        advanceClock(clock, TICK_MS);
+        for (let ticks = pollTicker(ticker); ticks > 0; ticks--) {
+            advanceTicker(ticker);
+            updateGame(game, context);
+        }
+    }
+}
+
+// Like play, but lets promised plans settle after every tick, as a quick worker's would.
+async function playSettling({ game, clock, ticker }, context, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += TICK_MS) {
+        advanceClock(clock, TICK_MS);
+        for (let ticks = pollTicker(ticker); ticks > 0; ticks--) {
+            advanceTicker(ticker);
+            updateGame(game, context);
+            await Promise.resolve();
+        }
+    }
+}
+
+test('nothing moves until the clock does', () => {
+    const run = createGame('human');
+    const start = { ...run.game.state.Block };
+    updateGame(run.game, createContext(planNow));
+    assert.equal(run.game.now(), 0);
+    assert.deepEqual(run.game.state.Block, start);
+});
+
+test('gravity pulls the piece down at the level 0 speed', () => {
+    const run = createGame('human');
+    const startY = run.game.state.Block.y;
+    play(run, createContext(planNow), 2000);
+    assert.equal(run.game.state.Block.y, startY + Math.floor(2000 / run.game.state.speed));
+});
+
+test('a tap is applied on the next tick', () => {
+    const run = createGame('human');
+    const startX = run.game.state.Block.x;
+    pressKey(run.game.input, 'ArrowLeft', run.game.now(), DEFAULT_HUMAN_TIMINGS);
+    play(run, createContext(planNow), TICK_MS);
+    assert.equal(run.game.state.Block.x, startX - 1);
+});
+
+test('the AI plays pieces as the clock advances', () => {
+    const run = createGame('survival');
+    play(run, createContext(planNow), 5000);
+    assert.ok(run.game.state.pieces >= 3, `only ${run.game.state.pieces} pieces placed`);
+    assert.ok(run.game.recording.events.length > 0);
+});
+
+test('a promised plan is taken up when the planning delay ends', async () => {
+    const run = createGame('survival');
+    const planner = createPromisingPlanner();
+    const context = createContext(planner.plan);
+    playUntilPromised(run, context, planner);
+    assert.equal(run.game.aiState, 'THINKING');
+    const pieces = run.game.state.pieces;
+
+    planner.pending();
+    await Promise.resolve();
+    assert.equal(run.game.aiState, 'THINKING', 'taken up before the delay ended');
+    const madeAtOnce = planner.plansMadeAtOnce;
+    play(run, context, AI_TIMINGS.AI_PLANNING_DELAY);
+    assert.equal(run.game.aiState, 'EXECUTING');
+    assert.equal(planner.plansMadeAtOnce, madeAtOnce);
+    assert.equal(run.game.state.pieces, pieces);
+});
+
+test('a plan still pending when the delay ends is made at once instead', async () => {
+    const run = createGame('survival');
+    const planner = createPromisingPlanner();
+    const context = createContext(planner.plan);
+    playUntilPromised(run, context, planner);
+    const madeAtOnce = planner.plansMadeAtOnce;
+
+    play(run, context, AI_TIMINGS.AI_PLANNING_DELAY);
+    assert.equal(run.game.aiState, 'EXECUTING');
+    assert.equal(planner.plansMadeAtOnce, madeAtOnce + 1);
+
+    const queue = run.game.aiMoveQueue.slice();
+    planner.pending(); // The late plan is ignored
+    await Promise.resolve();
+    assert.deepEqual(run.game.aiMoveQueue, queue);
+});
+
+test('the game plays out the same however fast plans arrive', async () => {
+    const planned = createGame('survival');
+    play(planned, createContext(planNow), 5000);
+
+    const neverArrives = createGame('survival');
+    play(neverArrives, createContext((game, state, canWait) => canWait ? new Promise(() => {}) : planNow(game, state)), 5000);
+
+    const arrivesAtOnce = createGame('survival');
+    await playSettling(arrivesAtOnce, createContext((game, state, canWait) => {
+        const plan = planNow(game, state);
+        return canWait ? Promise.resolve(plan) : plan;
+    }), 5000);
+
+    assert.ok(planned.game.state.pieces >= 3);
+    assert.deepEqual(neverArrives.game.recording.events, planned.game.recording.events);
+    assert.deepEqual(arrivesAtOnce.game.recording.events, planned.game.recording.events);
+});
+
+test('a plan that arrives after a reset is dropped', async () => {
+    const run = createGame('survival');
+    const planner = createPromisingPlanner();
+    playUntilPromised(run, createContext(planner.plan), planner);
+    assert.equal(run.game.aiState, 'THINKING');
+
+    run.game.reset(0, createSeededPieceSequence(DEFAULT_RANDOMIZER, 7), { seed: 7 });
+    planner.pending();
+    await Promise.resolve();
+    assert.equal(run.game.aiPendingPlan, null);
+    assert.equal(run.game.aiState, 'PLANNING');
+    assert.deepEqual(run.game.aiMoveQueue, []);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPuzzleState, solvePuzzle } from '../puzzles.js';
+
+const FULL_ROWS = Array.from({ length: 22 }, () => 'GGGGGGGGG.');
+
+function createPuzzle(rows) {
+    return { name: 'test', rows, current: 'T', queue: ['I'], hold: null, canHold: false, strategy: 'survival', depth: 0, expected: [] };
+}
+
+test('the current piece spawns against the puzzle board', () => {
+    const state = createPuzzleState(createPuzzle(['GGGGGGGGG.']));
+    assert.equal(state.gameOver, false);
+    assert.equal(state.ghostPiece.y, 21);
+});
+
+test('a board covering the spawn position tops out with no move', () => {
+    const puzzle = createPuzzle(FULL_ROWS);
+    assert.equal(createPuzzleState(puzzle).gameOver, true);
+    assert.equal(solvePuzzle(puzzle).target, null);
+});
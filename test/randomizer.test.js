@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPieceSequence, getPiece, RANDOMIZERS } from '../randomizer.js';
+import { createRng } from '../rng.js';
+import { BLOCK_O, BLOCK_S, BLOCK_Z } from '../data.js';
+
+const PIECE_COUNT = 7;
+
+function deal(randomizer, count, seed = 1) {
+    const sequence = createPieceSequence(randomizer, createRng(seed));
+    return Array.from({ length: count }, (_, i) => getPiece(sequence, i));
+}
+
+function countPieces(pieces) {
+    const counts = Array(PIECE_COUNT).fill(0);
+    pieces.forEach(piece => counts[piece]++);
+    return counts;
+}
+
+test('every randomizer deals only the seven piece types', () => {
+    for (const randomizer of Object.keys(RANDOMIZERS)) {
+        for (const piece of deal(randomizer, 700)) {
+            assert.ok(Number.isInteger(piece) && piece >= 0 && piece < PIECE_COUNT, `${randomizer} dealt ${piece}`);
+        }
+    }
+});
+
+test('the 7-bag deals each piece once per bag', () => {
+    const pieces = deal('7bag', 7 * 50);
+    for (let start = 0; start < pieces.length; start += 7) {
+        assert.deepEqual(countPieces(pieces.slice(start, start + 7)), Array(PIECE_COUNT).fill(1));
+    }
+});
+
+test('the 14-bag deals each piece twice per bag', () => {
+    const pieces = deal('14bag', 14 * 25);
+    for (let start = 0; start < pieces.length; start += 14) {
+        assert.deepEqual(countPieces(pieces.slice(start, start + 14)), Array(PIECE_COUNT).fill(2));
+    }
+});
+
+test('the 7-bag never leaves more than 12 pieces between two of a kind', () => {
+    const pieces = deal('7bag', 7 * 50);
+    const lastSeen = Array(PIECE_COUNT).fill(-1);
+    pieces.forEach((piece, i) => {
+        if (lastSeen[piece] >= 0) assert.ok(i - lastSeen[piece] <= 13);
+        lastSeen[piece] = i;
+    });
+});
+
+test('TGM never starts with S, Z or O', () => {
+    for (let seed = 1; seed <= 50; seed++) {
+        assert.ok(![BLOCK_O, BLOCK_S, BLOCK_Z].includes(deal('tgm', 1, seed)[0]));
+    }
+});
+
+test('a sequence remembers its pieces so games sharing it see the same ones', () => {
+    const sequence = createPieceSequence('7bag', createRng(7));
+    const later = getPiece(sequence, 20);
+    const first = getPiece(sequence, 0);
+    assert.equal(getPiece(sequence, 20), later);
+    assert.equal(getPiece(sequence, 0), first);
+    assert.equal(sequence.pieces.length, 21);
+});
+
+test('an unknown randomizer falls back to the default', () => {
+    assert.deepEqual(deal('no-such-randomizer', 14), deal('7bag', 14));
+});
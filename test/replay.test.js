@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecording, recordAction, recordEnd, serializeReplay, parseReplay, createReplayPlayer, advanceReplay, stepReplay, isReplayFinished } from '../replay.js';
+import { DEFAULT_RANDOMIZER } from '../randomizer.js';
+
+function createReplay(mode, endTime) {
+    const recording = createRecording({ seed: 1, randomizer: DEFAULT_RANDOMIZER, startLevel: 0, mode, strategy: 'survival' }, 500);
+    recordAction(recording, 'moveL', 1500);
+    if (endTime !== undefined) recordEnd(recording, endTime);
+    return parseReplay(serializeReplay(recording));
+}
+
+test('the game clock runs on past the last event', () => {
+    const player = createReplayPlayer(createReplay('endless', 10500));
+    assert.equal(player.replay.duration, 10000);
+    advanceReplay(player, 4000);
+    assert.equal(player.state.elapsed, 4000);
+    advanceReplay(player, Infinity);
+    assert.equal(player.state.elapsed, 10000);
+});
+
+test('an Ultra replay ends when its clock runs out', () => {
+    const player = createReplayPlayer(createReplay('ultra', 120500));
+    advanceReplay(player, Infinity);
+    assert.equal(player.state.completed, 'time');
+    assert.equal(player.state.elapsed, 120000);
+});
+
+test('a replay without an end runs to its last event', () => {
+    assert.equal(createReplay('endless').duration, 1000);
+});
+
+test('playback finishes at the end of the game, not the last event', () => {
+    const player = createReplayPlayer(createReplay('ultra', 120500));
+    stepReplay(player);
+    assert.equal(isReplayFinished(player), false);
+    stepReplay(player);
+    assert.equal(isReplayFinished(player), true);
+    assert.equal(player.state.completed, 'time');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, deriveSeed, parseSeed } from '../rng.js';
+import { createPieceSequence } from '../randomizer.js';
+import { createInitialState, hardDrop, receiveGarbage } from '../game.js';
+
+function draw(random, count) {
+    return Array.from({ length: count }, () => random());
+}
+
+// Plays a few pieces straight down with garbage arriving, the way a battle board is
+// seeded: pieces and garbage holes each come from their own stream of the game seed.
+function playSeededGame(seed) {
+    const pieces = createPieceSequence('7bag', createRng(deriveSeed(seed, 'pieces')));
+    const garbageRandom = createRng(deriveSeed(seed, 'garbage-1'));
+    const state = createInitialState(0, pieces, { seed, attackTable: [0, 1, 2, 4] });
+    for (let i = 0; i < 6 && !state.gameOver; i++) {
+        receiveGarbage(state, 1, garbageRandom);
+        hardDrop(state);
+    }
+    return state;
+}
+
+test('a generator repeats its numbers for the same seed', () => {
+    const numbers = draw(createRng(12345), 100);
+    assert.deepEqual(draw(createRng(12345), 100), numbers);
+    assert.notDeepEqual(draw(createRng(12346), 100), numbers);
+    assert.ok(numbers.every(n => n >= 0 && n < 1));
+});
+
+test('derived seeds are stable and differ by stream', () => {
+    assert.equal(deriveSeed(42, 'pieces'), deriveSeed(42, 'pieces'));
+    assert.notEqual(deriveSeed(42, 'pieces'), deriveSeed(42, 'garbage-1'));
+    assert.notEqual(deriveSeed(42, 'pieces'), deriveSeed(43, 'pieces'));
+});
+
+test('a game replays exactly from its seed, garbage holes included', () => {
+    const first = playSeededGame(2024);
+    const second = playSeededGame(2024);
+    assert.deepEqual(second.grid, first.grid);
+    assert.deepEqual(second.pieceSequence.pieces, first.pieceSequence.pieces);
+    assert.notDeepEqual(playSeededGame(2025).grid, first.grid);
+});
+
+test('seeds are parsed as 32-bit unsigned integers', () => {
+    assert.equal(parseSeed(' 42 '), 42);
+    assert.equal(parseSeed('4294967295'), 4294967295);
+    assert.equal(parseSeed('4294967296'), null);
+    assert.equal(parseSeed('-1'), null);
+    assert.equal(parseSeed('1.5'), null);
+    assert.equal(parseSeed('abc'), null);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreLock, getScoringRules, SCORING_RULES } from '../scoring.js';
+import { classifyTSpin, createInitialState, hardDrop } from '../game.js';
+import { blockCoords, BLOCK_T } from '../data.js';
+
+const GUIDELINE = SCORING_RULES.guideline;
+const CLASSIC = SCORING_RULES.classic;
+const ROWS = 24;
+const CORNERS = [[0, 0], [2, 0], [0, 2], [2, 2]];
+
+function createCounters(level = 0) {
+    return { level, backToBack: false, combo: -1 };
+}
+
+// Plays a run of locks on one set of counters, returning the points for each.
+function scoreLocks(rules, locks, level = 0) {
+    const state = createCounters(level);
+    return locks.map(lock => scoreLock(rules, state, { cleared: 0, tSpin: null, perfectClear: false, ...lock }).points);
+}
+
+// The corners next to the T's nub, the cell whose mirror image isn't part of the piece.
+function getFrontCorners(rotation) {
+    const shape = blockCoords[BLOCK_T][rotation];
+    const [nx, ny] = shape.find(([x, y]) => !shape.some(([ox, oy]) => ox === 2 - x && oy === 2 - y));
+    return CORNERS.filter(([x, y]) => Math.abs(x - nx) + Math.abs(y - ny) === 1);
+}
+
+function occupying(cells) {
+    return (col, row) => cells.some(([x, y]) => x === col && y === row);
+}
+
+test('line clears score the table times level + 1', () => {
+    assert.deepEqual(scoreLocks(CLASSIC, [1, 2, 3, 4].map(cleared => ({ cleared }))), [40, 100, 300, 1200]);
+    assert.deepEqual(scoreLocks(GUIDELINE, [{ cleared: 2 }], 4), [300 * 5]);
+    assert.equal(getScoringRules('no-such-rules'), CLASSIC);
+});
+
+test('T-spins and minis score their own tables, and classic ignores them', () => {
+    assert.deepEqual(scoreLocks(GUIDELINE, [{ tSpin: 'full', cleared: 0 }]), [400]);
+    assert.deepEqual(scoreLocks(GUIDELINE, [{ tSpin: 'full', cleared: 2 }]), [1200]);
+    assert.deepEqual(scoreLocks(GUIDELINE, [{ tSpin: 'mini', cleared: 0 }]), [100]);
+    assert.deepEqual(scoreLocks(GUIDELINE, [{ tSpin: 'mini', cleared: 1 }]), [200]);
+    assert.deepEqual(scoreLocks(CLASSIC, [{ tSpin: 'full', cleared: 2 }]), [100]);
+});
+
+test('back-to-back difficult clears earn the bonus until an easy clear', () => {
+    const points = scoreLocks(GUIDELINE, [
+        { cleared: 4 },
+        {},                           // A lock without lines keeps the chain
+        { tSpin: 'full', cleared: 1 },
+        { cleared: 1 },               // Breaks it, on a combo
+        { cleared: 4 },
+    ]);
+    assert.deepEqual(points, [800, 0, 800 * 1.5, 100 + 50, 800 + 100]);
+
+    const state = createCounters();
+    scoreLock(GUIDELINE, state, { cleared: 4, tSpin: null, perfectClear: false });
+    assert.deepEqual(scoreLock(GUIDELINE, state, { cleared: 4, tSpin: null, perfectClear: false }).labels, ['B2B', 'AITRIS', '1 COMBO']);
+});
+
+test('combos add 50 per step and end on a lock without lines', () => {
+    const points = scoreLocks(GUIDELINE, [{ cleared: 1 }, { cleared: 1 }, { cleared: 1 }, {}, { cleared: 1 }], 1);
+    assert.deepEqual(points, [200, 200 + 100, 200 + 200, 0, 200]);
+    assert.deepEqual(scoreLocks(CLASSIC, [{ cleared: 1 }, { cleared: 1 }]), [40, 40]);
+});
+
+test('perfect clears add their bonus, more after back-to-back aitrises', () => {
+    assert.deepEqual(scoreLocks(GUIDELINE, [{ cleared: 1, perfectClear: true }]), [100 + 800]);
+    assert.deepEqual(scoreLocks(GUIDELINE, [{ cleared: 4 }, { cleared: 4, perfectClear: true }]), [800, 1200 + 50 + 3200]);
+    assert.deepEqual(scoreLocks(CLASSIC, [{ cleared: 4, perfectClear: true }]), [1200]);
+});
+
+test('the three-corner rule uses the corners the T points towards', () => {
+    for (let rotation = 0; rotation < 4; rotation++) {
+        const piece = { type: BLOCK_T, rotation, x: 0, y: 0 };
+        const front = getFrontCorners(rotation);
+        const back = CORNERS.filter(corner => !front.includes(corner));
+        assert.equal(classifyTSpin(occupying([...front, back[0]]), piece, 0), 'full', `rotation ${rotation}`);
+        assert.equal(classifyTSpin(occupying([...back, front[0]]), piece, 0), 'mini', `rotation ${rotation}`);
+        assert.equal(classifyTSpin(occupying([front[0], back[0]]), piece, 0), null, `rotation ${rotation}`);
+    }
+    assert.equal(classifyTSpin(() => true, { type: BLOCK_T - 1, rotation: 0, x: 0, y: 0 }, 0), null);
+});
+
+test('a mini that took the last kick counts as a full T-spin', () => {
+    const piece = { type: BLOCK_T, rotation: 0, x: 0, y: 0 };
+    const front = getFrontCorners(0);
+    const back = CORNERS.filter(corner => !front.includes(corner));
+    assert.equal(classifyTSpin(occupying([...back, front[0]]), piece, 3), 'mini');
+    assert.equal(classifyTSpin(occupying([...back, front[0]]), piece, 4), 'full');
+});
+
+test('locking a rotated T in a slot scores a T-spin double', () => {
+    const onlyT = { randomizer: 'onlyT', next: () => BLOCK_T, pieces: [] };
+    const state = createInitialState(0, onlyT, { scoring: 'guideline' });
+    state.grid[ROWS - 1] = [1, 1, 1, 1, 0, 1, 1, 1, 1, 1];
+    state.grid[ROWS - 2] = [1, 1, 1, 0, 0, 0, 1, 1, 1, 1];
+    state.grid[ROWS - 3] = [0, 0, 0, 1, 0, 0, 0, 0, 0, 0]; // The overhang the T turns under
+    state.Block = { type: BLOCK_T, rotation: 2, x: 3, y: ROWS - 3 };
+    state.lastRotationKick = 0; // As if it had just rotated into place
+
+    hardDrop(state);
+    assert.equal(state.score, 1200);
+    assert.deepEqual(state.lastClear.labels, ['T-SPIN DOUBLE']);
+    assert.equal(state.backToBack, true);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTournament, takeMatch, completeMatch, getStandings, loadRatings, saveRatings, INITIAL_RATING, RATINGS_KEY } from '../tournament.js';
+import { getDefaultWeights } from '../strategies.js';
+
+function createEntrants(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        key: `entrant-${i}`, name: `Entrant ${i}`, strategy: 'survival', weights: getDefaultWeights('survival'),
+    }));
+}
+
+// A Storage stand-in holding its items in a Map.
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+}
+
+test('every pairing plays each seed once from each side', () => {
+    const tournament = createTournament(createEntrants(3), { rounds: 2 }, 21);
+    assert.equal(tournament.matches.length, 3 * 2 * 2);
+
+    const seen = new Set(tournament.matches.map(match => `${match.seed}:${match.players.join('-')}`));
+    assert.equal(seen.size, tournament.matches.length);
+    for (const match of tournament.matches) {
+        const [a, b] = match.players;
+        assert.ok(seen.has(`${match.seed}:${b}-${a}`), `match ${match.id} has no swapped twin`);
+    }
+    assert.equal(new Set(tournament.matches.map(match => match.seed)).size, 2);
+});
+
+test('visual and headless matches are rated separately', () => {
+    const storage = createStorage();
+    const ratings = loadRatings(storage);
+    const tournament = createTournament(createEntrants(2), { rounds: 1 }, 21);
+
+    completeMatch(tournament, takeMatch(tournament), { winner: 0, scores: [100, 0] }, ratings, 'visual');
+    assert.ok(getStandings(tournament, ratings, 'visual')[0].rating > INITIAL_RATING);
+    assert.deepEqual(getStandings(tournament, ratings, 'headless').map(entry => entry.rating), [INITIAL_RATING, INITIAL_RATING]);
+
+    completeMatch(tournament, takeMatch(tournament), { winner: null, scores: [50, 50] }, ratings, 'headless');
+    saveRatings(ratings, storage);
+    const loaded = loadRatings(storage);
+    assert.deepEqual(loaded, ratings);
+    assert.equal(loaded.visual['entrant-0'].games, 1);
+    assert.equal(loaded.headless['entrant-0'].draws, 1);
+});
+
+test('ratings saved in another shape load as empty pools', () => {
+    const storage = createStorage();
+    storage.setItem(RATINGS_KEY, JSON.stringify([1, 2, 3]));
+    assert.deepEqual(loadRatings(storage), { visual: {}, headless: {} });
+});
@@ -0,0 +1,286 @@
+// Round-robin tournaments between AI strategies and weight sets. Every pair of
+// entrants plays each seeded piece sequence twice, once from each side, and every
+// result feeds an Elo rating kept in localStorage, so ratings build up over
+// sessions. Matches are handed out with takeMatch / completeMatch, to be played on
+// the battle canvas or by workers, or played here one piece per step.
+
+import { deriveSeed } from './rng.js';
+import { createBattleSimulation, stepBattleSimulation, isBattleFinished, getBattleResult } from './simulate.js';
+import { getDefaultStorage, loadJson, saveJson } from './storage.js';
+
+export const RATINGS_KEY = 'aitris.ratings';
+export const INITIAL_RATING = 1500;
+const ELO_K = 32; // Most a rating can move in one match
+
+// Visual matches play with the AI's delays, gravity and lock delay and headless ones
+// without, so the two kinds of run are rated separately.
+export const RUN_TYPES = ['visual', 'headless'];
+
+/**
+ * @typedef {object} TournamentMatch
+ * @property {number} id
+ * @property {number} round
+ * @property {number[]} players Entrant indexes, left side first.
+ * @property {number} seed
+ * @property {{ winner: number|null, scores: number[] }|null} result Set by completeMatch.
+ */
+
+export const DEFAULT_TOURNAMENT_CONFIG = {
+    rounds: 2, // Seeds per pairing, each played from both sides
+    maxPieces: 500, // Pieces each before a battle is decided on score
+};
+
+// --- Ratings ---
+// Ratings are kept per run type, each keyed by entrant key:
+// { name, rating, games, wins, draws, losses }.
+
+function isRatingPool(pool) {
+    return !!pool && typeof pool === 'object' && !Array.isArray(pool);
+}
+
+/**
+ * Loads the saved ratings.
+ * @returns {Object<string, Object<string, object>>} A pool per run type, e.g. { visual, headless }.
+ */
+export function loadRatings(storage = getDefaultStorage()) {
+    const stored = loadJson(storage, RATINGS_KEY, 'ratings');
+    const ratings = {};
+    for (const runType of RUN_TYPES) {
+        ratings[runType] = isRatingPool(stored) && isRatingPool(stored[runType]) ? stored[runType] : {};
+    }
+    return ratings;
+}
+
+export function saveRatings(ratings, storage = getDefaultStorage()) {
+    return saveJson(storage, RATINGS_KEY, ratings, 'ratings');
+}
+
+// `ratings` is one run type's pool, e.g. loadRatings().headless.
+export function getRating(ratings, key) {
+    return ratings[key] ? ratings[key].rating : INITIAL_RATING;
+}
+
+function getRatingRecord(ratings, entrant) {
+    if (!ratings[entrant.key]) {
+        ratings[entrant.key] = { name: entrant.name, rating: INITIAL_RATING, games: 0, wins: 0, draws: 0, losses: 0 };
+    }
+    ratings[entrant.key].name = entrant.name; // Follows renames
+    return ratings[entrant.key];
+}
+
+// Chance of `rating` beating `opponentRating`, counting a draw as half a win.
+export function getExpectedScore(rating, opponentRating) {
+    return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * Updates both entrants' ratings after a match. The caller persists them with saveRatings.
+ * @param {object} ratings The pool of the run type the match was played in.
+ * @param {object} a The first entrant, { key, name }.
+ * @param {object} b The second entrant.
+ * @param {number} score The first entrant's result: 1 for a win, 0.5 for a draw, 0 for a loss.
+ * @returns {number} How much the first entrant's rating changed; the second's changed by the opposite.
+ */
+export function rateMatch(ratings, a, b, score) {
+    const recordA = getRatingRecord(ratings, a);
+    const recordB = getRatingRecord(ratings, b);
+    const change = ELO_K * (score - getExpectedScore(recordA.rating, recordB.rating));
+    recordA.rating += change;
+    recordB.rating -= change;
+    for (const [record, result] of [[recordA, score], [recordB, 1 - score]]) {
+        record.games++;
+        if (result === 1) record.wins++;
+        else if (result === 0) record.losses++;
+        else record.draws++;
+    }
+    return change;
+}
+
+// --- Tournament ---
+
+/**
+ * Creates a round-robin tournament. Nothing is played until matches are taken.
+ * @param {{ key: string, name: string, strategy: string, weights: Object<string, number> }[]} entrants
+ *   The players; `key` identifies the entrant's rating across tournaments.
+ * @param {{ rounds?: number, maxPieces?: number, randomizer?: string, startLevel?: number,
+ *   scoring?: string, attackTable?: number[], search?: { depth: number, beamWidth: number,
+ *   discounts: number[] } }} config Overrides for DEFAULT_TOURNAMENT_CONFIG, plus the
+ *   simulation options every battle is played with.
+ * @param {number} seed Seeds the piece sequences.
+ * @returns The tournament state, or null with fewer than two entrants.
+ */
+export function createTournament(entrants, config = {}, seed = 0) {
+    if (entrants.length < 2) {
+        console.error('A tournament needs at least two entrants.');
+        return null;
+    }
+    const tournament = {
+        config: { ...DEFAULT_TOURNAMENT_CONFIG, ...config },
+        seed,
+        entrants: entrants.map(entrant => ({ ...entrant, weights: { ...entrant.weights } })),
+        matches: /** @type {TournamentMatch[]} */ ([]),
+        dispatched: 0, // Matches handed out so far
+        completed: 0,
+        returned: /** @type {TournamentMatch[]} */ ([]), // Handed-out matches given back unplayed, e.g. by a failed worker
+        battle: null, // The match stepTournament is playing: { match, battle }
+        standings: entrants.map(() => ({
+            played: 0, wins: 0, draws: 0, losses: 0, totalScore: 0,
+            ratingChange: Object.fromEntries(RUN_TYPES.map(runType => [runType, 0])),
+        })),
+    };
+    tournament.config.rounds = Math.max(1, tournament.config.rounds);
+
+    // Round by round, so stopping early leaves every pairing with a similar number of games.
+    // Garbage holes and targets are drawn per side, so each seed is played from both sides.
+    for (let round = 0; round < tournament.config.rounds; round++) {
+        const roundSeed = deriveSeed(seed, `round-${round}`);
+        for (let i = 0; i < entrants.length; i++) {
+            for (let j = i + 1; j < entrants.length; j++) {
+                for (const players of [[i, j], [j, i]]) {
+                    tournament.matches.push({
+                        id: tournament.matches.length,
+                        round,
+                        players, // Entrant indexes, left side first
+                        seed: roundSeed,
+                        result: null,
+                    });
+                }
+            }
+        }
+    }
+    return tournament;
+}
+
+export function getTournamentProgress(tournament) {
+    return { done: tournament.completed, total: tournament.matches.length };
+}
+
+export function isTournamentFinished(tournament) {
+    return tournament.completed >= tournament.matches.length;
+}
+
+/**
+ * The { strategy, weights } of each side of a match, for simulateBattle.
+ * @param {NonNullable<ReturnType<typeof createTournament>>} tournament
+ * @param {TournamentMatch} match
+ */
+export function getMatchPlayers(tournament, match) {
+    return match.players.map(index => {
+        const { strategy, weights } = tournament.entrants[index];
+        return { strategy, weights };
+    });
+}
+
+// Hands out the next match to play, or null once every match has been handed out.
+export function takeMatch(tournament) {
+    if (tournament.returned.length > 0) return tournament.returned.shift();
+    if (tournament.dispatched >= tournament.matches.length) return null;
+    return tournament.matches[tournament.dispatched++];
+}
+
+function hasMatchToPlay(tournament) {
+    return !!tournament.battle || tournament.returned.length > 0 || tournament.dispatched < tournament.matches.length;
+}
+
+// Gives back a match that could not be played so it is handed out again.
+export function returnMatch(tournament, match) {
+    if (match.result || tournament.returned.includes(match)) return;
+    tournament.returned.push(match);
+}
+
+/**
+ * Records the result of a match from takeMatch. Results may arrive in any order.
+ * @param {object} tournament The tournament state.
+ * @param {object} match The match that was played.
+ * @param {object} result { winner, scores }: the winning side's index or null for a draw,
+ *   and each side's score, as from getBattleResult.
+ * @param {object|null} ratings Ratings from loadRatings to update.
+ * @param {string} runType How the match was played, one of RUN_TYPES.
+ */
+export function completeMatch(tournament, match, result, ratings = null, runType = 'headless') {
+    if (match.result) return; // Already recorded
+    match.result = { winner: result.winner, scores: [...result.scores] };
+    tournament.completed++;
+
+    const [a, b] = match.players;
+    const score = result.winner === null ? 0.5 : (result.winner === 0 ? 1 : 0);
+    match.players.forEach((index, side) => {
+        const standing = tournament.standings[index];
+        standing.played++;
+        standing.totalScore += result.scores[side];
+        if (result.winner === null) standing.draws++;
+        else if (result.winner === side) standing.wins++;
+        else standing.losses++;
+    });
+    if (ratings) {
+        const change = rateMatch(ratings[runType], tournament.entrants[a], tournament.entrants[b], score);
+        tournament.standings[a].ratingChange[runType] += change;
+        tournament.standings[b].ratingChange[runType] -= change;
+    }
+}
+
+/**
+ * Advances the current match by one piece per side on this thread, as a headless run.
+ * @returns {boolean} True if this step finished a match.
+ */
+export function stepTournament(tournament, ratings = null) {
+    if (!tournament.battle) {
+        const match = takeMatch(tournament);
+        if (!match) return false; // Every match is out with a worker
+        tournament.battle = { match, battle: createBattleSimulation(getMatchPlayers(tournament, match), match.seed, tournament.config) };
+    }
+
+    const { match, battle } = tournament.battle;
+    stepBattleSimulation(battle);
+    if (!isBattleFinished(battle)) return false;
+
+    tournament.battle = null;
+    completeMatch(tournament, match, getBattleResult(battle), ratings, 'headless');
+    return true;
+}
+
+/**
+ * Steps the tournament until `budgetMs` has elapsed. At least one step always runs.
+ * @param {object} tournament The tournament state.
+ * @param {number} budgetMs How long to play for.
+ * @param {object|null} ratings Ratings from loadRatings, updated as headless results.
+ * @param {function(): number} now The clock to measure the budget with.
+ * @returns {boolean} True if a match finished.
+ */
+export function runTournament(tournament, budgetMs, ratings = null, now = () => Date.now()) {
+    const start = now();
+    let finishedMatch = false;
+    do {
+        finishedMatch = stepTournament(tournament, ratings) || finishedMatch;
+    } while (hasMatchToPlay(tournament) && now() - start < budgetMs);
+    return finishedMatch;
+}
+
+/**
+ * The standings table, best first: by rating when ratings are given, otherwise by
+ * points (a win is 1, a draw half).
+ * @returns Items of { key, name, strategy, played, wins, draws, losses, points,
+ *   averageScore, rating, ratingChange }; rating is null without ratings.
+ * @param {NonNullable<ReturnType<typeof createTournament>>} tournament
+ * @param {object|null} ratings Ratings from loadRatings, or null to rank by points.
+ * @param {string} runType Whose ratings to show, one of RUN_TYPES.
+ */
+export function getStandings(tournament, ratings = null, runType = 'headless') {
+    const rows = tournament.entrants.map((entrant, i) => {
+        const standing = tournament.standings[i];
+        return {
+            key: entrant.key,
+            name: entrant.name,
+            strategy: entrant.strategy,
+            played: standing.played,
+            wins: standing.wins,
+            draws: standing.draws,
+            losses: standing.losses,
+            points: standing.wins + standing.draws / 2,
+            averageScore: standing.played > 0 ? standing.totalScore / standing.played : 0,
+            rating: ratings ? getRating(ratings[runType], entrant.key) : null,
+            ratingChange: standing.ratingChange[runType],
+        };
+    });
+    return rows.sort((a, b) => (ratings ? b.rating - a.rating : 0) || b.points - a.points || b.averageScore - a.averageScore);
+}
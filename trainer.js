@@ -0,0 +1,247 @@
+// Genetic-algorithm trainer for AI weights. Each generation every genome plays the
+// same set of seeded games headlessly; fitness is the average over those games.
+// The next generation keeps the elites and breeds the rest through selection,
+// crossover and mutation. Evaluation either advances one piece per step, so it can
+// run in the background of the render loop, or is handed out as whole games with
+// takeEvaluation / completeEvaluation so workers can play them in parallel.
+
+import { mutateWeights } from './ai.js';
+import { createRng, deriveSeed } from './rng.js';
+import { getModeFitness, DEFAULT_GAME_MODE } from './gameModes.js';
+import { createSimulation, stepSimulation, isSimulationFinished, getSimulationResult } from './simulate.js';
+
+export const DEFAULT_TRAINER_CONFIG = {
+    strategy: 'rightWell',
+    populationSize: 20,
+    selection: 'tournament', // 'tournament' or 'elitist'
+    tournamentSize: 3,
+    eliteCount: 2,           // Best genomes copied unchanged into the next generation
+    crossoverRate: 0.7,
+    mutationFactor: 0.2,
+    seedsPerGenome: 3,       // Games averaged into each fitness value
+    mode: DEFAULT_GAME_MODE, // Game mode the evaluation games are played in
+    fitness: 'goal',
+    maxPieces: 500,
+    hallOfFameSize: 5,
+};
+
+export const FITNESS_FUNCTIONS = {
+    goal: getModeFitness, // The game mode's objective, the score in endless games
+    score: result => result.score,
+    lines: result => result.lines,
+    scorePerLine: result => result.lines > 0 ? result.score / result.lines : 0,
+};
+
+function createGenome(trainer, weights, parents = []) {
+    return {
+        id: trainer.nextGenomeId++,
+        generation: trainer.generation,
+        parents,
+        weights,
+        results: [],
+        fitness: null,
+    };
+}
+
+/**
+ * Creates a trainer whose first generation is the baseline plus mutations of it.
+ * @param {object} baseWeights The weights to start evolving from.
+ * @param {object} config Overrides for DEFAULT_TRAINER_CONFIG.
+ * @param {number} seed Seeds the game seeds, selection, crossover and mutation.
+ * @returns The trainer state.
+ */
+export function createTrainer(baseWeights, config = {}, seed = 0) {
+    const trainer = {
+        config: { ...DEFAULT_TRAINER_CONFIG, ...config },
+        seed,
+        random: createRng(deriveSeed(seed, 'trainer')),
+        generation: 1,
+        nextGenomeId: 1,
+        population: /** @type {ReturnType<typeof createGenome>[]} */ ([]),
+        gameSeeds: [],
+        dispatched: 0, // Genome x seed evaluations handed out this generation
+        completed: 0,
+        returned: [], // Handed-out evaluations given back unplayed, e.g. by a failed worker
+        simulation: null, // The evaluation stepTrainer is playing: { evaluation, simulation }
+        hallOfFame: /** @type {{ id: number, generation: number, fitness: number, weights: object }[]} */ ([]),
+        history: /** @type {{ generation: number, bestFitness: number, meanFitness: number }[]} */ ([]), // Per finished generation
+    };
+    trainer.config.populationSize = Math.max(2, trainer.config.populationSize);
+    trainer.config.eliteCount = Math.min(trainer.config.eliteCount, trainer.config.populationSize - 1);
+
+    trainer.population.push(createGenome(trainer, { ...baseWeights }));
+    while (trainer.population.length < trainer.config.populationSize) {
+        const weights = mutateWeights(baseWeights, trainer.config.mutationFactor, trainer.random, trainer.config.strategy);
+        trainer.population.push(createGenome(trainer, weights));
+    }
+    trainer.gameSeeds = createGameSeeds(trainer);
+    return trainer;
+}
+
+function createGameSeeds(trainer) {
+    return Array.from({ length: trainer.config.seedsPerGenome }, (_, i) =>
+        deriveSeed(trainer.seed, `generation-${trainer.generation}-game-${i}`));
+}
+
+function getEvaluationCount(trainer) {
+    return trainer.population.length * trainer.gameSeeds.length;
+}
+
+export function getTrainerProgress(trainer) {
+    return { done: trainer.completed, total: getEvaluationCount(trainer) };
+}
+
+/**
+ * Hands out the next game of the current generation to play.
+ * @param {object} trainer The trainer state.
+ * @returns {{ generation: number, genomeId: number, seedIndex: number, strategy: string,
+ *   weights: object, seed: number, options: { maxPieces: number, mode: string } }|null}
+ *   The game, or null if every game of this generation has been handed out.
+ */
+export function takeEvaluation(trainer) {
+    if (trainer.returned.length > 0) return trainer.returned.shift();
+    if (trainer.dispatched >= getEvaluationCount(trainer)) return null;
+    const seedCount = trainer.gameSeeds.length;
+    const index = trainer.dispatched++;
+    const genome = trainer.population[Math.floor(index / seedCount)];
+    return {
+        generation: trainer.generation,
+        genomeId: genome.id,
+        seedIndex: index % seedCount,
+        strategy: trainer.config.strategy,
+        weights: genome.weights,
+        seed: trainer.gameSeeds[index % seedCount],
+        options: { maxPieces: trainer.config.maxPieces, mode: trainer.config.mode },
+    };
+}
+
+// Gives back an evaluation that could not be played so it is handed out again.
+export function returnEvaluation(trainer, evaluation) {
+    if (evaluation.generation !== trainer.generation) return;
+    trainer.returned.push(evaluation);
+}
+
+/**
+ * Stores the result of a game from takeEvaluation, breeding the next generation
+ * once every genome has played every seed. Results may arrive in any order.
+ * @param {object} trainer The trainer state.
+ * @param {object} evaluation The evaluation the game was played for.
+ * @param {object} result The game result from getSimulationResult.
+ * @returns {boolean} True if this result finished a generation.
+ */
+export function completeEvaluation(trainer, evaluation, result) {
+    if (evaluation.generation !== trainer.generation) return false; // Stale result
+    const genome = trainer.population.find(candidate => candidate.id === evaluation.genomeId);
+    const seedCount = trainer.gameSeeds.length;
+    genome.results[evaluation.seedIndex] = result;
+    trainer.completed++;
+
+    if (genome.results.filter(Boolean).length === seedCount) {
+        const fitnessOf = FITNESS_FUNCTIONS[trainer.config.fitness] || FITNESS_FUNCTIONS.score;
+        genome.fitness = genome.results.reduce((sum, gameResult) => sum + fitnessOf(gameResult), 0) / seedCount;
+    }
+
+    if (trainer.completed < getEvaluationCount(trainer)) return false;
+
+    finishGeneration(trainer);
+    return true;
+}
+
+/**
+ * Advances the current evaluation game by one piece on this thread.
+ * @param {object} trainer The trainer state.
+ * @returns {boolean} True if this step finished a generation.
+ */
+export function stepTrainer(trainer) {
+    if (!trainer.simulation) {
+        const evaluation = takeEvaluation(trainer);
+        if (!evaluation) return false; // Every game is out with a worker
+        const simulation = createSimulation(evaluation.strategy, evaluation.weights, evaluation.seed, evaluation.options);
+        trainer.simulation = { evaluation, simulation };
+    }
+
+    const { evaluation, simulation } = trainer.simulation;
+    stepSimulation(simulation);
+    if (!isSimulationFinished(simulation)) return false;
+
+    trainer.simulation = null;
+    return completeEvaluation(trainer, evaluation, getSimulationResult(simulation));
+}
+
+// Steps the trainer until `budgetMs` has elapsed. At least one step always runs.
+export function runTrainer(trainer, budgetMs, now = () => Date.now()) {
+    const start = now();
+    let finishedGeneration = false;
+    do {
+        finishedGeneration = stepTrainer(trainer) || finishedGeneration;
+    } while (now() - start < budgetMs);
+    return finishedGeneration;
+}
+
+function finishGeneration(trainer) {
+    const ranked = [...trainer.population].sort((a, b) => b.fitness - a.fitness);
+    const meanFitness = ranked.reduce((sum, genome) => sum + genome.fitness, 0) / ranked.length;
+    trainer.history.push({ generation: trainer.generation, bestFitness: ranked[0].fitness, meanFitness });
+    updateHallOfFame(trainer, ranked);
+
+    trainer.generation++;
+    const nextPopulation = ranked.slice(0, trainer.config.eliteCount).map(genome =>
+        ({ ...genome, results: [], fitness: null }));
+    while (nextPopulation.length < trainer.config.populationSize) {
+        const parentA = selectParent(trainer, ranked);
+        const parentB = selectParent(trainer, ranked);
+        const childWeights = trainer.random() < trainer.config.crossoverRate
+            ? crossover(trainer, parentA.weights, parentB.weights)
+            : { ...parentA.weights };
+        const mutated = mutateWeights(childWeights, trainer.config.mutationFactor, trainer.random, trainer.config.strategy);
+        nextPopulation.push(createGenome(trainer, mutated, [parentA.id, parentB.id]));
+    }
+
+    trainer.population = nextPopulation;
+    trainer.gameSeeds = createGameSeeds(trainer);
+    trainer.dispatched = 0;
+    trainer.completed = 0;
+    trainer.returned = [];
+}
+
+function selectParent(trainer, ranked) {
+    if (trainer.config.selection === 'elitist') {
+        // Truncation selection: parents come uniformly from the top half.
+        const poolSize = Math.max(1, Math.ceil(ranked.length / 2));
+        return ranked[Math.floor(trainer.random() * poolSize)];
+    }
+    let best = null;
+    for (let i = 0; i < trainer.config.tournamentSize; i++) {
+        const candidate = ranked[Math.floor(trainer.random() * ranked.length)];
+        if (!best || candidate.fitness > best.fitness) {
+            best = candidate;
+        }
+    }
+    return best;
+}
+
+// Uniform crossover: each weight is taken from either parent with equal chance.
+function crossover(trainer, weightsA, weightsB) {
+    const child = {};
+    for (const key of new Set([...Object.keys(weightsA), ...Object.keys(weightsB)])) {
+        const fromA = key in weightsA && (!(key in weightsB) || trainer.random() < 0.5);
+        child[key] = fromA ? weightsA[key] : weightsB[key];
+    }
+    return child;
+}
+
+function updateHallOfFame(trainer, ranked) {
+    const known = new Set(trainer.hallOfFame.map(entry => entry.id));
+    for (const genome of ranked) {
+        if (known.has(genome.id)) continue;
+        trainer.hallOfFame.push({ id: genome.id, generation: genome.generation, fitness: genome.fitness, weights: { ...genome.weights } });
+    }
+    trainer.hallOfFame.sort((a, b) => b.fitness - a.fitness);
+    trainer.hallOfFame.length = Math.min(trainer.hallOfFame.length, trainer.config.hallOfFameSize);
+}
+
+// The genomes shown on the training grid. Elites come first after breeding, so the
+// sample always includes the best of the previous generation.
+export function getGenerationSample(trainer, count) {
+    return trainer.population.slice(0, count);
+}
@@ -0,0 +1,110 @@
+// Named weight library. Saved weight sets live in localStorage so trained AIs
+// survive a page refresh, and can be exported to or imported from JSON files.
+//
+// File format (JSON):
+//   { format: 'aitris-weights', version: 1, entries: [{ name, strategy, weights }] }
+
+import { getStrategy } from './strategies.js';
+import { getDefaultStorage, loadJson, saveJson } from './storage.js';
+
+export const WEIGHT_LIBRARY_KEY = 'aitris.weightLibrary';
+export const WEIGHTS_FORMAT = 'aitris-weights';
+export const WEIGHTS_VERSION = 1;
+
+function isValidWeights(weights) {
+    return !!weights && typeof weights === 'object' && !Array.isArray(weights) &&
+        Object.values(weights).every(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+function isValidWeightSet(set) {
+    return !!set && typeof set.name === 'string' && !!getStrategy(set.strategy) && isValidWeights(set.weights);
+}
+
+// --- Library ---
+
+export function loadWeightLibrary(storage = getDefaultStorage()) {
+    const entries = loadJson(storage, WEIGHT_LIBRARY_KEY, 'weight library');
+    return Array.isArray(entries) ? entries.filter(entry => isValidWeightSet(entry) && Number.isInteger(entry.id)) : [];
+}
+
+export function saveWeightLibrary(library, storage = getDefaultStorage()) {
+    return saveJson(storage, WEIGHT_LIBRARY_KEY, library, 'weight library');
+}
+
+/**
+ * Adds a weight set to the library. The caller persists it with saveWeightLibrary.
+ * @param {object[]} library The loaded library.
+ * @param {string} name Display name; whitespace is trimmed.
+ * @param {string} strategy The AI strategy the weights were trained for.
+ * @param {object} weights The heuristic weights.
+ * @returns {{ id: number, name: string, strategy: string, weights: object, savedAt: number }|null}
+ *   The new entry, or null if the weight set is invalid.
+ */
+export function addWeightSet(library, name, strategy, weights) {
+    const set = { name: String(name).trim() || 'Untitled', strategy, weights: { ...weights } };
+    if (!isValidWeightSet(set)) {
+        console.error('Refusing to save an invalid weight set.');
+        return null;
+    }
+    const id = library.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+    const entry = { id, ...set, savedAt: Date.now() };
+    library.push(entry);
+    return entry;
+}
+
+export function getWeightSet(library, id) {
+    return library.find(entry => entry.id === id) || null;
+}
+
+export function renameWeightSet(library, id, name) {
+    const entry = getWeightSet(library, id);
+    const trimmed = String(name).trim();
+    if (!entry || !trimmed) return false;
+    entry.name = trimmed;
+    return true;
+}
+
+export function deleteWeightSet(library, id) {
+    const index = library.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+    library.splice(index, 1);
+    return true;
+}
+
+// --- Files ---
+
+export function serializeWeightSets(entries) {
+    return JSON.stringify({
+        format: WEIGHTS_FORMAT,
+        version: WEIGHTS_VERSION,
+        entries: entries.map(({ name, strategy, weights }) => ({ name, strategy, weights })),
+    }, null, 2);
+}
+
+// Returns the { name, strategy, weights } sets in a weights file, or null if it is invalid.
+export function parseWeightSets(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        console.error('Weights file is not valid JSON: ' + e.message);
+        return null;
+    }
+    if (!data || data.format !== WEIGHTS_FORMAT) {
+        console.error('Not an aiTris weights file.');
+        return null;
+    }
+    if (data.version !== WEIGHTS_VERSION) {
+        console.error(`Unsupported weights version ${data.version} (expected ${WEIGHTS_VERSION}).`);
+        return null;
+    }
+    if (!Array.isArray(data.entries) || !data.entries.every(isValidWeightSet)) {
+        console.error('Weights file is corrupt.');
+        return null;
+    }
+    return data.entries.map(({ name, strategy, weights }) => ({ name, strategy, weights }));
+}
+
+export function importWeightSets(library, sets) {
+    return sets.map(set => addWeightSet(library, set.name, set.strategy, set.weights)).filter(Boolean);
+}
@@ -0,0 +1,114 @@
+// A fixed pool of Web Workers. Jobs wait in a queue until a worker is idle, and
+// each job's reply resolves the promise returned by runInWorker.
+
+/**
+ * @typedef {object} WorkerPool
+ * @property {Worker[]} workers Every live worker; empty once the pool has shut down.
+ * @property {Worker[]} idle Workers waiting for a job.
+ * @property {{ requestId: number, job: object }[]} queue Jobs waiting for a worker.
+ * @property {Map<number, { resolve: function(*): void, reject: function(Error): void }>} pending
+ *   Callbacks for the jobs queued or running, by request id.
+ * @property {number} nextRequestId
+ */
+
+/**
+ * @param {number} size Number of workers to start.
+ * @param {function(): Worker} createWorker Starts one worker.
+ * @returns {WorkerPool|null} The pool, or null if workers are unavailable here.
+ */
+export function createWorkerPool(size, createWorker) {
+    if (typeof Worker === 'undefined') return null;
+    /** @type {WorkerPool} */
+    const pool = { workers: [], idle: [], queue: [], pending: new Map(), nextRequestId: 1 };
+    try {
+        for (let i = 0; i < size; i++) {
+            const worker = createWorker();
+            worker.onmessage = (e) => handleReply(pool, worker, e.data);
+            // A worker that fails outside a job (e.g. its script didn't load) can't be
+            // trusted with more jobs, so the whole pool shuts down and callers fall back.
+            worker.onerror = (e) => {
+                e.preventDefault();
+                console.error('AI worker failed: ' + e.message);
+                terminateWorkerPool(pool);
+            };
+            pool.workers.push(worker);
+            pool.idle.push(worker);
+        }
+    } catch (e) {
+        console.error('Could not start AI workers: ' + e.message);
+        terminateWorkerPool(pool);
+        return null;
+    }
+    return pool;
+}
+
+export function terminateWorkerPool(pool) {
+    for (const worker of pool.workers) {
+        worker.terminate();
+    }
+    const pending = [...pool.pending.values()];
+    pool.workers = [];
+    pool.idle = [];
+    pool.queue = [];
+    pool.pending.clear();
+    for (const { reject } of pending) {
+        reject(new Error('Worker pool terminated'));
+    }
+}
+
+/**
+ * @param {WorkerPool|null} pool The pool from createWorkerPool.
+ * @returns {pool is WorkerPool} False if there is no pool or it has shut down.
+ */
+export function isWorkerPoolAlive(pool) {
+    return !!pool && pool.workers.length > 0;
+}
+
+// Jobs queued or running.
+export function getPendingJobCount(pool) {
+    return pool.pending.size;
+}
+
+/**
+ * Queues a job for the next idle worker.
+ * @param {WorkerPool} pool The pool from createWorkerPool.
+ * @param {object} job A structured-cloneable job message.
+ * @param {boolean} urgent Put the job at the front of the queue.
+ * @returns {Promise<*>} The worker's result.
+ */
+export function runInWorker(pool, job, urgent = false) {
+    if (pool.workers.length === 0) {
+        return Promise.reject(new Error('Worker pool terminated'));
+    }
+    const requestId = pool.nextRequestId++;
+    const promise = new Promise((resolve, reject) => {
+        pool.pending.set(requestId, { resolve, reject });
+    });
+    const message = { requestId, job };
+    if (urgent) {
+        pool.queue.unshift(message);
+    } else {
+        pool.queue.push(message);
+    }
+    dispatchJobs(pool);
+    return promise;
+}
+
+function dispatchJobs(pool) {
+    while (pool.idle.length > 0 && pool.queue.length > 0) {
+        pool.idle.pop().postMessage(pool.queue.shift());
+    }
+}
+
+function handleReply(pool, worker, { requestId, result, error }) {
+    const request = pool.pending.get(requestId);
+    pool.pending.delete(requestId);
+    pool.idle.push(worker);
+    dispatchJobs(pool);
+    if (!request) return;
+    if (error) {
+        request.reject(new Error(error));
+    } else {
+        request.resolve(result);
+    }
+}